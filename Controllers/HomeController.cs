@@ -17,13 +17,19 @@ public class HomeController : Controller
     private readonly IHubContext<AutomationHub> _hubContext;
     private readonly IConfiguration _configuration;
     private readonly VisorQuotationService _quotationService;
+    private readonly AutomationJobQueue _jobQueue;
 
     // Static storage for parsed PDFs (in production, use distributed cache)
     private static readonly Dictionary<string, ParsedPdfResult> ParsedPdfs = new();
     private static readonly Dictionary<string, string> UploadedFiles = new();
     private static readonly Dictionary<string, QuotationViewModel> SavedViewModels = new();
     private static readonly Dictionary<string, decimal> CortizoTotals = new();
-    private static CancellationTokenSource? _automationCts;
+    
+    // Delivery addresses read from Cortizo, by Cortizo base URL (real site or the simulation mock)
+    private static readonly Dictionary<string, DeliveryAddressOptions> DeliveryAddressCache = new();
+    
+    // Prices entered for references missing from the Excel price lists, by parsed PDF
+    private static readonly Dictionary<string, List<ManualPrice>> ManualPrices = new();
 
     public HomeController(
         ILogger<HomeController> logger,
@@ -32,7 +38,8 @@ public class HomeController : Controller
         AutomationConfig automationConfig,
         IHubContext<AutomationHub> hubContext,
         IConfiguration configuration,
-        VisorQuotationService quotationService)
+        VisorQuotationService quotationService,
+        AutomationJobQueue jobQueue)
     {
         _logger = logger;
         _loggerFactory = loggerFactory;
@@ -41,6 +48,7 @@ public class HomeController : Controller
         _hubContext = hubContext;
         _configuration = configuration;
         _quotationService = quotationService;
+        _jobQueue = jobQueue;
     }
 
     public IActionResult Index()
@@ -50,7 +58,8 @@ public class HomeController : Controller
             Microns = _automationConfig.DefaultMicrons,
             Cif = _automationConfig.DefaultCif,
             ClientCode = _automationConfig.DefaultClientCode,
-            Language = _automationConfig.DefaultLanguage
+            Language = _automationConfig.DefaultLanguage,
+            CustomizedPrices = _automationConfig.DefaultCustomizedPrices
         };
 
         // Check if there's parsed data in session
@@ -62,6 +71,13 @@ public class HomeController : Controller
             {
                 viewModel.UploadedFileName = fileName;
             }
+
+            // Restore the PDF preview from the uploaded file
+            var pdfPath = Path.Combine(Directory.GetCurrentDirectory(), "wwwroot", "uploads", $"{sessionId}.pdf");
+            if (System.IO.File.Exists(pdfPath))
+            {
+                viewModel.UploadedFilePath = $"/uploads/{sessionId}.pdf";
+            }
         }
 
         return View(viewModel);
@@ -113,6 +129,8 @@ public class HomeController : Controller
                 hardwareItems = result.HardwareItems,
                 hardwareCount = result.HardwareItems.Count,
                 warnings = result.ParseWarnings,
+                skippedLines = result.SkippedLines,
+                unmappedColourProfileIds = result.UnmappedColourProfileIds,
                 pdfUrl = $"/uploads/{sessionId}.pdf"
             });
         }
@@ -124,11 +142,14 @@ public class HomeController : Controller
     }
 
     [HttpPost]
-    public IActionResult RunAutomation([FromForm] string username, [FromForm] string password,
+    public async Task<IActionResult> RunAutomation([FromForm] string username, [FromForm] string password,
         [FromForm] int microns, [FromForm] string cif, [FromForm] string clientCode, [FromForm] string language,
-        [FromForm] string? clientPurchaseOrder, [FromForm] string generalFinish1, [FromForm] string generalShade1,
+        [FromForm] string? clientPurchaseOrder, [FromForm] string? profDeliv, [FromForm] string? accDeliv,
+        [FromForm] string? pvcDeliv, [FromForm] string generalFinish1, [FromForm] string generalShade1,
         [FromForm] string generalFinish2, [FromForm] string generalShade2, [FromForm] bool generateReport,
-        [FromForm] bool createProforma, [FromForm] string? selectedProfileIds)
+        [FromForm] bool createProforma, [FromForm] string? selectedProfileIds,
+        [FromForm] string? selectedAccessoryIds, [FromForm] bool skipAccessories, [FromForm] bool skipHardware,
+        [FromForm] CustomizedPrices customizedPrices, [FromForm] bool simulation, [FromForm] string? connectionId)
     {
         var sessionId = HttpContext.Session.GetString("ParsedPdfId");
         if (string.IsNullOrEmpty(sessionId) || !ParsedPdfs.TryGetValue(sessionId, out var parsedPdf))
@@ -136,6 +157,16 @@ public class HomeController : Controller
             return Json(new { success = false, message = "No PDF parsed. Please upload a PDF first." });
         }
 
+        if (string.IsNullOrEmpty(connectionId))
+        {
+            return Json(new { success = false, message = "Not connected for live progress updates yet. Please try again in a moment." });
+        }
+
+        if (simulation && !_automationConfig.Simulation.Enabled)
+        {
+            return Json(new { success = false, message = "Simulation mode is disabled in the configuration" });
+        }
+
         var viewModel = new QuotationViewModel
         {
             Microns = microns,
@@ -143,12 +174,18 @@ public class HomeController : Controller
             ClientCode = clientCode,
             Language = language,
             ClientPurchaseOrder = clientPurchaseOrder ?? "",
+            ProfDeliv = profDeliv ?? "",
+            AccDeliv = accDeliv ?? "",
+            PvcDeliv = pvcDeliv ?? "",
             GeneralFinish1 = generalFinish1,
             GeneralShade1 = generalShade1,
             GeneralFinish2 = generalFinish2,
             GeneralShade2 = generalShade2,
             GenerateReport = generateReport,
-            CreateProforma = createProforma
+            CreateProforma = createProforma,
+            SkipAccessories = skipAccessories,
+            SkipHardware = skipHardware,
+            CustomizedPrices = customizedPrices
         };
 
         var credentials = new CortizoCredentials
@@ -179,20 +216,557 @@ public class HomeController : Controller
             profile.IsSelected = selectedIds.Count == 0 || selectedIds.Contains(profile.Id);
         }
 
-        // Get accessories (all selected by default)
+        // Mark selected accessories (all selected when no selection was sent)
+        var selectedAccIds = new HashSet<int>();
+        if (!string.IsNullOrEmpty(selectedAccessoryIds))
+        {
+            try
+            {
+                var ids = JsonSerializer.Deserialize<List<int>>(selectedAccessoryIds);
+                if (ids != null)
+                {
+                    selectedAccIds = new HashSet<int>(ids);
+                }
+            }
+            catch { /* Use all accessories */ }
+        }
+
+        var accessories = parsedPdf.Accessories.ToList();
+        foreach (var acc in accessories)
+        {
+            acc.IsSelected = selectedAccessoryIds == null || selectedAccIds.Contains(acc.Id);
+        }
+
+        // Events of this run only go to the tab that started it (and anyone who joins to watch)
+        var job = new AutomationJob
+        {
+            ProjectName = parsedPdf.Header.ProjectName,
+            FileName = UploadedFiles.GetValueOrDefault(sessionId, string.Empty),
+            OwnerSessionId = HttpContext.Session.Id,
+            ParsedPdfId = sessionId,
+            Simulation = simulation
+        };
+        await _hubContext.Groups.AddToGroupAsync(connectionId, AutomationHub.RunGroup(job.JobId));
+
+        EnqueueAutomationJob(job, (automationService, cancellationToken) =>
+            automationService.RunAutomationAsync(credentials, viewModel, profiles, accessories, cancellationToken));
+
+        return Json(new { success = true, message = "Automation queued", jobId = job.JobId });
+    }
+
+    /// <summary>
+    /// Queue a run that reopens the valuation of a finished job and re-enters only its unfilled rows,
+    /// using the rows as they are now in the grid
+    /// </summary>
+    [HttpPost]
+    public async Task<IActionResult> RetryUnfilled([FromForm] string? jobId, [FromForm] string username,
+        [FromForm] string password, [FromForm] string? connectionId)
+    {
+        var previousJob = string.IsNullOrEmpty(jobId) ? null : _jobQueue.GetJob(jobId);
+        if (previousJob == null || previousJob.OwnerSessionId != HttpContext.Session.Id)
+        {
+            return Json(new { success = false, message = "That automation run is no longer available. Please run the automation again." });
+        }
+
+        if (previousJob.IsActive)
+        {
+            return Json(new { success = false, message = "The automation is still running" });
+        }
+
+        var previous = previousJob.Result;
+        if (previous == null || previous.UnfilledProfiles.Count + previous.UnfilledAccessories.Count == 0)
+        {
+            return Json(new { success = false, message = "There are no unfilled rows to retry" });
+        }
+
+        if (string.IsNullOrEmpty(previous.ValuationNumber))
+        {
+            return Json(new { success = false, message = "The valuation number was not captured during the run, so it cannot be reopened. Please run the automation again." });
+        }
+
+        if (!ParsedPdfs.TryGetValue(previousJob.ParsedPdfId, out var parsedPdf))
+        {
+            return Json(new { success = false, message = "The stock list for this run is no longer loaded. Please run the automation again." });
+        }
+
+        if (string.IsNullOrEmpty(connectionId))
+        {
+            return Json(new { success = false, message = "Not connected for live progress updates yet. Please try again in a moment." });
+        }
+
+        var credentials = new CortizoCredentials
+        {
+            Username = username,
+            Password = password
+        };
+
+        var job = new AutomationJob
+        {
+            ProjectName = previousJob.ProjectName,
+            FileName = previousJob.FileName,
+            OwnerSessionId = previousJob.OwnerSessionId,
+            ParsedPdfId = previousJob.ParsedPdfId,
+            RetryOfJobId = previousJob.JobId,
+            Simulation = previousJob.Simulation
+        };
+        await _hubContext.Groups.AddToGroupAsync(connectionId, AutomationHub.RunGroup(job.JobId));
+
+        var profiles = parsedPdf.Profiles.ToList();
         var accessories = parsedPdf.Accessories.ToList();
+        EnqueueAutomationJob(job, (automationService, cancellationToken) =>
+            automationService.RetryUnfilledAsync(credentials, previous, profiles, accessories, cancellationToken));
 
-        // Cancel any previous automation and create a new token
-        _automationCts?.Cancel();
-        _automationCts = new CancellationTokenSource();
-        var cts = _automationCts;
+        return Json(new { success = true, message = "Retry queued", jobId = job.JobId });
+    }
 
-        // Run automation in background - capture services for closure
+    /// <summary>
+    /// Delivery addresses last read from Cortizo (none until loaded)
+    /// </summary>
+    [HttpGet]
+    public IActionResult GetDeliveryAddresses(bool simulation)
+    {
+        var baseUrl = AutomationConfigFor(simulation).BaseUrl;
+        lock (DeliveryAddressCache)
+        {
+            DeliveryAddressCache.TryGetValue(baseUrl, out var options);
+            return Json(new { success = true, addresses = options });
+        }
+    }
+
+    /// <summary>
+    /// Log into Cortizo and read the delivery address options of a new (unsaved) valuation.
+    /// Takes a browser session outside the job queue, so it can take a while.
+    /// </summary>
+    [HttpPost]
+    public async Task<IActionResult> LoadDeliveryAddresses([FromForm] string username, [FromForm] string password,
+        [FromForm] bool simulation)
+    {
+        if (simulation && !_automationConfig.Simulation.Enabled)
+        {
+            return Json(new { success = false, message = "Simulation mode is disabled in the configuration" });
+        }
+
+        var automationConfig = AutomationConfigFor(simulation);
+        try
+        {
+            await using var automationService = new CortizoAutomationService(
+                _loggerFactory.CreateLogger<CortizoAutomationService>(), automationConfig);
+            var credentials = new CortizoCredentials { Username = username, Password = password };
+            var options = await automationService.GetDeliveryAddressesAsync(credentials, HttpContext.RequestAborted);
+
+            if (options.Profiles.Count + options.Accessories.Count + options.Pvc.Count == 0)
+            {
+                return Json(new { success = false, message = "No delivery addresses found on the Cortizo valuation page" });
+            }
+
+            lock (DeliveryAddressCache)
+            {
+                DeliveryAddressCache[automationConfig.BaseUrl] = options;
+            }
+            return Json(new { success = true, addresses = options });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to read delivery addresses from Cortizo");
+            return Json(new { success = false, message = $"Error: {ex.Message}" });
+        }
+    }
+
+    /// <summary>
+    /// The automation job queue: queued and running jobs in order, then recently finished ones.
+    /// Queued and running jobs can be joined to watch (read-only).
+    /// </summary>
+    [HttpGet]
+    public IActionResult ListAutomationJobs()
+    {
+        return Json(new { success = true, maxConcurrentRuns = _jobQueue.MaxConcurrentRuns, jobs = _jobQueue.Describe() });
+    }
+
+    [HttpGet]
+    public IActionResult DownloadFile(string path)
+    {
+        if (string.IsNullOrEmpty(path) || !System.IO.File.Exists(path))
+        {
+            return NotFound();
+        }
+
+        var fileName = Path.GetFileName(path);
+        var contentType = "application/octet-stream";
+
+        if (fileName.EndsWith(".png"))
+            contentType = "image/png";
+        else if (fileName.EndsWith(".zip"))
+            contentType = "application/zip";
+
+        return PhysicalFile(path, contentType, fileName);
+    }
+
+    /// <summary>
+    /// This session's automation job, so a reloaded page can replay its events and resume live updates.
+    /// A finished job is only returned while the same PDF is loaded.
+    /// </summary>
+    [HttpGet]
+    public IActionResult CurrentAutomationJob()
+    {
+        var job = _jobQueue.GetLatestJob(HttpContext.Session.Id);
+        var sessionId = HttpContext.Session.GetString("ParsedPdfId");
+        if (job == null || (!job.IsActive && job.ParsedPdfId != sessionId))
+        {
+            return Json(new { success = false, message = "No automation run for this session" });
+        }
+
+        // Earlier runs this one retried, oldest first, so the page can rebuild the whole dashboard
+        var history = new List<string>();
+        for (var earlier = job.RetryOfJobId == null ? null : _jobQueue.GetJob(job.RetryOfJobId);
+             earlier != null;
+             earlier = earlier.RetryOfJobId == null ? null : _jobQueue.GetJob(earlier.RetryOfJobId))
+        {
+            history.Insert(0, earlier.JobId);
+        }
+
+        return Json(new { success = true, job, history });
+    }
+
+    /// <summary>
+    /// Cancel a queued job or stop a running one. Only the session that queued the job may cancel it.
+    /// </summary>
+    [HttpPost]
+    public IActionResult StopAutomation([FromForm] string? jobId)
+    {
+        var job = string.IsNullOrEmpty(jobId) ? null : _jobQueue.GetJob(jobId);
+        if (job == null || !job.IsActive)
+        {
+            return Json(new { success = false, message = "No automation running" });
+        }
+
+        if (job.OwnerSessionId != HttpContext.Session.Id)
+        {
+            return Json(new { success = false, message = "Only the user who started this automation can stop it" });
+        }
+
+        if (!_jobQueue.Cancel(job.JobId))
+        {
+            return Json(new { success = false, message = "Stop already requested" });
+        }
+
+        _logger.LogInformation("Automation stop requested by user for job {JobId}", job.JobId);
+        return Json(new { success = true, message = job.Status == AutomationJobStatus.Queued ? "Removed from queue" : "Stop signal sent" });
+    }
+
+    [HttpGet]
+    public IActionResult GetParsedProfiles()
+    {
+        var sessionId = HttpContext.Session.GetString("ParsedPdfId");
+        if (string.IsNullOrEmpty(sessionId) || !ParsedPdfs.TryGetValue(sessionId, out var parsedPdf))
+        {
+            return Json(new { success = false, profiles = new List<ProfileItem>() });
+        }
+
+        return Json(new { success = true, profiles = parsedPdf.Profiles });
+    }
+
+    /// <summary>
+    /// Save an inline edit from the profiles grid
+    /// </summary>
+    [HttpPost]
+    public IActionResult UpdateProfile([FromBody] ProfileItem profile)
+    {
+        var sessionId = HttpContext.Session.GetString("ParsedPdfId");
+        if (string.IsNullOrEmpty(sessionId) || !ParsedPdfs.TryGetValue(sessionId, out var parsedPdf))
+        {
+            return Json(new { success = false, message = "No PDF data available. Please upload and parse a PDF first." });
+        }
+
+        var error = ValidateProfile(profile);
+        if (error != null)
+        {
+            return Json(new { success = false, message = error });
+        }
+
+        var existing = parsedPdf.Profiles.FirstOrDefault(p => p.Id == profile.Id);
+        if (existing == null)
+        {
+            return Json(new { success = false, message = $"Profile {profile.Id} not found" });
+        }
+
+        ApplyProfileEdit(existing, profile);
+
+        return Json(new { success = true, profile = existing });
+    }
+
+    /// <summary>
+    /// Save several profile edits at once (bulk finish/shade changes and their undo).
+    /// Nothing is saved unless every edit is valid.
+    /// </summary>
+    [HttpPost]
+    public IActionResult UpdateProfiles([FromBody] List<ProfileItem> profiles)
+    {
+        var parsedPdf = GetSessionParsedPdf();
+        if (parsedPdf == null)
+        {
+            return Json(new { success = false, message = "No PDF data available. Please upload and parse a PDF first." });
+        }
+
+        if (profiles == null || profiles.Count == 0)
+        {
+            return Json(new { success = false, message = "No profiles to update" });
+        }
+
+        var targets = new List<(ProfileItem Existing, ProfileItem Edit)>();
+        foreach (var profile in profiles)
+        {
+            var existing = parsedPdf.Profiles.FirstOrDefault(p => p.Id == profile.Id);
+            if (existing == null)
+            {
+                return Json(new { success = false, message = $"Profile {profile.Id} not found" });
+            }
+
+            var error = ValidateProfile(profile);
+            if (error != null)
+            {
+                return Json(new { success = false, message = $"{existing.RefNumber}: {error}" });
+            }
+
+            targets.Add((existing, profile));
+        }
+
+        foreach (var (existing, edit) in targets)
+        {
+            ApplyProfileEdit(existing, edit);
+        }
+
+        return Json(new { success = true, profiles = targets.Select(t => t.Existing) });
+    }
+
+    /// <summary>
+    /// Add a profile row by hand (e.g. a profile missing from the Logikal list)
+    /// </summary>
+    [HttpPost]
+    public IActionResult AddProfile([FromBody] ProfileItem profile)
+    {
+        var parsedPdf = GetSessionParsedPdf();
+        if (parsedPdf == null)
+        {
+            return Json(new { success = false, message = "No PDF data available. Please upload and parse a PDF first." });
+        }
+
+        if (string.IsNullOrWhiteSpace(profile.RefNumber))
+        {
+            return Json(new { success = false, message = "Reference cannot be empty" });
+        }
+
+        if (profile.Amount <= 0)
+        {
+            return Json(new { success = false, message = "Amount must be a positive whole number" });
+        }
+
+        var added = new ProfileItem
+        {
+            Id = NextProfileId(parsedPdf),
+            RefNumber = profile.RefNumber.Trim(),
+            Amount = profile.Amount,
+            Finish1 = profile.Finish1?.Trim() ?? string.Empty,
+            Shade1 = profile.Shade1?.Trim() ?? string.Empty,
+            Finish2 = profile.Finish2?.Trim() ?? string.Empty,
+            Shade2 = profile.Shade2?.Trim() ?? string.Empty,
+            Description = profile.Description?.Trim() ?? string.Empty,
+            ThermalBreak = profile.ThermalBreak,
+            IsSelected = profile.IsSelected,
+            IsManual = true
+        };
+        parsedPdf.Profiles.Add(added);
+
+        return Json(new { success = true, profile = added });
+    }
+
+    /// <summary>
+    /// Duplicate a profile row; the copy is inserted below the original
+    /// </summary>
+    [HttpPost]
+    public IActionResult DuplicateProfile([FromBody] GridRowRequest request)
+    {
+        var parsedPdf = GetSessionParsedPdf();
+        var index = parsedPdf?.Profiles.FindIndex(p => p.Id == request.Id) ?? -1;
+        if (parsedPdf == null || index < 0)
+        {
+            return Json(new { success = false, message = $"Profile {request.Id} not found" });
+        }
+
+        var source = parsedPdf.Profiles[index];
+        var copy = new ProfileItem
+        {
+            Id = NextProfileId(parsedPdf),
+            RefNumber = source.RefNumber,
+            Amount = source.Amount,
+            RawColour = source.RawColour,
+            Finish1 = source.Finish1,
+            Shade1 = source.Shade1,
+            Finish2 = source.Finish2,
+            Shade2 = source.Shade2,
+            Description = source.Description,
+            TotalLength = source.TotalLength,
+            ThermalBreak = source.ThermalBreak,
+            IsSelected = source.IsSelected,
+            IsManual = true
+        };
+        parsedPdf.Profiles.Insert(index + 1, copy);
+
+        return Json(new { success = true, profile = copy, afterId = source.Id });
+    }
+
+    /// <summary>
+    /// Remove a profile row entirely
+    /// </summary>
+    [HttpPost]
+    public IActionResult DeleteProfile([FromBody] GridRowRequest request)
+    {
+        var parsedPdf = GetSessionParsedPdf();
+        var removed = parsedPdf?.Profiles.RemoveAll(p => p.Id == request.Id) ?? 0;
+        if (removed == 0)
+        {
+            return Json(new { success = false, message = $"Profile {request.Id} not found" });
+        }
+
+        return Json(new { success = true });
+    }
+
+    /// <summary>
+    /// Add an accessory or hardware row by hand
+    /// </summary>
+    [HttpPost]
+    public IActionResult AddAccessory([FromBody] AccessoryItem accessory)
+    {
+        var parsedPdf = GetSessionParsedPdf();
+        if (parsedPdf == null)
+        {
+            return Json(new { success = false, message = "No PDF data available. Please upload and parse a PDF first." });
+        }
+
+        var error = ValidateAccessory(accessory);
+        if (error != null)
+        {
+            return Json(new { success = false, message = error });
+        }
+
+        var added = new AccessoryItem
+        {
+            Id = NextAccessoryId(parsedPdf),
+            IsSelected = accessory.IsSelected,
+            IsManual = true
+        };
+        ApplyAccessoryEdit(added, accessory);
+        parsedPdf.Accessories.Add(added);
+
+        return Json(new { success = true, accessory = added });
+    }
+
+    /// <summary>
+    /// Save an edit to a manually added accessory row
+    /// </summary>
+    [HttpPost]
+    public IActionResult UpdateAccessory([FromBody] AccessoryItem accessory)
+    {
+        var parsedPdf = GetSessionParsedPdf();
+        var existing = parsedPdf?.Accessories.FirstOrDefault(a => a.Id == accessory.Id);
+        if (existing == null)
+        {
+            return Json(new { success = false, message = $"Accessory {accessory.Id} not found" });
+        }
+
+        var error = ValidateAccessory(accessory);
+        if (error != null)
+        {
+            return Json(new { success = false, message = error });
+        }
+
+        ApplyAccessoryEdit(existing, accessory);
+        existing.IsSelected = accessory.IsSelected;
+
+        return Json(new { success = true, accessory = existing });
+    }
+
+    /// <summary>
+    /// Duplicate an accessory row; the copy is inserted below the original
+    /// </summary>
+    [HttpPost]
+    public IActionResult DuplicateAccessory([FromBody] GridRowRequest request)
+    {
+        var parsedPdf = GetSessionParsedPdf();
+        var index = parsedPdf?.Accessories.FindIndex(a => a.Id == request.Id) ?? -1;
+        if (parsedPdf == null || index < 0)
+        {
+            return Json(new { success = false, message = $"Accessory {request.Id} not found" });
+        }
+
+        var source = parsedPdf.Accessories[index];
+        var copy = new AccessoryItem
+        {
+            Id = NextAccessoryId(parsedPdf),
+            RefNumber = source.RefNumber,
+            Amount = source.Amount,
+            Description = source.Description,
+            Finish = source.Finish,
+            Shade = source.Shade,
+            Source = source.Source,
+            IsSelected = source.IsSelected,
+            IsManual = true
+        };
+        parsedPdf.Accessories.Insert(index + 1, copy);
+
+        return Json(new { success = true, accessory = copy, afterId = source.Id });
+    }
+
+    /// <summary>
+    /// Remove an accessory row entirely
+    /// </summary>
+    [HttpPost]
+    public IActionResult DeleteAccessory([FromBody] GridRowRequest request)
+    {
+        var parsedPdf = GetSessionParsedPdf();
+        var existing = parsedPdf?.Accessories.FirstOrDefault(a => a.Id == request.Id);
+        if (parsedPdf == null || existing == null)
+        {
+            return Json(new { success = false, message = $"Accessory {request.Id} not found" });
+        }
+
+        parsedPdf.Accessories.Remove(existing);
+
+        return Json(new { success = true });
+    }
+
+    private ParsedPdfResult? GetSessionParsedPdf()
+    {
+        var sessionId = HttpContext.Session.GetString("ParsedPdfId");
+        if (string.IsNullOrEmpty(sessionId) || !ParsedPdfs.TryGetValue(sessionId, out var parsedPdf))
+        {
+            return null;
+        }
+        return parsedPdf;
+    }
+
+    /// <summary>
+    /// Simulation runs drive the bundled mock Cortizo site on this host instead of cortizocenter.com
+    /// </summary>
+    private AutomationConfig AutomationConfigFor(bool simulation)
+    {
+        return simulation
+            ? _automationConfig.WithBaseUrl($"{Request.Scheme}://{Request.Host}{MockCortizoController.BasePath}")
+            : _automationConfig;
+    }
+
+    /// <summary>
+    /// Queue an automation run. Events go through the queue so they reach the job's group and can be replayed.
+    /// </summary>
+    private void EnqueueAutomationJob(AutomationJob job,
+        Func<CortizoAutomationService, CancellationToken, Task<AutomationRunResult>> run)
+    {
+        // Capture services for closure
         var loggerFactory = _loggerFactory;
-        var automationConfig = _automationConfig;
-        var hubContext = _hubContext;
+        var logger = _logger;
+        var jobQueue = _jobQueue;
+        var automationConfig = AutomationConfigFor(job.Simulation);
         
-        _ = Task.Run(async () =>
+        _jobQueue.Enqueue(job, async cancellationToken =>
         {
             await using var automationService = new CortizoAutomationService(
                 loggerFactory.CreateLogger<CortizoAutomationService>(), automationConfig);
@@ -200,12 +774,32 @@ public class HomeController : Controller
             // Wire up log events to SignalR
             automationService.OnLog += async entry =>
             {
-                await hubContext.Clients.All.SendAsync("ReceiveLog", entry);
+                await jobQueue.PublishAsync(job, "ReceiveLog", entry);
+            };
+            automationService.OnProgress += async (eventName, progress) =>
+            {
+                await jobQueue.PublishAsync(job, eventName, progress);
             };
+            automationService.OnLiveFrame += async image =>
+            {
+                await jobQueue.SendLiveFrameAsync(job, image);
+            };
+            job.CaptureFrame = automationService.CaptureFrameAsync;
+            jobQueue.AttachLiveView(job, automationService.SetLiveViewWatched);
+
+            if (job.Simulation)
+            {
+                await jobQueue.PublishAsync(job, "ReceiveLog", new AutomationLogEntry
+                {
+                    Timestamp = DateTime.Now,
+                    Level = AutomationLogLevel.Warning,
+                    Message = $"Simulation mode: running against the mock Cortizo site at {automationConfig.BaseUrl}"
+                });
+            }
 
             // Send log file path info
             var logFileName = Path.GetFileName(automationService.LogFilePath);
-            await hubContext.Clients.All.SendAsync("ReceiveLog", new AutomationLogEntry
+            await jobQueue.PublishAsync(job, "ReceiveLog", new AutomationLogEntry
             {
                 Timestamp = DateTime.Now,
                 Level = AutomationLogLevel.Info,
@@ -215,16 +809,17 @@ public class HomeController : Controller
 
             try
             {
-                var result = await automationService.RunAutomationAsync(credentials, viewModel, profiles, accessories, cts.Token);
+                var result = await run(automationService, cancellationToken);
 
                 // Add log file path to result
                 result.TracePath = automationService.LogFilePath;
 
-                await hubContext.Clients.All.SendAsync("ReceiveComplete", result);
+                await jobQueue.PublishAsync(job, "ReceiveComplete", result);
+                return result;
             }
             catch (OperationCanceledException)
             {
-                await hubContext.Clients.All.SendAsync("ReceiveLog", new AutomationLogEntry
+                await jobQueue.PublishAsync(job, "ReceiveLog", new AutomationLogEntry
                 {
                     Timestamp = DateTime.Now,
                     Level = AutomationLogLevel.Warning,
@@ -234,81 +829,93 @@ public class HomeController : Controller
                 var cancelResult = new AutomationRunResult
                 {
                     Success = false,
+                    Stopped = true,
                     ErrorMessage = "Automation stopped by user",
                     TracePath = automationService.LogFilePath
                 };
-                await hubContext.Clients.All.SendAsync("ReceiveComplete", cancelResult);
+                await jobQueue.PublishAsync(job, "ReceiveComplete", cancelResult);
+                return cancelResult;
             }
-        });
+            catch (Exception ex)
+            {
+                // Still complete the run group, otherwise its tabs keep showing a running automation
+                logger.LogError(ex, "Automation job {JobId} failed", job.JobId);
+                await jobQueue.PublishAsync(job, "ReceiveLog", new AutomationLogEntry
+                {
+                    Timestamp = DateTime.Now,
+                    Level = AutomationLogLevel.Error,
+                    Message = $"Automation failed: {ex.Message}"
+                });
 
-        return Json(new { success = true, message = "Automation started" });
+                var failedResult = new AutomationRunResult
+                {
+                    Success = false,
+                    ErrorMessage = ex.Message,
+                    TracePath = automationService.LogFilePath
+                };
+                await jobQueue.PublishAsync(job, "ReceiveComplete", failedResult);
+                return failedResult;
+            }
+            finally
+            {
+                job.CaptureFrame = null;
+                jobQueue.AttachLiveView(job, null);
+            }
+        });
     }
 
-    [HttpGet]
-    public IActionResult DownloadFile(string path)
+    private static int NextProfileId(ParsedPdfResult parsedPdf)
     {
-        if (string.IsNullOrEmpty(path) || !System.IO.File.Exists(path))
-        {
-            return NotFound();
-        }
-
-        var fileName = Path.GetFileName(path);
-        var contentType = "application/octet-stream";
-
-        if (fileName.EndsWith(".png"))
-            contentType = "image/png";
-        else if (fileName.EndsWith(".zip"))
-            contentType = "application/zip";
-
-        return PhysicalFile(path, contentType, fileName);
+        var maxId = parsedPdf.Profiles.Count > 0 ? parsedPdf.Profiles.Max(p => p.Id) : 0;
+        parsedPdf.LastProfileId = Math.Max(parsedPdf.LastProfileId, maxId) + 1;
+        return parsedPdf.LastProfileId;
     }
 
-    [HttpPost]
-    public IActionResult StopAutomation()
+    private static int NextAccessoryId(ParsedPdfResult parsedPdf)
     {
-        if (_automationCts != null && !_automationCts.IsCancellationRequested)
-        {
-            _automationCts.Cancel();
-            _logger.LogInformation("Automation stop requested by user");
-            return Json(new { success = true, message = "Stop signal sent" });
-        }
-        return Json(new { success = false, message = "No automation running" });
+        var maxId = parsedPdf.Accessories.Count > 0 ? parsedPdf.Accessories.Max(a => a.Id) : 0;
+        parsedPdf.LastAccessoryId = Math.Max(parsedPdf.LastAccessoryId, maxId) + 1;
+        return parsedPdf.LastAccessoryId;
     }
 
-    [HttpGet]
-    public IActionResult GetParsedProfiles()
+    private static string? ValidateProfile(ProfileItem profile)
     {
-        var sessionId = HttpContext.Session.GetString("ParsedPdfId");
-        if (string.IsNullOrEmpty(sessionId) || !ParsedPdfs.TryGetValue(sessionId, out var parsedPdf))
-        {
-            return Json(new { success = false, profiles = new List<ProfileItem>() });
-        }
-
-        return Json(new { success = true, profiles = parsedPdf.Profiles });
+        if (string.IsNullOrWhiteSpace(profile.RefNumber))
+            return "Reference cannot be empty";
+        if (profile.Amount <= 0)
+            return "Amount must be a positive whole number";
+        return null;
     }
 
-    [HttpPost]
-    public IActionResult UpdateProfile([FromBody] ProfileItem profile)
+    private static void ApplyProfileEdit(ProfileItem target, ProfileItem edit)
     {
-        var sessionId = HttpContext.Session.GetString("ParsedPdfId");
-        if (string.IsNullOrEmpty(sessionId) || !ParsedPdfs.TryGetValue(sessionId, out var parsedPdf))
-        {
-            return Json(new { success = false });
-        }
+        target.RefNumber = edit.RefNumber.Trim();
+        target.Amount = edit.Amount;
+        target.Finish1 = edit.Finish1?.Trim() ?? string.Empty;
+        target.Shade1 = edit.Shade1?.Trim() ?? string.Empty;
+        target.Finish2 = edit.Finish2?.Trim() ?? string.Empty;
+        target.Shade2 = edit.Shade2?.Trim() ?? string.Empty;
+        target.ThermalBreak = edit.ThermalBreak;
+        target.IsSelected = edit.IsSelected;
+    }
 
-        var existing = parsedPdf.Profiles.FirstOrDefault(p => p.Id == profile.Id);
-        if (existing != null)
-        {
-            existing.RefNumber = profile.RefNumber;
-            existing.Amount = profile.Amount;
-            existing.Finish1 = profile.Finish1;
-            existing.Shade1 = profile.Shade1;
-            existing.Finish2 = profile.Finish2;
-            existing.Shade2 = profile.Shade2;
-            existing.IsSelected = profile.IsSelected;
-        }
+    private static string? ValidateAccessory(AccessoryItem accessory)
+    {
+        if (string.IsNullOrWhiteSpace(accessory.RefNumber))
+            return "Reference cannot be empty";
+        if (accessory.Amount <= 0)
+            return "Quantity must be a positive whole number";
+        return null;
+    }
 
-        return Json(new { success = true });
+    private static void ApplyAccessoryEdit(AccessoryItem target, AccessoryItem edit)
+    {
+        target.RefNumber = edit.RefNumber.Trim();
+        target.Amount = edit.Amount;
+        target.Description = edit.Description?.Trim() ?? string.Empty;
+        target.Finish = edit.Finish?.Trim() ?? string.Empty;
+        target.Shade = edit.Shade?.Trim() ?? string.Empty;
+        target.Source = edit.Source == "Hardware" ? "Hardware" : "Accessory";
     }
 
     /// <summary>
@@ -452,6 +1059,14 @@ public class HomeController : Controller
             // Create the quotation order
             var order = _quotationService.CreateQuotationFromProfiles(parsedPdf, viewModel, cortizoTotal);
 
+            // Missing calculation items for the summary report; the ones with a manual price become priced lines
+            if (request.MissingCalculationItems != null)
+                order.MissingCalculationItems = request.MissingCalculationItems;
+            var excelService = HttpContext.RequestServices.GetRequiredService<ExcelPriceService>();
+            var sessionPrices = ManualPrices.GetValueOrDefault(sessionId);
+            _quotationService.ApplyManualPrices(order,
+                (kind, reference) => excelService.FindManualPrice(kind, reference, sessionPrices)?.Price.UnitPrice);
+
             // Update with client info from request
             if (!string.IsNullOrEmpty(request.ClientName))
                 order.ClientName = request.ClientName;
@@ -475,10 +1090,6 @@ public class HomeController : Controller
                 order.UnfilledProfiles = request.UnfilledProfiles;
             if (request.UnfilledAccessories != null)
                 order.UnfilledAccessories = request.UnfilledAccessories;
-            
-            // Add missing calculation items for summary report
-            if (request.MissingCalculationItems != null)
-                order.MissingCalculationItems = request.MissingCalculationItems;
 
             // Save PDF to quotations folder
             var quotationsFolder = Path.Combine(Directory.GetCurrentDirectory(), "wwwroot", "quotations");
@@ -549,10 +1160,11 @@ public class HomeController : Controller
     #region Excel Price Calculation Endpoints
 
     /// <summary>
-    /// Upload and load profile prices Excel file
+    /// Upload a profile or accessory price list and preview its sheets with the proposed column mapping.
+    /// When a saved template matches the file's header signature, the prices are loaded with it right away.
     /// </summary>
     [HttpPost]
-    public async Task<IActionResult> UploadProfilePrices(IFormFile excelFile)
+    public async Task<IActionResult> UploadPriceList(IFormFile excelFile, ExcelPriceListKind kind)
     {
         if (excelFile == null || excelFile.Length == 0)
         {
@@ -567,77 +1179,175 @@ public class HomeController : Controller
 
         try
         {
-            var uploadsDir = Path.Combine(Directory.GetCurrentDirectory(), "wwwroot", "uploads", "prices");
+            var uploadsDir = PriceListUploadsDir();
             Directory.CreateDirectory(uploadsDir);
             
-            var filePath = Path.Combine(uploadsDir, $"profiles_{DateTime.Now:yyyyMMddHHmmss}.xlsx");
+            var fileId = $"{(kind == ExcelPriceListKind.Profile ? "profiles" : "accessories")}_{DateTime.Now:yyyyMMddHHmmss}.xlsx";
             
-            using (var stream = new FileStream(filePath, FileMode.Create))
+            using (var stream = new FileStream(Path.Combine(uploadsDir, fileId), FileMode.Create))
             {
                 await excelFile.CopyToAsync(stream);
             }
 
             var excelService = HttpContext.RequestServices.GetRequiredService<ExcelPriceService>();
-            var result = await excelService.LoadProfilePricesAsync(filePath);
-            var status = excelService.GetStatus();
+            var preview = excelService.PreviewPriceList(Path.Combine(uploadsDir, fileId), kind);
+            var templates = HttpContext.RequestServices.GetRequiredService<ExcelMappingTemplateService>().GetTemplates(kind);
+
+            if (preview.TemplateName == null)
+            {
+                return Json(new { success = true, loaded = false, fileId, fileName = excelFile.FileName, preview, templates });
+            }
 
+            var count = await LoadPriceListAsync(excelService, Path.Combine(uploadsDir, fileId), preview.Mapping);
             return Json(new
             {
-                success = result,
-                message = result ? $"Loaded {status.ProfilePricesCount} profile prices" : "Failed to load profile prices",
-                profilesCount = status.ProfilePricesCount,
-                fileName = excelFile.FileName
+                success = count != null,
+                loaded = count != null,
+                message = count != null
+                    ? $"Loaded {count} {PriceListLabel(kind)} prices using template '{preview.TemplateName}'"
+                    : $"Failed to load {PriceListLabel(kind)} prices",
+                count,
+                fileId,
+                fileName = excelFile.FileName,
+                preview,
+                templates
             });
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Failed to upload profile prices Excel");
+            _logger.LogError(ex, "Failed to upload {Kind} price list", kind);
             return Json(new { success = false, message = $"Error: {ex.Message}" });
         }
     }
 
     /// <summary>
-    /// Upload and load accessory prices Excel file
+    /// Sample rows an uploaded price list gives with a column mapping (live preview while mapping)
     /// </summary>
     [HttpPost]
-    public async Task<IActionResult> UploadAccessoryPrices(IFormFile excelFile)
+    public IActionResult SamplePriceList([FromBody] PriceListMappingRequest request)
     {
-        if (excelFile == null || excelFile.Length == 0)
+        var filePath = PriceListPath(request.FileId);
+        if (filePath == null)
         {
-            return Json(new { success = false, message = "No file uploaded" });
+            return Json(new { success = false, message = "Uploaded price list not found - upload it again" });
+        }
+        if (InvalidMapping(request.Mapping) is { } invalid)
+        {
+            return Json(new { success = false, message = invalid });
         }
 
         try
         {
-            var uploadsDir = Path.Combine(Directory.GetCurrentDirectory(), "wwwroot", "uploads", "prices");
-            Directory.CreateDirectory(uploadsDir);
-            
-            var filePath = Path.Combine(uploadsDir, $"accessories_{DateTime.Now:yyyyMMddHHmmss}.xlsx");
-            
-            using (var stream = new FileStream(filePath, FileMode.Create))
+            var excelService = HttpContext.RequestServices.GetRequiredService<ExcelPriceService>();
+            return Json(new { success = true, samples = excelService.SamplePriceList(filePath, request.Mapping) });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to sample price list {FileId}", request.FileId);
+            return Json(new { success = false, message = $"Error: {ex.Message}" });
+        }
+    }
+
+    /// <summary>
+    /// Load an uploaded price list with the chosen column mapping, optionally saving the mapping as a template
+    /// </summary>
+    [HttpPost]
+    public async Task<IActionResult> LoadPriceList([FromBody] PriceListMappingRequest request)
+    {
+        var filePath = PriceListPath(request.FileId);
+        if (filePath == null)
+        {
+            return Json(new { success = false, message = "Uploaded price list not found - upload it again" });
+        }
+        if (InvalidMapping(request.Mapping) is { } invalid)
+        {
+            return Json(new { success = false, message = invalid });
+        }
+
+        try
+        {
+            var excelService = HttpContext.RequestServices.GetRequiredService<ExcelPriceService>();
+            var mapping = request.Mapping;
+            var kind = mapping.Kind;
+            var count = await LoadPriceListAsync(excelService, filePath, mapping);
+            if (count == null)
             {
-                await excelFile.CopyToAsync(stream);
+                return Json(new { success = false, message = $"Failed to load {PriceListLabel(kind)} prices" });
             }
 
-            var excelService = HttpContext.RequestServices.GetRequiredService<ExcelPriceService>();
-            var result = await excelService.LoadAccessoryPricesAsync(filePath);
-            var status = excelService.GetStatus();
+            var templateService = HttpContext.RequestServices.GetRequiredService<ExcelMappingTemplateService>();
+            var templateName = request.TemplateName?.Trim();
+            if (!string.IsNullOrEmpty(templateName))
+            {
+                mapping.Name = templateName;
+                mapping.HeaderSignature = excelService.GetHeaderSignature(filePath, mapping);
+                templateService.Save(mapping);
+                _logger.LogInformation("Saved Excel mapping template '{Name}' for {Kind} price lists", templateName, kind);
+            }
 
             return Json(new
             {
-                success = result,
-                message = result ? $"Loaded {status.AccessoryPricesCount} accessory prices" : "Failed to load accessory prices",
-                accessoriesCount = status.AccessoryPricesCount,
-                fileName = excelFile.FileName
+                success = true,
+                message = $"Loaded {count} {PriceListLabel(kind)} prices",
+                count,
+                templates = templateService.GetTemplates(kind)
             });
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Failed to upload accessory prices Excel");
+            _logger.LogError(ex, "Failed to load price list {FileId}", request.FileId);
             return Json(new { success = false, message = $"Error: {ex.Message}" });
         }
     }
 
+    [HttpPost]
+    public IActionResult DeleteExcelMapping([FromBody] ExcelMappingRequest request)
+    {
+        var templateService = HttpContext.RequestServices.GetRequiredService<ExcelMappingTemplateService>();
+        if (!templateService.Delete(request.Kind, request.Name))
+        {
+            return Json(new { success = false, message = "Template not found" });
+        }
+        return Json(new { success = true, templates = templateService.GetTemplates(request.Kind) });
+    }
+
+    private static string PriceListUploadsDir() =>
+        Path.Combine(Directory.GetCurrentDirectory(), "wwwroot", "uploads", "prices");
+
+    /// <summary>
+    /// Path of an uploaded price list (file name only, so it cannot point outside the uploads folder)
+    /// </summary>
+    private static string? PriceListPath(string? fileId)
+    {
+        if (string.IsNullOrWhiteSpace(fileId)) return null;
+        var filePath = Path.Combine(PriceListUploadsDir(), Path.GetFileName(fileId));
+        return System.IO.File.Exists(filePath) ? filePath : null;
+    }
+
+    private static string? InvalidMapping(ExcelColumnMapping? mapping)
+    {
+        if (mapping == null) return "No column mapping given";
+        if (mapping.HeaderRow < 1) return "Choose the header row";
+        if (mapping.RefColumn < 1) return "Choose the reference column";
+        if (mapping.PriceColumn < 1) return "Choose the price column";
+        return null;
+    }
+
+    private static string PriceListLabel(ExcelPriceListKind kind) =>
+        kind == ExcelPriceListKind.Profile ? "profile" : "accessory";
+
+    /// <summary>
+    /// Load the price list with the mapping; the number of prices loaded, or null when loading failed
+    /// </summary>
+    private static async Task<int?> LoadPriceListAsync(ExcelPriceService excelService, string filePath, ExcelColumnMapping mapping)
+    {
+        if (mapping.Kind == ExcelPriceListKind.Profile)
+        {
+            return await excelService.LoadProfilePricesAsync(filePath, mapping) ? excelService.GetStatus().ProfilePricesCount : null;
+        }
+        return await excelService.LoadAccessoryPricesAsync(filePath, mapping) ? excelService.GetStatus().AccessoryPricesCount : null;
+    }
+
     /// <summary>
     /// Load Excel files from specified paths (for known/default locations)
     /// </summary>
@@ -726,10 +1436,13 @@ public class HomeController : Controller
                 accessories,
                 request.CustomWithBreakPrice,
                 request.CustomWithoutBreakPrice,
-                request.AccessoryDiscount
+                request.AccessoryDiscount,
+                request.UnitPriceOverrides,
+                request.LengthBasis,
+                ManualPrices.GetValueOrDefault(sessionId)
             );
 
-            // Build missing calculation items with full details
+            // Build missing calculation items with full details; manually priced ones stay listed with their price
             var missingItems = new List<MissingCalculationItem>();
             
             foreach (var refNum in result.UnmatchedProfiles)
@@ -760,6 +1473,38 @@ public class HomeController : Controller
                 });
             }
 
+            foreach (var item in result.ProfilesCalculated.Where(p => IsManuallyPriced(p.PriceRule)))
+            {
+                var profile = profiles.FirstOrDefault(p => p.Id == item.ItemId);
+                missingItems.Add(new MissingCalculationItem
+                {
+                    RefNumber = item.RefNumber,
+                    Quantity = (int)item.Amount,
+                    Description = item.Description,
+                    Finish = profile?.RawColour ?? "",
+                    Category = "Profile",
+                    Reason = "Not found in profile price list",
+                    ManualPrice = item.PricePerKg,
+                    Remembered = item.PriceRule == PriceRule.Supplementary
+                });
+            }
+
+            foreach (var item in result.AccessoriesCalculated.Where(a => IsManuallyPriced(a.PriceRule)))
+            {
+                var acc = accessories.FirstOrDefault(a => a.Id == item.ItemId);
+                missingItems.Add(new MissingCalculationItem
+                {
+                    RefNumber = item.RefNumber,
+                    Quantity = (int)item.Amount,
+                    Description = item.Description,
+                    Finish = acc?.Finish ?? "",
+                    Category = item.Category,
+                    Reason = "Not found in accessory price list",
+                    ManualPrice = item.PricePerUnit,
+                    Remembered = item.PriceRule == PriceRule.Supplementary
+                });
+            }
+
             return Json(new
             {
                 success = true,
@@ -771,6 +1516,7 @@ public class HomeController : Controller
                 accessoriesCalculated = result.AccessoriesCalculated,
                 unmatchedProfiles = result.UnmatchedProfiles,
                 unmatchedAccessories = result.UnmatchedAccessories,
+                keywordClassifiedProfiles = result.KeywordClassifiedProfiles,
                 missingCalculationItems = missingItems,
                 warnings = result.Warnings,
                 summary = new
@@ -779,7 +1525,9 @@ public class HomeController : Controller
                     profilesUnmatched = result.UnmatchedProfiles.Count,
                     accessoriesMatched = result.TotalAccessoriesMatched,
                     accessoriesUnmatched = result.UnmatchedAccessories.Count,
-                    totalMissing = missingItems.Count
+                    keywordClassified = result.KeywordClassifiedProfiles.Count,
+                    manuallyPriced = missingItems.Count(m => m.ManualPrice > 0),
+                    totalMissing = missingItems.Count(m => m.ManualPrice <= 0)
                 }
             });
         }
@@ -790,6 +1538,75 @@ public class HomeController : Controller
         }
     }
 
+    private static bool IsManuallyPriced(PriceRule rule) =>
+        rule == PriceRule.Manual || rule == PriceRule.Supplementary;
+
+    /// <summary>
+    /// Set or clear the price of a reference missing from the price lists for this session,
+    /// optionally remembering it in the supplementary price list
+    /// </summary>
+    [HttpPost]
+    public IActionResult SetManualPrice([FromBody] ManualPriceRequest request)
+    {
+        var sessionId = HttpContext.Session.GetString("ParsedPdfId");
+        if (string.IsNullOrEmpty(sessionId) || !ParsedPdfs.ContainsKey(sessionId))
+        {
+            return Json(new { success = false, message = "No PDF data available. Please upload and parse a PDF first." });
+        }
+
+        var reference = request.Reference?.Trim();
+        if (string.IsNullOrEmpty(reference))
+        {
+            return Json(new { success = false, message = "A reference is required" });
+        }
+        if (request.UnitPrice < 0)
+        {
+            return Json(new { success = false, message = "The price cannot be negative" });
+        }
+
+        if (!ManualPrices.TryGetValue(sessionId, out var prices))
+        {
+            prices = new List<ManualPrice>();
+            ManualPrices[sessionId] = prices;
+        }
+        prices.RemoveAll(p => p.Kind == request.Kind && string.Equals(p.Reference, reference, StringComparison.OrdinalIgnoreCase));
+
+        // Clearing the price or not remembering it also drops it from the supplementary list
+        var supplementaryService = HttpContext.RequestServices.GetRequiredService<SupplementaryPriceService>();
+        if (request.UnitPrice is > 0)
+        {
+            var price = new ManualPrice
+            {
+                Kind = request.Kind,
+                Reference = reference,
+                Description = request.Description?.Trim() ?? string.Empty,
+                UnitPrice = request.UnitPrice.Value
+            };
+            prices.Add(price);
+            if (request.Remember)
+            {
+                supplementaryService.Save(new ManualPrice
+                {
+                    Kind = price.Kind,
+                    Reference = price.Reference,
+                    Description = price.Description,
+                    UnitPrice = price.UnitPrice
+                });
+                _logger.LogInformation("Saved supplementary {Kind} price {Price} for {Reference}", request.Kind, price.UnitPrice, reference);
+            }
+            else
+            {
+                supplementaryService.Delete(request.Kind, reference);
+            }
+        }
+        else
+        {
+            supplementaryService.Delete(request.Kind, reference);
+        }
+
+        return Json(new { success = true });
+    }
+
     /// <summary>
     /// Get current Excel price data status
     /// </summary>
@@ -836,6 +1653,140 @@ public class HomeController : Controller
 
     #endregion
 
+    #region Price Preset Endpoints
+
+    /// <summary>
+    /// Customized-price presets saved for a client code
+    /// </summary>
+    [HttpGet]
+    public IActionResult ListPricePresets(string? clientCode)
+    {
+        var presetService = HttpContext.RequestServices.GetRequiredService<PricePresetService>();
+        return Json(new { success = true, presets = presetService.GetPresets(clientCode?.Trim() ?? string.Empty) });
+    }
+
+    /// <summary>
+    /// Save the customized prices as a named preset of the client (replaces a preset with the same name)
+    /// </summary>
+    [HttpPost]
+    public IActionResult SavePricePreset([FromBody] PricePreset preset)
+    {
+        preset.ClientCode = preset.ClientCode?.Trim() ?? string.Empty;
+        preset.Name = preset.Name?.Trim() ?? string.Empty;
+        if (string.IsNullOrEmpty(preset.ClientCode) || string.IsNullOrEmpty(preset.Name))
+        {
+            return Json(new { success = false, message = "A client code and a preset name are required" });
+        }
+
+        var presetService = HttpContext.RequestServices.GetRequiredService<PricePresetService>();
+        presetService.Save(preset);
+        _logger.LogInformation("Saved price preset '{Name}' for client {ClientCode}", preset.Name, preset.ClientCode);
+        return Json(new { success = true, presets = presetService.GetPresets(preset.ClientCode) });
+    }
+
+    [HttpPost]
+    public IActionResult DeletePricePreset([FromBody] PricePresetRequest request)
+    {
+        var presetService = HttpContext.RequestServices.GetRequiredService<PricePresetService>();
+        if (!presetService.Delete(request.ClientCode, request.Name))
+        {
+            return Json(new { success = false, message = "Preset not found" });
+        }
+        return Json(new { success = true, presets = presetService.GetPresets(request.ClientCode) });
+    }
+
+    #endregion
+
+    #region Bar Length Endpoints
+
+    /// <summary>
+    /// Bar lengths per profile reference used by the offline calculation
+    /// </summary>
+    [HttpGet]
+    public IActionResult ListBarLengths()
+    {
+        var barLengthService = HttpContext.RequestServices.GetRequiredService<BarLengthService>();
+        return Json(new { success = true, barLengths = barLengthService.GetAll() });
+    }
+
+    /// <summary>
+    /// Save the bar length of a reference (replaces the reference's previous length)
+    /// </summary>
+    [HttpPost]
+    public IActionResult SaveBarLength([FromBody] BarLength barLength)
+    {
+        barLength.Reference = barLength.Reference?.Trim() ?? string.Empty;
+        if (string.IsNullOrEmpty(barLength.Reference))
+        {
+            return Json(new { success = false, message = "A reference is required" });
+        }
+        if (barLength.Length <= 0 || barLength.Length > 20)
+        {
+            return Json(new { success = false, message = "The bar length must be between 0 and 20 m" });
+        }
+
+        var barLengthService = HttpContext.RequestServices.GetRequiredService<BarLengthService>();
+        barLengthService.Save(barLength);
+        _logger.LogInformation("Saved bar length {Length} m for profile {Reference}", barLength.Length, barLength.Reference);
+        return Json(new { success = true, barLengths = barLengthService.GetAll() });
+    }
+
+    [HttpPost]
+    public IActionResult DeleteBarLength([FromBody] ProfileReferenceRequest request)
+    {
+        var barLengthService = HttpContext.RequestServices.GetRequiredService<BarLengthService>();
+        if (!barLengthService.Delete(request.Reference))
+        {
+            return Json(new { success = false, message = "Bar length not found" });
+        }
+        return Json(new { success = true, barLengths = barLengthService.GetAll() });
+    }
+
+    #endregion
+
+    #region Thermal Break Endpoints
+
+    /// <summary>
+    /// Thermal-break classification per profile reference used by the offline calculation
+    /// </summary>
+    [HttpGet]
+    public IActionResult ListThermalBreaks()
+    {
+        var thermalBreakService = HttpContext.RequestServices.GetRequiredService<ThermalBreakService>();
+        return Json(new { success = true, thermalBreaks = thermalBreakService.GetAll() });
+    }
+
+    /// <summary>
+    /// Save the thermal-break classification of a reference (replaces the reference's previous one)
+    /// </summary>
+    [HttpPost]
+    public IActionResult SaveThermalBreak([FromBody] ThermalBreakMapping mapping)
+    {
+        mapping.Reference = mapping.Reference?.Trim() ?? string.Empty;
+        if (string.IsNullOrEmpty(mapping.Reference))
+        {
+            return Json(new { success = false, message = "A reference is required" });
+        }
+
+        var thermalBreakService = HttpContext.RequestServices.GetRequiredService<ThermalBreakService>();
+        thermalBreakService.Save(mapping);
+        _logger.LogInformation("Saved thermal break {ThermalBreak} for profile {Reference}", mapping.ThermalBreak, mapping.Reference);
+        return Json(new { success = true, thermalBreaks = thermalBreakService.GetAll() });
+    }
+
+    [HttpPost]
+    public IActionResult DeleteThermalBreak([FromBody] ProfileReferenceRequest request)
+    {
+        var thermalBreakService = HttpContext.RequestServices.GetRequiredService<ThermalBreakService>();
+        if (!thermalBreakService.Delete(request.Reference))
+        {
+            return Json(new { success = false, message = "Thermal-break classification not found" });
+        }
+        return Json(new { success = true, thermalBreaks = thermalBreakService.GetAll() });
+    }
+
+    #endregion
+
     [ResponseCache(Duration = 0, Location = ResponseCacheLocation.None, NoStore = true)]
     public IActionResult Error()
     {
@@ -843,6 +1794,14 @@ public class HomeController : Controller
     }
 }
 
+/// <summary>
+/// Request for a row action (duplicate/delete) in the profile or accessory grid
+/// </summary>
+public class GridRowRequest
+{
+    public int Id { get; set; }
+}
+
 /// <summary>
 /// Request to load Excel price files from paths
 /// </summary>
@@ -853,6 +1812,29 @@ public class LoadExcelPricesRequest
     public string? ColorDataPath { get; set; }
 }
 
+/// <summary>
+/// Request to sample or load an uploaded price list with a column mapping
+/// </summary>
+public class PriceListMappingRequest
+{
+    public string FileId { get; set; } = string.Empty;
+    public ExcelColumnMapping Mapping { get; set; } = new();
+    
+    /// <summary>
+    /// Save the mapping as a template with this name (LoadPriceList; empty to not save it)
+    /// </summary>
+    public string? TemplateName { get; set; }
+}
+
+/// <summary>
+/// Identifies a saved Excel mapping template
+/// </summary>
+public class ExcelMappingRequest
+{
+    public ExcelPriceListKind Kind { get; set; }
+    public string Name { get; set; } = string.Empty;
+}
+
 /// <summary>
 /// Request to calculate totals from Excel
 /// </summary>
@@ -863,6 +1845,50 @@ public class CalculateTotalsRequest
     public decimal? CustomWithBreakPrice { get; set; }
     public decimal? CustomWithoutBreakPrice { get; set; }
     public decimal? AccessoryDiscount { get; set; }
+    
+    /// <summary>
+    /// Unit prices entered in the price breakdown, replacing the list/custom price of single lines
+    /// </summary>
+    public List<UnitPriceOverride>? UnitPriceOverrides { get; set; }
+    
+    public ProfileLengthBasis LengthBasis { get; set; } = ProfileLengthBasis.Bars;
+}
+
+/// <summary>
+/// Price entered in the missing items table of the offline calculation
+/// </summary>
+public class ManualPriceRequest
+{
+    public ExcelPriceListKind Kind { get; set; }
+    public string Reference { get; set; } = string.Empty;
+    public string? Description { get; set; }
+    
+    /// <summary>
+    /// Unit price; null or 0 clears it
+    /// </summary>
+    public decimal? UnitPrice { get; set; }
+    
+    /// <summary>
+    /// Also keep the price in the supplementary price list for later sessions
+    /// </summary>
+    public bool Remember { get; set; }
+}
+
+/// <summary>
+/// Identifies a profile reference of the bar length or thermal-break table
+/// </summary>
+public class ProfileReferenceRequest
+{
+    public string Reference { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Identifies a client's price preset
+/// </summary>
+public class PricePresetRequest
+{
+    public string ClientCode { get; set; } = string.Empty;
+    public string Name { get; set; } = string.Empty;
 }
 
 /// <summary>
@@ -0,0 +1,222 @@
+using System.Globalization;
+using System.IO.Compression;
+using System.Text;
+using Microsoft.AspNetCore.Mvc;
+using VisorQuotationWebApp.Models;
+
+namespace VisorQuotationWebApp.Controllers;
+
+/// <summary>
+/// Local mock of the Cortizo Center pages the automation uses (login, quotations list, valuation grid,
+/// AJAX amount calculation and report download). Simulation runs point <see cref="AutomationConfig.BaseUrl"/> here
+/// so the whole dashboard flow can be exercised offline.
+/// </summary>
+[Route("mock-cortizo")]
+public class MockCortizoController : Controller
+{
+    public const string BasePath = "/mock-cortizo";
+
+    private readonly SimulationConfig _simulation;
+
+    // In-memory valuations so a retry can reopen one by number
+    private static readonly Dictionary<int, MockValuation> SavedValuations = new();
+    private static int _lastValuationNumber = 1000;
+
+    public MockCortizoController(AutomationConfig automationConfig)
+    {
+        _simulation = automationConfig.Simulation;
+    }
+
+    [HttpGet("Login.aspx")]
+    public IActionResult Login()
+    {
+        if (!_simulation.Enabled) return NotFound();
+        return View();
+    }
+
+    /// <summary>
+    /// Any username and password is accepted
+    /// </summary>
+    [HttpPost("Login.aspx")]
+    public IActionResult LoginPost()
+    {
+        if (!_simulation.Enabled) return NotFound();
+        return Redirect($"{BasePath}/Default.aspx");
+    }
+
+    [HttpGet("Default.aspx")]
+    public IActionResult Home()
+    {
+        if (!_simulation.Enabled) return NotFound();
+        return View();
+    }
+
+    [HttpGet("Valoraciones.aspx")]
+    public IActionResult Valuations()
+    {
+        if (!_simulation.Enabled) return NotFound();
+
+        List<MockValuation> valuations;
+        lock (SavedValuations)
+        {
+            valuations = SavedValuations.Values.OrderByDescending(v => v.Number).ToList();
+        }
+        return View(valuations);
+    }
+
+    [HttpGet("NuevaValoracion.aspx")]
+    public IActionResult NewValuation()
+    {
+        if (!_simulation.Enabled) return NotFound();
+
+        MockValuation valuation;
+        lock (SavedValuations)
+        {
+            valuation = new MockValuation { Number = ++_lastValuationNumber };
+            SavedValuations[valuation.Number] = valuation;
+        }
+        return Redirect($"{BasePath}/Valoracion.aspx?id={valuation.Number}");
+    }
+
+    [HttpGet("Valoracion.aspx")]
+    public IActionResult Valuation(int id)
+    {
+        if (!_simulation.Enabled) return NotFound();
+
+        lock (SavedValuations)
+        {
+            if (!SavedValuations.TryGetValue(id, out var valuation)) return NotFound();
+            return View(valuation);
+        }
+    }
+
+    /// <summary>
+    /// AJAX line calculation. Returns the description for a reference and, once a quantity is set,
+    /// the price and amount - or no amount for a share of rows set by the configured failure rates.
+    /// </summary>
+    [HttpPost("CalcularLinea")]
+    public async Task<IActionResult> CalculateLine([FromBody] MockLineRequest request)
+    {
+        if (!_simulation.Enabled) return NotFound();
+
+        await Task.Delay(_simulation.CalculationDelayMs);
+
+        var reference = (request.Reference ?? string.Empty).Trim();
+        if (string.IsNullOrEmpty(reference))
+        {
+            return Json(new { description = "", price = "", amount = "" });
+        }
+
+        var isAccessory = request.Type == "Accessory";
+        var description = isAccessory ? $"MOCK ACCESSORY {reference}" : $"MOCK PROFILE {reference}";
+        var price = MockPrice(reference, isAccessory);
+        if (request.Quantity <= 0)
+        {
+            return Json(new { description, price = "", amount = "" });
+        }
+
+        var failureRate = isAccessory ? _simulation.AccessoryFailureRate : _simulation.ProfileFailureRate;
+        decimal? amount = Random.Shared.NextDouble() < failureRate ? null : Math.Round(price * request.Quantity, 2);
+
+        lock (SavedValuations)
+        {
+            if (SavedValuations.TryGetValue(request.Valuation, out var valuation))
+            {
+                var rows = isAccessory ? valuation.Accessories : valuation.Profiles;
+                rows[request.Row] = new MockValuationRow
+                {
+                    Reference = reference,
+                    Quantity = request.Quantity,
+                    Description = description,
+                    Price = price,
+                    Amount = amount
+                };
+            }
+        }
+
+        return Json(new
+        {
+            description,
+            price = price.ToString("0.00", CultureInfo.InvariantCulture),
+            amount = amount?.ToString("0.00", CultureInfo.InvariantCulture) ?? ""
+        });
+    }
+
+    /// <summary>
+    /// Valuation report: a ZIP with the rows as CSV, sent as a download like Cortizo's GENERATE REPORT
+    /// </summary>
+    [HttpGet("Informe.ashx")]
+    public IActionResult Report(int id)
+    {
+        if (!_simulation.Enabled) return NotFound();
+
+        var csv = new StringBuilder("Type;Row;Reference;Quantity;Description;Price;Amount\n");
+        lock (SavedValuations)
+        {
+            if (!SavedValuations.TryGetValue(id, out var valuation)) return NotFound();
+
+            foreach (var (type, rows) in new[] { ("Profile", valuation.Profiles), ("Accessory", valuation.Accessories) })
+            {
+                foreach (var (row, line) in rows.OrderBy(r => r.Key))
+                {
+                    csv.AppendLine(string.Join(';', type, row, line.Reference, line.Quantity, line.Description,
+                        line.Price.ToString("0.00", CultureInfo.InvariantCulture),
+                        line.Amount?.ToString("0.00", CultureInfo.InvariantCulture) ?? ""));
+                }
+            }
+        }
+
+        using var zipStream = new MemoryStream();
+        using (var archive = new ZipArchive(zipStream, ZipArchiveMode.Create, true))
+        {
+            var entry = archive.CreateEntry($"Valoracion_{id}.csv");
+            using var writer = new StreamWriter(entry.Open());
+            writer.Write(csv.ToString());
+        }
+
+        return File(zipStream.ToArray(), "application/zip", $"Valoracion_{id}_mock.zip");
+    }
+
+    /// <summary>
+    /// Stable made-up unit price per reference
+    /// </summary>
+    private static decimal MockPrice(string reference, bool isAccessory)
+    {
+        var hash = reference.Aggregate(17, (h, c) => unchecked(h * 31 + c)) & 0x7fffffff;
+        return isAccessory ? 0.5m + hash % 2000 / 100m : 5m + hash % 4000 / 100m;
+    }
+}
+
+/// <summary>
+/// A valuation on the mock Cortizo site; rows are keyed by grid row number
+/// </summary>
+public class MockValuation
+{
+    public int Number { get; set; }
+    public DateTime CreatedAt { get; set; } = DateTime.Now;
+    public Dictionary<int, MockValuationRow> Profiles { get; set; } = new();
+    public Dictionary<int, MockValuationRow> Accessories { get; set; } = new();
+
+    /// <summary>
+    /// Sum of the calculated amounts (the ESTIMATE TOTAL)
+    /// </summary>
+    public decimal Total => Profiles.Values.Concat(Accessories.Values).Sum(r => r.Amount ?? 0);
+}
+
+public class MockValuationRow
+{
+    public string Reference { get; set; } = string.Empty;
+    public int Quantity { get; set; }
+    public string Description { get; set; } = string.Empty;
+    public decimal Price { get; set; }
+    public decimal? Amount { get; set; }
+}
+
+public class MockLineRequest
+{
+    public int Valuation { get; set; }
+    public string Type { get; set; } = "Profile";
+    public int Row { get; set; }
+    public string? Reference { get; set; }
+    public int Quantity { get; set; }
+}
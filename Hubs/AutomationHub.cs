@@ -1,25 +1,81 @@
 using Microsoft.AspNetCore.SignalR;
 using VisorQuotationWebApp.Models;
+using VisorQuotationWebApp.Services;
 
 namespace VisorQuotationWebApp.Hubs;
 
 /// <summary>
-/// SignalR hub for real-time automation progress updates
+/// SignalR hub for real-time automation progress updates.
+/// Events of a run go only to its group: the tab that started it plus anyone who joined to watch.
 /// </summary>
 public class AutomationHub : Hub
 {
-    public async Task SendLog(AutomationLogEntry logEntry)
+    private readonly AutomationJobQueue _jobQueue;
+
+    public AutomationHub(AutomationJobQueue jobQueue)
+    {
+        _jobQueue = jobQueue;
+    }
+
+    /// <summary>
+    /// SignalR group that receives the events of one automation run (one per queued job)
+    /// </summary>
+    public static string RunGroup(string jobId) => $"automation-run-{jobId}";
+
+    /// <summary>
+    /// Start receiving the events of a run (used to watch a colleague's run read-only,
+    /// and to re-join after a reconnect or page reload).
+    /// Returns the events sent so far; the caller replays them and skips live events it already has.
+    /// </summary>
+    public async Task<List<AutomationReplayEvent>> JoinRun(string jobId)
+    {
+        await Groups.AddToGroupAsync(Context.ConnectionId, RunGroup(jobId));
+
+        var job = _jobQueue.GetJob(jobId);
+        return job == null ? new List<AutomationReplayEvent>() : _jobQueue.GetEvents(job);
+    }
+
+    /// <summary>
+    /// Stop receiving the events of a run
+    /// </summary>
+    public async Task LeaveRun(string jobId)
+    {
+        await Groups.RemoveFromGroupAsync(Context.ConnectionId, RunGroup(jobId));
+    }
+
+    /// <summary>
+    /// SignalR group that receives the live-view frames of a run (only clients with the live view open)
+    /// </summary>
+    public static string LiveViewGroup(string jobId) => $"automation-live-{jobId}";
+
+    /// <summary>
+    /// Open the live view of a run; the server only takes frames while the run has viewers
+    /// </summary>
+    public async Task JoinLiveView(string jobId)
+    {
+        await Groups.AddToGroupAsync(Context.ConnectionId, LiveViewGroup(jobId));
+        _jobQueue.AddLiveViewer(jobId, Context.ConnectionId);
+    }
+
+    public async Task LeaveLiveView(string jobId)
     {
-        await Clients.All.SendAsync("ReceiveLog", logEntry);
+        await Groups.RemoveFromGroupAsync(Context.ConnectionId, LiveViewGroup(jobId));
+        _jobQueue.RemoveLiveViewer(Context.ConnectionId, jobId);
     }
 
-    public async Task SendProgress(int current, int total, string status)
+    public override Task OnDisconnectedAsync(Exception? exception)
     {
-        await Clients.All.SendAsync("ReceiveProgress", current, total, status);
+        // SignalR drops the connection's groups itself; the live-view frames must stop as well
+        _jobQueue.RemoveLiveViewer(Context.ConnectionId);
+        return base.OnDisconnectedAsync(exception);
     }
 
-    public async Task SendComplete(AutomationRunResult result)
+    /// <summary>
+    /// Take a live-view frame right away ("capture now"). Returns null when the run has no open page.
+    /// </summary>
+    public async Task<string?> CaptureLiveFrame(string jobId)
     {
-        await Clients.All.SendAsync("ReceiveComplete", result);
+        var capture = _jobQueue.GetJob(jobId)?.CaptureFrame;
+        return capture == null ? null : await capture();
     }
 }
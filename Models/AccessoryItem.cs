@@ -41,4 +41,14 @@ public class AccessoryItem
     /// Source section in the PDF: "Accessory" or "Hardware"
     /// </summary>
     public string Source { get; set; } = "Accessory";
+    
+    /// <summary>
+    /// Whether the row was added by hand rather than extracted from the PDF
+    /// </summary>
+    public bool IsManual { get; set; }
+    
+    /// <summary>
+    /// Position of the source line in the PDF, if it could be located
+    /// </summary>
+    public PdfSourceLocation? Location { get; set; }
 }
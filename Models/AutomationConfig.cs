@@ -30,6 +30,11 @@ public class AutomationConfig
     /// </summary>
     public string DefaultLanguage { get; set; } = "ENGLISH";
     
+    /// <summary>
+    /// Default customized prices and discounts, until a client preset is chosen
+    /// </summary>
+    public CustomizedPrices DefaultCustomizedPrices { get; set; } = new();
+    
     /// <summary>
     /// Finish/shade mappings based on raw colour text
     /// </summary>
@@ -44,6 +49,36 @@ public class AutomationConfig
     /// Timeout for browser operations in milliseconds
     /// </summary>
     public int TimeoutMs { get; set; } = 30000;
+    
+    /// <summary>
+    /// How many automation runs (browser sessions) may run at once; further runs wait in the job queue
+    /// </summary>
+    public int MaxConcurrentRuns { get; set; } = 1;
+    
+    /// <summary>
+    /// How often the dashboard's live view gets a new frame of the automation page, in milliseconds (0 turns it off)
+    /// </summary>
+    public int LiveViewIntervalMs { get; set; } = 2000;
+    
+    /// <summary>
+    /// A row is marked slow when it takes longer than this many times the average of the previous rows of its type
+    /// </summary>
+    public double SlowRowFactor { get; set; } = 2.0;
+    
+    /// <summary>
+    /// Local mock Cortizo site used by simulation runs
+    /// </summary>
+    public SimulationConfig Simulation { get; set; } = new();
+    
+    /// <summary>
+    /// Copy of this configuration pointing at another Cortizo site (the local mock for simulation runs)
+    /// </summary>
+    public AutomationConfig WithBaseUrl(string baseUrl)
+    {
+        var copy = (AutomationConfig)MemberwiseClone();
+        copy.BaseUrl = baseUrl;
+        return copy;
+    }
 }
 
 /// <summary>
@@ -56,3 +91,29 @@ public class FinishMapping
     public string Finish2 { get; set; } = string.Empty;
     public string Shade2 { get; set; } = string.Empty;
 }
+
+/// <summary>
+/// Behaviour of the local mock Cortizo site (/mock-cortizo) used by simulation runs
+/// </summary>
+public class SimulationConfig
+{
+    /// <summary>
+    /// Whether simulation runs (and the mock site) are available
+    /// </summary>
+    public bool Enabled { get; set; } = true;
+    
+    /// <summary>
+    /// Share of profile rows (0-1) whose amount the mock does not calculate
+    /// </summary>
+    public double ProfileFailureRate { get; set; } = 0.1;
+    
+    /// <summary>
+    /// Share of accessory rows (0-1) whose amount the mock does not calculate
+    /// </summary>
+    public double AccessoryFailureRate { get; set; } = 0.1;
+    
+    /// <summary>
+    /// Delay of the mock's AJAX calculations in milliseconds
+    /// </summary>
+    public int CalculationDelayMs { get; set; } = 200;
+}
@@ -0,0 +1,105 @@
+using System.Text.Json.Serialization;
+
+namespace VisorQuotationWebApp.Models;
+
+/// <summary>
+/// An automation run waiting in, or taken from, the job queue.
+/// Other users can join a job's run to watch it (read-only).
+/// </summary>
+public class AutomationJob
+{
+    public string JobId { get; set; } = Guid.NewGuid().ToString("N");
+    
+    /// <summary>
+    /// Project name from the PDF header, to tell jobs apart
+    /// </summary>
+    public string ProjectName { get; set; } = string.Empty;
+    
+    /// <summary>
+    /// Uploaded stock list file name
+    /// </summary>
+    public string FileName { get; set; } = string.Empty;
+    
+    public AutomationJobStatus Status { get; set; } = AutomationJobStatus.Queued;
+    
+    public DateTime QueuedAt { get; set; } = DateTime.Now;
+    
+    public DateTime? StartedAt { get; set; }
+    
+    public DateTime? CompletedAt { get; set; }
+    
+    /// <summary>
+    /// Why the job failed, when Status is Failed
+    /// </summary>
+    public string? ErrorMessage { get; set; }
+    
+    /// <summary>
+    /// Job whose unfilled rows this job retries (null for a full run)
+    /// </summary>
+    public string? RetryOfJobId { get; set; }
+
+    /// <summary>
+    /// Run against the bundled mock Cortizo site instead of the real one
+    /// </summary>
+    public bool Simulation { get; set; }
+
+    /// <summary>
+    /// Takes a live-view frame (base64 JPEG) of the automation page while the job runs; null otherwise
+    /// </summary>
+    [JsonIgnore]
+    public Func<Task<string?>>? CaptureFrame { get; set; }
+
+    /// <summary>
+    /// Starts (true) or stops (false) the periodic live-view frames while the job runs; null otherwise
+    /// </summary>
+    [JsonIgnore]
+    public Action<bool>? WatchLiveView { get; set; }
+
+    /// <summary>
+    /// SignalR connections that have the run's live view open; frames are only taken while there are any
+    /// </summary>
+    [JsonIgnore]
+    public HashSet<string> LiveViewers { get; } = new();
+    
+    /// <summary>
+    /// Result of the finished run, kept so its unfilled rows can be retried
+    /// </summary>
+    [JsonIgnore]
+    public AutomationRunResult? Result { get; set; }
+    
+    /// <summary>
+    /// Session that queued the job; only that session may cancel it
+    /// </summary>
+    [JsonIgnore]
+    public string OwnerSessionId { get; set; } = string.Empty;
+    
+    /// <summary>
+    /// Parsed PDF the job was started for, so a reload only restores a finished run for the same upload
+    /// </summary>
+    [JsonIgnore]
+    public string ParsedPdfId { get; set; } = string.Empty;
+    
+    /// <summary>
+    /// Every event sent for the run, in order (see <see cref="AutomationReplayEvent"/>)
+    /// </summary>
+    [JsonIgnore]
+    public List<AutomationReplayEvent> Events { get; } = new();
+    
+    [JsonIgnore]
+    public CancellationTokenSource Cancellation { get; } = new();
+    
+    public bool IsActive => Status is AutomationJobStatus.Queued or AutomationJobStatus.Running;
+}
+
+/// <summary>
+/// Serialized as text so MVC JSON responses match the SignalR queue events
+/// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum AutomationJobStatus
+{
+    Queued,
+    Running,
+    Done,
+    Failed,
+    Cancelled
+}
@@ -0,0 +1,156 @@
+using System.Text.Json.Serialization;
+
+namespace VisorQuotationWebApp.Models;
+
+/// <summary>
+/// SignalR method names for the structured automation progress events.
+/// The dashboard is driven by these; log messages are informational only.
+/// </summary>
+public static class AutomationEvents
+{
+    /// <summary>
+    /// A dashboard step began (Step, Message; Count for the profile/accessory steps)
+    /// </summary>
+    public const string StepStarted = "StepStarted";
+
+    /// <summary>
+    /// A sub-stage inside the current step (Step, Message)
+    /// </summary>
+    public const string StepProgress = "StepProgress";
+
+    public const string StepCompleted = "StepCompleted";
+
+    /// <summary>
+    /// A step failed (Step, Message); the run may carry on with the next step
+    /// </summary>
+    public const string StepFailed = "StepFailed";
+
+    /// <summary>
+    /// A profile or accessory row is being typed into Cortizo
+    /// </summary>
+    public const string RowStarted = "RowStarted";
+
+    /// <summary>
+    /// Cortizo calculated an amount for the row (CalculatedAmount)
+    /// </summary>
+    public const string RowFilled = "RowFilled";
+
+    /// <summary>
+    /// Cortizo did not calculate an amount for the row (Message holds the reason)
+    /// </summary>
+    public const string RowUnfilled = "RowUnfilled";
+
+    /// <summary>
+    /// JPEG frame of the automation page for the live view. Sent only to the run's live-view group
+    /// and not recorded for replay.
+    /// </summary>
+    public const string LiveFrame = "LiveFrame";
+
+    /// <summary>
+    /// The Cortizo ESTIMATE TOTAL was read from the page (CortizoTotal)
+    /// </summary>
+    public const string TotalExtracted = "TotalExtracted";
+
+    /// <summary>
+    /// The automation job queue changed (sent to every client with the queue panel's job list)
+    /// </summary>
+    public const string QueueChanged = "QueueChanged";
+}
+
+/// <summary>
+/// Payload of an automation progress event. Only the fields relevant to the event are set.
+/// </summary>
+public class AutomationProgressEvent
+{
+    public DateTime Timestamp { get; set; } = DateTime.Now;
+
+    public AutomationStep? Step { get; set; }
+
+    /// <summary>
+    /// Human-readable label for the progress bar, or the failure/unfilled reason
+    /// </summary>
+    public string? Message { get; set; }
+
+    /// <summary>
+    /// Number of rows the step will fill (StepStarted) or the row count of the current step (row events)
+    /// </summary>
+    public int? Count { get; set; }
+
+    /// <summary>
+    /// Rows the profile and accessory steps of the run fill together (StepStarted of those steps),
+    /// so the dashboard can size the progress bar to the workload
+    /// </summary>
+    public int? TotalRows { get; set; }
+
+    public AutomationItemType? ItemType { get; set; }
+
+    /// <summary>
+    /// Cortizo grid row number (e.g. "0001")
+    /// </summary>
+    public string? RowNumber { get; set; }
+
+    /// <summary>
+    /// 1-based position of the row within its step
+    /// </summary>
+    public int? Index { get; set; }
+
+    public string? RefNumber { get; set; }
+    public int? Amount { get; set; }
+    public string? Description { get; set; }
+
+    /// <summary>
+    /// Cortizo finish codes and shades sent for a profile row (after falling back to the header colour)
+    /// </summary>
+    public string? Finish1 { get; set; }
+    public string? Shade1 { get; set; }
+    public string? Finish2 { get; set; }
+    public string? Shade2 { get; set; }
+
+    /// <summary>
+    /// Colour of an accessory row
+    /// </summary>
+    public string? Finish { get; set; }
+
+    /// <summary>
+    /// Amount (importe) Cortizo calculated for the row, as shown on the page
+    /// </summary>
+    public string? CalculatedAmount { get; set; }
+
+    /// <summary>
+    /// Time from RowStarted until the row's amount was checked, in milliseconds (RowFilled/RowUnfilled)
+    /// </summary>
+    public long? DurationMs { get; set; }
+
+    /// <summary>
+    /// The row took much longer than the previous rows of its type (see AutomationConfig.SlowRowFactor)
+    /// </summary>
+    public bool? Slow { get; set; }
+
+    /// <summary>
+    /// Cropped screenshot of an unfilled row (RowUnfilled), under /downloads/snapshots
+    /// </summary>
+    public string? SnapshotUrl { get; set; }
+
+    public decimal? CortizoTotal { get; set; }
+}
+
+/// <summary>
+/// Dashboard steps of an automation run.
+/// Serialized as text so replayed events (MVC JSON) match the live SignalR ones.
+/// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum AutomationStep
+{
+    Login,
+    Header,
+    Profiles,
+    Accessories,
+    Total
+}
+
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum AutomationItemType
+{
+    Profile,
+    Accessory
+}
@@ -0,0 +1,20 @@
+namespace VisorQuotationWebApp.Models;
+
+/// <summary>
+/// A SignalR event sent for an automation run, kept so a reloaded or late-joining page
+/// can rebuild the dashboard before resuming live updates
+/// </summary>
+public class AutomationReplayEvent
+{
+    /// <summary>
+    /// 1-based position in the run's event stream; also sent with the live event so clients can skip duplicates
+    /// </summary>
+    public int Sequence { get; set; }
+    
+    /// <summary>
+    /// SignalR method name (ReceiveLog, StepStarted, ReceiveComplete, ...)
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+    
+    public object Payload { get; set; } = new();
+}
@@ -7,9 +7,49 @@ public class AutomationRunResult
 {
     public bool Success { get; set; }
     public string? ErrorMessage { get; set; }
+    
+    /// <summary>
+    /// The run was cancelled with the Stop button
+    /// </summary>
+    public bool Stopped { get; set; }
+    
+    /// <summary>
+    /// This run re-entered the unfilled rows of an earlier run instead of creating a valuation
+    /// </summary>
+    public bool IsRetry { get; set; }
+    
+    /// <summary>
+    /// Unfilled rows re-entered by a retry run
+    /// </summary>
+    public int RetriedItems { get; set; }
+    
+    /// <summary>
+    /// Cortizo valuation number, used to reopen the valuation to retry unfilled rows (null if not found on the page)
+    /// </summary>
+    public string? ValuationNumber { get; set; }
     public int TotalItems { get; set; }
     public int SuccessfulItems { get; set; }
     public int FailedItems { get; set; }
+    
+    /// <summary>
+    /// Profile rows submitted to Cortizo
+    /// </summary>
+    public int SubmittedProfiles { get; set; }
+    
+    /// <summary>
+    /// Accessory rows (Accessories section) submitted to Cortizo
+    /// </summary>
+    public int SubmittedAccessories { get; set; }
+    
+    /// <summary>
+    /// Accessory rows from the Hardware section submitted to Cortizo
+    /// </summary>
+    public int SubmittedHardware { get; set; }
+    
+    /// <summary>
+    /// Accessory/hardware rows left out (unchecked in the grid or section skipped)
+    /// </summary>
+    public int SkippedAccessories { get; set; }
     public List<AutomationLogEntry> Logs { get; set; } = new();
     public string? ScreenshotPath { get; set; }
     public string? TracePath { get; set; }
@@ -43,6 +83,41 @@ public class AutomationRunResult
     /// Original filename of the Cortizo report ZIP
     /// </summary>
     public string? ReportFileName { get; set; }
+    
+    /// <summary>
+    /// How long the run and its rows took, to compare run performance
+    /// </summary>
+    public AutomationTimingSummary? Timing { get; set; }
+}
+
+/// <summary>
+/// Timing of an automation run, measured per row from RowStarted to the row's amount check
+/// </summary>
+public class AutomationTimingSummary
+{
+    public double TotalSeconds { get; set; }
+    public int ProfileRows { get; set; }
+    public long ProfileAverageMs { get; set; }
+    public int AccessoryRows { get; set; }
+    public long AccessoryAverageMs { get; set; }
+    
+    /// <summary>
+    /// Rows per minute of row-filling time (login, header and the final check excluded)
+    /// </summary>
+    public double RowsPerMinute { get; set; }
+    
+    /// <summary>
+    /// Rows marked slow during the run
+    /// </summary>
+    public List<RowTiming> SlowRows { get; set; } = new();
+}
+
+public class RowTiming
+{
+    public AutomationItemType ItemType { get; set; }
+    public string RowNumber { get; set; } = string.Empty;
+    public string? RefNumber { get; set; }
+    public long DurationMs { get; set; }
 }
 
 /// <summary>
@@ -50,11 +125,20 @@ public class AutomationRunResult
 /// </summary>
 public class UnfilledItem
 {
+    /// <summary>
+    /// Id of the profile/accessory grid row, so a retry picks up edits made in the grid
+    /// </summary>
+    public int ItemId { get; set; }
     public string RowNumber { get; set; } = string.Empty;
     public string RefNumber { get; set; } = string.Empty;
     public int Amount { get; set; }
     public string Description { get; set; } = string.Empty;
     public string Reason { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Cropped screenshot of the row in Cortizo, under /downloads/snapshots
+    /// </summary>
+    public string? SnapshotUrl { get; set; }
 }
 
 /// <summary>
@@ -0,0 +1,16 @@
+namespace VisorQuotationWebApp.Models;
+
+/// <summary>
+/// Bar length of a profile reference, overriding the price list's (or the 6 m default) in the offline calculation
+/// </summary>
+public class BarLength
+{
+    public string Reference { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Length of one bar in metres
+    /// </summary>
+    public decimal Length { get; set; }
+
+    public DateTime UpdatedAt { get; set; } = DateTime.Now;
+}
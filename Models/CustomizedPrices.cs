@@ -0,0 +1,48 @@
+namespace VisorQuotationWebApp.Models;
+
+/// <summary>
+/// Cortizo "customized prices" section of a valuation. Empty values are left blank in Cortizo.
+/// The offline Excel calculation uses the same with/without break prices and accessory discount.
+/// </summary>
+public class CustomizedPrices
+{
+    /// <summary>
+    /// Systems aluminium, with thermal break (€/kg)
+    /// </summary>
+    public decimal? WithBreak { get; set; } = 7.56m;
+
+    /// <summary>
+    /// Systems aluminium, without thermal break (€/kg)
+    /// </summary>
+    public decimal? WithoutBreak { get; set; } = 5.16m;
+
+    /// <summary>
+    /// Systems aluminium, lacquered (€/kg)
+    /// </summary>
+    public decimal? Lacquered { get; set; }
+
+    /// <summary>
+    /// Systems aluminium, anodized (€/kg)
+    /// </summary>
+    public decimal? Anodized { get; set; }
+
+    /// <summary>
+    /// Systems PVC, PVC discount (%)
+    /// </summary>
+    public decimal? PvcDiscount { get; set; } = 15m;
+
+    /// <summary>
+    /// Systems PVC, aluminium discount (%)
+    /// </summary>
+    public decimal? AluminiumDiscount { get; set; } = 10m;
+
+    /// <summary>
+    /// Systems PVC, steel discount (%)
+    /// </summary>
+    public decimal? SteelDiscount { get; set; }
+
+    /// <summary>
+    /// Discount in aluminium and PVC accessories (%)
+    /// </summary>
+    public decimal? AccessoryDiscount { get; set; } = 10m;
+}
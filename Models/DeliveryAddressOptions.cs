@@ -0,0 +1,24 @@
+namespace VisorQuotationWebApp.Models;
+
+/// <summary>
+/// Delivery addresses offered by the Cortizo valuation header, read from Cortizo on demand
+/// </summary>
+public class DeliveryAddressOptions
+{
+    /// <summary>
+    /// Options of the profiles delivery dropdown
+    /// </summary>
+    public List<string> Profiles { get; set; } = new();
+
+    /// <summary>
+    /// Options of the accessories delivery dropdown
+    /// </summary>
+    public List<string> Accessories { get; set; } = new();
+
+    /// <summary>
+    /// Options of the PVC delivery dropdown
+    /// </summary>
+    public List<string> Pvc { get; set; } = new();
+
+    public DateTime LoadedAt { get; set; } = DateTime.Now;
+}
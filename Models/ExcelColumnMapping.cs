@@ -0,0 +1,56 @@
+using System.Text.Json.Serialization;
+
+namespace VisorQuotationWebApp.Models;
+
+/// <summary>
+/// Where the prices are in an Excel price list: sheet, header row and the columns to read.
+/// Saved with a name as a template, it is applied automatically to files with the same header signature.
+/// </summary>
+public class ExcelColumnMapping
+{
+    /// <summary>
+    /// Template name (empty for a mapping that is not saved)
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    public ExcelPriceListKind Kind { get; set; }
+
+    public string SheetName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// 1-based row holding the column headers; data starts on the next row
+    /// </summary>
+    public int HeaderRow { get; set; } = 1;
+
+    /// <summary>
+    /// 1-based columns; the optional ones are null when the file does not have them
+    /// </summary>
+    public int RefColumn { get; set; } = 1;
+    public int PriceColumn { get; set; } = 2;
+    public int? WeightColumn { get; set; }
+
+    /// <summary>
+    /// Bar length per reference (profiles only), in metres or millimetres
+    /// </summary>
+    public int? BarLengthColumn { get; set; }
+
+    /// <summary>
+    /// Thermal-break flag per reference (profiles only): yes/si/x/1/RPT or no/0
+    /// </summary>
+    public int? ThermalBreakColumn { get; set; }
+    public int? DescriptionColumn { get; set; }
+
+    /// <summary>
+    /// Header row cells (trimmed, upper case) joined by "|", to recognise files of the same layout
+    /// </summary>
+    public string HeaderSignature { get; set; } = string.Empty;
+
+    public DateTime UpdatedAt { get; set; } = DateTime.Now;
+}
+
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum ExcelPriceListKind
+{
+    Profile,
+    Accessory
+}
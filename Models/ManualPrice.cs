@@ -0,0 +1,18 @@
+namespace VisorQuotationWebApp.Models;
+
+/// <summary>
+/// Unit price entered by hand for a reference missing from the Excel price lists
+/// (€ per bar for profiles, per piece for accessories and hardware; no discount is applied to it)
+/// </summary>
+public class ManualPrice
+{
+    public ExcelPriceListKind Kind { get; set; }
+
+    public string Reference { get; set; } = string.Empty;
+
+    public string Description { get; set; } = string.Empty;
+
+    public decimal UnitPrice { get; set; }
+
+    public DateTime UpdatedAt { get; set; } = DateTime.Now;
+}
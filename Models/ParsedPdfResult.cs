@@ -8,8 +8,33 @@ public class ParsedPdfResult
     public PdfHeaderInfo Header { get; set; } = new();
     public List<ProfileItem> Profiles { get; set; } = new();
     public List<AccessoryItem> Accessories { get; set; } = new();
+
+    /// <summary>
+    /// Hardware items as parsed; they are merged into Accessories, which the grid edits afterwards
+    /// </summary>
     public List<AccessoryItem> HardwareItems { get; set; } = new();
+
     public List<string> ParseWarnings { get; set; } = new();
+
+    /// <summary>
+    /// Lines inside the item sections that were not recognised as line items
+    /// </summary>
+    public List<SkippedPdfLine> SkippedLines { get; set; } = new();
+
+    /// <summary>
+    /// Profiles whose RawColour matched no FinishMappings entry and got a built-in default finish
+    /// </summary>
+    public List<int> UnmappedColourProfileIds { get; set; } = new();
     public bool Success { get; set; }
     public string? ErrorMessage { get; set; }
+
+    /// <summary>
+    /// Highest profile Id issued so far; Ids of deleted rows are never reused
+    /// </summary>
+    public int LastProfileId { get; set; }
+
+    /// <summary>
+    /// Highest accessory Id issued so far; Ids of deleted rows are never reused
+    /// </summary>
+    public int LastAccessoryId { get; set; }
 }
@@ -0,0 +1,21 @@
+namespace VisorQuotationWebApp.Models;
+
+/// <summary>
+/// Where an extracted line item appears in the source PDF.
+/// Coordinates are PDF user-space points with the origin at the bottom-left of the page.
+/// </summary>
+public class PdfSourceLocation
+{
+    /// <summary>
+    /// 1-based page number
+    /// </summary>
+    public int PageNumber { get; set; }
+    
+    public double Left { get; set; }
+    
+    public double Bottom { get; set; }
+    
+    public double Right { get; set; }
+    
+    public double Top { get; set; }
+}
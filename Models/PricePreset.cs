@@ -0,0 +1,15 @@
+namespace VisorQuotationWebApp.Models;
+
+/// <summary>
+/// Named set of customized prices saved for a client code
+/// </summary>
+public class PricePreset
+{
+    public string ClientCode { get; set; } = string.Empty;
+
+    public string Name { get; set; } = string.Empty;
+
+    public CustomizedPrices Prices { get; set; } = new();
+
+    public DateTime UpdatedAt { get; set; } = DateTime.Now;
+}
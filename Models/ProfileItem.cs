@@ -52,8 +52,23 @@ public class ProfileItem
     /// </summary>
     public decimal TotalLength { get; set; }
     
+    /// <summary>
+    /// Thermal break (RPT) set for this row; null to use the reference mapping, the price list or the description
+    /// </summary>
+    public bool? ThermalBreak { get; set; }
+    
     /// <summary>
     /// Whether this item should be included in the automation
     /// </summary>
     public bool IsSelected { get; set; } = true;
+    
+    /// <summary>
+    /// Whether the row was added by hand rather than extracted from the PDF
+    /// </summary>
+    public bool IsManual { get; set; }
+    
+    /// <summary>
+    /// Position of the source line in the PDF, if it could be located
+    /// </summary>
+    public PdfSourceLocation? Location { get; set; }
 }
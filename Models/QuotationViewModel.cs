@@ -15,7 +15,7 @@ public class QuotationViewModel
     public string Language { get; set; } = "ENGLISH";
     public string ClientPurchaseOrder { get; set; } = string.Empty;
     
-    // Delivery settings
+    // Delivery settings (option text of Cortizo's delivery dropdowns; empty keeps Cortizo's default)
     public string ProfDeliv { get; set; } = "CIP-15901 CARRETERA NOYA-PADRÓN, P.";
     public string AccDeliv { get; set; } = "CIP-15901 CARRETERA NOYA-PADRÓN, P.";
     public string PvcDeliv { get; set; } = "CIP-15901 CARRETERA NOYA-PADRÓN, P.";
@@ -27,10 +27,29 @@ public class QuotationViewModel
     public string GeneralFinish2 { get; set; } = "90";
     public string GeneralShade2 { get; set; } = "P1019M";
     
+    /// <summary>
+    /// Customized prices and discounts entered in Cortizo (and used by the offline calculation)
+    /// </summary>
+    public CustomizedPrices CustomizedPrices { get; set; } = new();
+    
     // Automation options
-    public bool GenerateReport { get; set; } = false;
+    /// <summary>
+    /// Save the valuation and download the Cortizo report after the rows are entered.
+    /// On by default: runs always generated the report before this option could be switched off.
+    /// </summary>
+    public bool GenerateReport { get; set; } = true;
     public bool CreateProforma { get; set; } = false;
     
+    /// <summary>
+    /// Don't submit any rows from the Accessories section of the stock list
+    /// </summary>
+    public bool SkipAccessories { get; set; } = false;
+    
+    /// <summary>
+    /// Don't submit any rows from the Hardware section of the stock list
+    /// </summary>
+    public bool SkipHardware { get; set; } = false;
+    
     // Uploaded file info
     public string? UploadedFileName { get; set; }
     public string? UploadedFilePath { get; set; }
@@ -0,0 +1,22 @@
+namespace VisorQuotationWebApp.Models;
+
+/// <summary>
+/// A line inside a stock list section that was not turned into a line item
+/// </summary>
+public class SkippedPdfLine
+{
+    /// <summary>
+    /// Section the line was found in (Profiles, Hardware or Accessories)
+    /// </summary>
+    public string Section { get; set; } = string.Empty;
+    
+    /// <summary>
+    /// The line text as extracted from the PDF
+    /// </summary>
+    public string Text { get; set; } = string.Empty;
+    
+    /// <summary>
+    /// Why the line was skipped
+    /// </summary>
+    public string Reason { get; set; } = string.Empty;
+}
@@ -0,0 +1,14 @@
+namespace VisorQuotationWebApp.Models;
+
+/// <summary>
+/// Whether a profile reference has a thermal break (RPT), deciding between the with-break and
+/// without-break customized price; takes precedence over the price list column and the description
+/// </summary>
+public class ThermalBreakMapping
+{
+    public string Reference { get; set; } = string.Empty;
+
+    public bool ThermalBreak { get; set; }
+
+    public DateTime UpdatedAt { get; set; } = DateTime.Now;
+}
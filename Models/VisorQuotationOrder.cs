@@ -81,6 +81,14 @@ public class VisorQuotationItem
     public decimal Length { get; set; }
     public decimal UnitPrice { get; set; }
     public decimal TotalPrice { get; set; }
+    /// <summary>
+    /// Line was added by hand in the grid, not extracted from the stock list
+    /// </summary>
+    public bool IsManual { get; set; }
+    /// <summary>
+    /// Unit price was entered by hand (reference missing from the price lists)
+    /// </summary>
+    public bool IsManuallyPriced { get; set; }
 }
 
 /// <summary>
@@ -98,7 +106,11 @@ public class MissingCalculationItem
     public string Category { get; set; } = string.Empty;
     public string Reason { get; set; } = string.Empty;
     /// <summary>
-    /// Placeholder for manual price entry (shown as blank in the report)
+    /// Unit price entered by hand (blank in the report when 0)
     /// </summary>
     public decimal ManualPrice { get; set; }
+    /// <summary>
+    /// The manual price comes from the supplementary price list
+    /// </summary>
+    public bool Remembered { get; set; }
 }
@@ -22,6 +22,12 @@ builder.Services.AddScoped<PdfParseService>();
 builder.Services.AddScoped<CortizoAutomationService>();
 builder.Services.AddScoped<VisorQuotationService>();
 builder.Services.AddSingleton<ExcelPriceService>(); // Singleton to cache loaded prices
+builder.Services.AddSingleton<AutomationJobQueue>(); // Singleton so every request shares one queue
+builder.Services.AddSingleton<PricePresetService>();
+builder.Services.AddSingleton<ExcelMappingTemplateService>();
+builder.Services.AddSingleton<BarLengthService>();
+builder.Services.AddSingleton<ThermalBreakService>();
+builder.Services.AddSingleton<SupplementaryPriceService>();
 
 // Add session support for storing parsed PDF data
 builder.Services.AddDistributedMemoryCache();
@@ -0,0 +1,296 @@
+using Microsoft.AspNetCore.SignalR;
+using VisorQuotationWebApp.Hubs;
+using VisorQuotationWebApp.Models;
+
+namespace VisorQuotationWebApp.Services;
+
+/// <summary>
+/// Server-side queue of Cortizo automation runs.
+/// Runs up to <see cref="AutomationConfig.MaxConcurrentRuns"/> jobs at once; the rest wait in order.
+/// Every change to the queue is broadcast to all clients for the dashboard's queue panel.
+/// Run events are recorded per job so a reloaded page can replay them (kept as long as the job).
+/// </summary>
+public class AutomationJobQueue
+{
+    // Finished jobs stay in the panel for this long
+    private static readonly TimeSpan FinishedJobRetention = TimeSpan.FromHours(1);
+
+    private readonly ILogger<AutomationJobQueue> _logger;
+    private readonly IHubContext<AutomationHub> _hubContext;
+    private readonly SemaphoreSlim _runSlots;
+    private readonly List<AutomationJob> _jobs = new();
+    private readonly object _lock = new();
+
+    public int MaxConcurrentRuns { get; }
+
+    public AutomationJobQueue(ILogger<AutomationJobQueue> logger, IHubContext<AutomationHub> hubContext,
+        AutomationConfig config)
+    {
+        _logger = logger;
+        _hubContext = hubContext;
+        MaxConcurrentRuns = Math.Max(1, config.MaxConcurrentRuns);
+        _runSlots = new SemaphoreSlim(MaxConcurrentRuns, MaxConcurrentRuns);
+    }
+
+    /// <summary>
+    /// Add a job to the queue. <paramref name="run"/> is called once a run slot is free and
+    /// returns the run result; its Stopped/Success flags decide the job's final status.
+    /// </summary>
+    public void Enqueue(AutomationJob job, Func<CancellationToken, Task<AutomationRunResult>> run)
+    {
+        lock (_lock)
+        {
+            _jobs.RemoveAll(j => j.CompletedAt < DateTime.Now - FinishedJobRetention);
+            _jobs.Add(job);
+        }
+
+        _logger.LogInformation("Queued automation job {JobId} ({ProjectName})", job.JobId, job.ProjectName);
+        _ = Task.Run(() => ExecuteAsync(job, run));
+    }
+
+    public AutomationJob? GetJob(string jobId)
+    {
+        lock (_lock)
+        {
+            return _jobs.FirstOrDefault(j => j.JobId == jobId);
+        }
+    }
+
+    /// <summary>
+    /// The most recent job a session queued, if it is still kept
+    /// </summary>
+    public AutomationJob? GetLatestJob(string sessionId)
+    {
+        lock (_lock)
+        {
+            return _jobs
+                .Where(j => j.OwnerSessionId == sessionId)
+                .OrderByDescending(j => j.QueuedAt)
+                .FirstOrDefault();
+        }
+    }
+
+    /// <summary>
+    /// Record a run event for replay and send it to the run's group.
+    /// The sequence number goes along as a second argument so clients can skip events they already replayed.
+    /// </summary>
+    public async Task PublishAsync(AutomationJob job, string eventName, object payload)
+    {
+        int sequence;
+        lock (job.Events)
+        {
+            sequence = job.Events.Count + 1;
+            job.Events.Add(new AutomationReplayEvent { Sequence = sequence, Name = eventName, Payload = payload });
+        }
+
+        // The event is recorded either way, so a client that missed it gets it on replay
+        try
+        {
+            await _hubContext.Clients.Group(AutomationHub.RunGroup(job.JobId)).SendAsync(eventName, payload, sequence);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to send {EventName} for job {JobId}", eventName, job.JobId);
+        }
+    }
+
+    /// <summary>
+    /// Hook a running job's live-view frames up (or off, with null), starting them if someone already watches
+    /// </summary>
+    public void AttachLiveView(AutomationJob job, Action<bool>? watch)
+    {
+        lock (job.LiveViewers)
+        {
+            job.WatchLiveView = watch;
+            if (watch != null && job.LiveViewers.Count > 0) watch(true);
+        }
+    }
+
+    /// <summary>
+    /// A client opened the live view of a job: the first viewer starts the frames
+    /// </summary>
+    public void AddLiveViewer(string jobId, string connectionId)
+    {
+        var job = GetJob(jobId);
+        if (job == null) return;
+
+        lock (job.LiveViewers)
+        {
+            if (job.LiveViewers.Add(connectionId) && job.LiveViewers.Count == 1)
+            {
+                job.WatchLiveView?.Invoke(true);
+            }
+        }
+    }
+
+    /// <summary>
+    /// A client closed the live view of a job (or of every job, when it disconnected): the last viewer stops the frames
+    /// </summary>
+    public void RemoveLiveViewer(string connectionId, string? jobId = null)
+    {
+        List<AutomationJob> jobs;
+        lock (_lock)
+        {
+            jobs = _jobs.Where(j => jobId == null || j.JobId == jobId).ToList();
+        }
+
+        foreach (var job in jobs)
+        {
+            lock (job.LiveViewers)
+            {
+                if (job.LiveViewers.Remove(connectionId) && job.LiveViewers.Count == 0)
+                {
+                    job.WatchLiveView?.Invoke(false);
+                }
+            }
+        }
+    }
+
+    /// <summary>
+    /// Send a live-view frame (base64 JPEG) to the clients that have the run's live view open.
+    /// Frames are not recorded: a reloaded page just waits for the next one.
+    /// </summary>
+    public async Task SendLiveFrameAsync(AutomationJob job, string image)
+    {
+        try
+        {
+            await _hubContext.Clients.Group(AutomationHub.LiveViewGroup(job.JobId))
+                .SendAsync(AutomationEvents.LiveFrame, new { image, timestamp = DateTime.Now });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to send live view frame for job {JobId}", job.JobId);
+        }
+    }
+
+    /// <summary>
+    /// Copy of the events recorded so far for a job
+    /// </summary>
+    public List<AutomationReplayEvent> GetEvents(AutomationJob job)
+    {
+        lock (job.Events)
+        {
+            return job.Events.ToList();
+        }
+    }
+
+    /// <summary>
+    /// Jobs for the queue panel: active jobs in queue order, then recently finished ones
+    /// </summary>
+    public List<object> Describe()
+    {
+        lock (_lock)
+        {
+            var queued = _jobs.Where(j => j.Status == AutomationJobStatus.Queued).ToList();
+            var active = _jobs
+                .Where(j => j.IsActive)
+                .OrderByDescending(j => j.Status == AutomationJobStatus.Running)
+                .ThenBy(j => j.QueuedAt);
+            var finished = _jobs
+                .Where(j => !j.IsActive)
+                .OrderByDescending(j => j.CompletedAt);
+
+            return active.Concat(finished)
+                .Select(j => (object)new
+                {
+                    jobId = j.JobId,
+                    projectName = j.ProjectName,
+                    fileName = j.FileName,
+                    status = j.Status,
+                    queuedAt = j.QueuedAt,
+                    startedAt = j.StartedAt,
+                    completedAt = j.CompletedAt,
+                    errorMessage = j.ErrorMessage,
+                    simulation = j.Simulation,
+                    // 1-based position among waiting jobs
+                    position = j.Status == AutomationJobStatus.Queued ? queued.IndexOf(j) + 1 : (int?)null
+                })
+                .ToList();
+        }
+    }
+
+    /// <summary>
+    /// Cancel a queued or running job. A queued job is dropped without starting;
+    /// a running job stops at its next cancellation check.
+    /// </summary>
+    public bool Cancel(string jobId)
+    {
+        var job = GetJob(jobId);
+        if (job == null || !job.IsActive || job.Cancellation.IsCancellationRequested)
+        {
+            return false;
+        }
+
+        _logger.LogInformation("Cancel requested for automation job {JobId} ({Status})", job.JobId, job.Status);
+        job.Cancellation.Cancel();
+        return true;
+    }
+
+    private async Task ExecuteAsync(AutomationJob job, Func<CancellationToken, Task<AutomationRunResult>> run)
+    {
+        await BroadcastAsync();
+
+        try
+        {
+            await _runSlots.WaitAsync(job.Cancellation.Token);
+        }
+        catch (OperationCanceledException)
+        {
+            // Cancelled while waiting: tell the tab that queued it, no run slot was taken
+            Finish(job, AutomationJobStatus.Cancelled);
+            await PublishAsync(job, "ReceiveComplete", new AutomationRunResult
+            {
+                Success = false,
+                Stopped = true,
+                ErrorMessage = "Automation cancelled before it started"
+            });
+            await BroadcastAsync();
+            return;
+        }
+
+        var status = AutomationJobStatus.Failed;
+        try
+        {
+            job.Status = AutomationJobStatus.Running;
+            job.StartedAt = DateTime.Now;
+            await BroadcastAsync();
+
+            var result = await run(job.Cancellation.Token);
+            job.Result = result;
+            status = result.Stopped ? AutomationJobStatus.Cancelled
+                : result.Success ? AutomationJobStatus.Done
+                : AutomationJobStatus.Failed;
+            job.ErrorMessage = result.Success ? null : result.ErrorMessage;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Automation job {JobId} failed", job.JobId);
+            job.ErrorMessage = ex.Message;
+        }
+        finally
+        {
+            _runSlots.Release();
+            Finish(job, status);
+            await BroadcastAsync();
+        }
+    }
+
+    private void Finish(AutomationJob job, AutomationJobStatus status)
+    {
+        job.Status = status;
+        job.CompletedAt = DateTime.Now;
+        _logger.LogInformation("Automation job {JobId} finished: {Status}", job.JobId, status);
+    }
+
+    private async Task BroadcastAsync()
+    {
+        try
+        {
+            await _hubContext.Clients.All.SendAsync(AutomationEvents.QueueChanged, Describe());
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to broadcast automation queue");
+        }
+    }
+}
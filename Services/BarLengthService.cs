@@ -0,0 +1,41 @@
+using VisorQuotationWebApp.Models;
+
+namespace VisorQuotationWebApp.Services;
+
+/// <summary>
+/// Bar lengths per profile reference, kept in App_Data/bar-lengths.json
+/// for profiles not sold in the price list's (or the standard 6 m) bars
+/// </summary>
+public class BarLengthService
+{
+    private readonly JsonFileStore<BarLength> _store;
+
+    public BarLengthService(ILogger<BarLengthService> logger)
+    {
+        _store = new JsonFileStore<BarLength>("bar-lengths.json", b => b.Reference, "bar lengths", logger);
+    }
+
+    /// <summary>
+    /// All bar lengths, by reference
+    /// </summary>
+    public List<BarLength> GetAll()
+    {
+        return _store.GetAll()
+            .OrderBy(b => b.Reference, StringComparer.OrdinalIgnoreCase)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Add a bar length, or replace the one of the same reference
+    /// </summary>
+    public void Save(BarLength barLength)
+    {
+        barLength.UpdatedAt = DateTime.Now;
+        _store.Save(barLength);
+    }
+
+    /// <summary>
+    /// Remove the bar length of a reference; false when it did not exist
+    /// </summary>
+    public bool Delete(string reference) => _store.Delete(reference);
+}
@@ -1,4 +1,6 @@
 using Microsoft.Playwright;
+using System.Diagnostics;
+using System.Globalization;
 using System.Text;
 using VisorQuotationWebApp.Models;
 
@@ -16,12 +18,47 @@ public class CortizoAutomationService : IAsyncDisposable
     private IBrowserContext? _context;
     private IPage? _page;
     
+    // Delivery address dropdowns of the valuation header
+    private static readonly string[] ProfileDeliverySelectors =
+    {
+        "#ctl00_ContentPlaceHolderCortizoCenter_ddlEntregaPerfiles",
+        "select[id*='EntregaPerfil']"
+    };
+    private static readonly string[] AccessoryDeliverySelectors =
+    {
+        "#ctl00_ContentPlaceHolderCortizoCenter_ddlEntregaAccesorios",
+        "select[id*='EntregaAccesorio']"
+    };
+    private static readonly string[] PvcDeliverySelectors =
+    {
+        "#ctl00_ContentPlaceHolderCortizoCenter_ddlEntregaPVC",
+        "select[id*='EntregaPVC']"
+    };
+    
     // File logging
     private readonly string _logFilePath;
     private readonly StringBuilder _logBuffer = new();
     
     // Event for real-time logging
     public event Action<AutomationLogEntry>? OnLog;
+    
+    // Event for structured dashboard progress (SignalR method name, payload)
+    public event Action<string, AutomationProgressEvent>? OnProgress;
+    
+    // Event for live-view frames (base64 JPEG), every AutomationConfig.LiveViewIntervalMs while the live view is watched
+    public event Action<string>? OnLiveFrame;
+    private CancellationTokenSource? _liveViewCts;
+    private bool _liveViewWatched;
+    private readonly object _liveViewLock = new();
+    
+    // Snapshots of unfilled rows taken during the run, by "{type}-{row}", reused by the final check
+    private readonly Dictionary<string, string> _rowSnapshots = new();
+    private AutomationStep? _currentStep;
+    
+    // Per-row timing: a row is timed from RowStarted until its RowFilled/RowUnfilled
+    private long? _rowStartedAt;
+    private readonly List<RowTiming> _rowTimings = new();
+    private readonly List<RowTiming> _slowRows = new();
 
     public CortizoAutomationService(ILogger<CortizoAutomationService> logger, AutomationConfig config)
     {
@@ -49,15 +86,20 @@ public class CortizoAutomationService : IAsyncDisposable
         List<AccessoryItem>? accessories = null,
         CancellationToken cancellationToken = default)
     {
-        var selectedAccessories = accessories?.Where(a => a.IsSelected).ToList() ?? new List<AccessoryItem>();
+        var selectedAccessories = SelectAccessoriesToSubmit(accessories, viewModel);
         
         var result = new AutomationRunResult
         {
-            TotalItems = profiles.Count(p => p.IsSelected) + selectedAccessories.Count
+            TotalItems = profiles.Count(p => p.IsSelected) + selectedAccessories.Count,
+            SubmittedProfiles = profiles.Count(p => p.IsSelected),
+            SubmittedAccessories = selectedAccessories.Count(a => a.Source != "Hardware"),
+            SubmittedHardware = selectedAccessories.Count(a => a.Source == "Hardware"),
+            SkippedAccessories = (accessories?.Count ?? 0) - selectedAccessories.Count
         };
 
         var tracePath = Path.Combine(Path.GetTempPath(), $"cortizo-trace-{DateTime.Now:yyyyMMdd-HHmmss}.zip");
         var screenshotPath = Path.Combine(Path.GetTempPath(), $"cortizo-screenshot-{DateTime.Now:yyyyMMdd-HHmmss}.png");
+        var runTimer = Stopwatch.StartNew();
 
         try
         {
@@ -65,68 +107,40 @@ public class CortizoAutomationService : IAsyncDisposable
             Log(result, AutomationLogLevel.Info, "Initializing browser automation...");
             await InitializeBrowserAsync(tracePath);
 
-            // Step 1: Login
-            Log(result, AutomationLogLevel.Info, "Navigating to Cortizo Center login page...");
-            Log(result, AutomationLogLevel.Info, $"Target URL: {_config.BaseUrl}/Login.aspx");
-            await _page!.GotoAsync($"{_config.BaseUrl}/Login.aspx", new PageGotoOptions
-            {
-                WaitUntil = WaitUntilState.NetworkIdle,
-                Timeout = _config.TimeoutMs
-            });
-            
-            // Log page state after navigation
-            await LogPageStateAsync("After loading login page");
-
-            Log(result, AutomationLogLevel.Info, "Logging in...");
-            await LoginAsync(credentials);
-
-            // Wait for login to complete
-            try
-            {
-                await _page.WaitForURLAsync(url => !url.Contains("Login.aspx"), new PageWaitForURLOptions
-                {
-                    Timeout = _config.TimeoutMs
-                });
-                Log(result, AutomationLogLevel.Success, "Login successful!");
-            }
-            catch (TimeoutException)
-            {
-                Log(result, AutomationLogLevel.Warning, "Login redirect timeout - checking if already logged in...");
-                await LogPageStateAsync("After login timeout");
-            }
-            
-            // Log state after login
-            await LogPageStateAsync("After login");
-
-            cancellationToken.ThrowIfCancellationRequested();
-
-            // Step 2: Navigate to Quotations
-            Log(result, AutomationLogLevel.Info, "Navigating to Quotations / Online Orders...");
-            await NavigateToQuotationsAsync();
-            await LogPageStateAsync("After navigating to quotations");
-            await LogAvailableSelectorsAsync();
-
-            cancellationToken.ThrowIfCancellationRequested();
+            // Steps 1-2: Login and open Quotations / Online Orders
+            await SignInAndOpenQuotationsAsync(credentials, result, cancellationToken);
 
             // Step 3: Create new valuation
+            EmitStep(AutomationEvents.StepStarted, AutomationStep.Header, "Creating new valuation...");
             Log(result, AutomationLogLevel.Info, "Creating new valuation...");
             await CreateNewValuationAsync();
             await LogPageStateAsync("After creating new valuation");
 
             // Step 4: Set header fields
+            EmitStep(AutomationEvents.StepProgress, AutomationStep.Header, "Setting quotation header fields...");
             Log(result, AutomationLogLevel.Info, "Setting header fields...");
             await SetHeaderFieldsAsync(viewModel);
             await LogPageStateAsync("After setting header fields");
 
-            // Step 4.5: Set customized prices (static values)
+            // Step 4.5: Set customized prices
+            EmitStep(AutomationEvents.StepProgress, AutomationStep.Header, "Setting customized prices...");
             Log(result, AutomationLogLevel.Info, "Setting customized prices...");
-            await SetCustomizedPricesAsync();
+            await SetCustomizedPricesAsync(viewModel.CustomizedPrices);
             await LogPageStateAsync("After setting customized prices");
+            EmitStep(AutomationEvents.StepCompleted, AutomationStep.Header);
+
+            result.ValuationNumber = await GetValuationNumberAsync();
+            if (result.ValuationNumber != null)
+            {
+                Log(result, AutomationLogLevel.Info, $"Valuation number: {result.ValuationNumber}");
+            }
 
             cancellationToken.ThrowIfCancellationRequested();
 
             // Step 5: Ensure enough rows exist
             var selectedProfiles = profiles.Where(p => p.IsSelected).ToList();
+            var totalRows = selectedProfiles.Count + selectedAccessories.Count;
+            EmitStep(AutomationEvents.StepStarted, AutomationStep.Profiles, "Preparing profile grid rows...", selectedProfiles.Count, totalRows);
             Log(result, AutomationLogLevel.Info, $"Ensuring {selectedProfiles.Count} rows are available in the grid...");
             await EnsureEnoughRowsAsync(selectedProfiles.Count);
 
@@ -138,29 +152,42 @@ public class CortizoAutomationService : IAsyncDisposable
                 await FillAllProfileRowsFastAsync(selectedProfiles, result, cancellationToken);
                 result.SuccessfulItems = selectedProfiles.Count;
                 Log(result, AutomationLogLevel.Success, $"All {selectedProfiles.Count} profile rows filled successfully");
+                EmitStep(AutomationEvents.StepCompleted, AutomationStep.Profiles);
             }
             catch (OperationCanceledException) { throw; }
             catch (Exception ex)
             {
                 result.FailedItems = selectedProfiles.Count;
                 Log(result, AutomationLogLevel.Error, $"Profile batch fill failed: {ex.Message}", ex.ToString());
+                EmitStep(AutomationEvents.StepFailed, AutomationStep.Profiles, ex.Message);
             }
 
             // Step 6.5: Fill accessories if any
+            if (result.SkippedAccessories > 0)
+            {
+                Log(result, AutomationLogLevel.Info,
+                    $"Skipping {result.SkippedAccessories} accessory/hardware rows (unchecked" +
+                    $"{(viewModel.SkipAccessories ? ", accessories section skipped" : "")}" +
+                    $"{(viewModel.SkipHardware ? ", hardware section skipped" : "")})");
+            }
+
             if (selectedAccessories.Count > 0)
             {
+                EmitStep(AutomationEvents.StepStarted, AutomationStep.Accessories, $"Filling {selectedAccessories.Count} accessories...", selectedAccessories.Count, totalRows);
                 Log(result, AutomationLogLevel.Info, $"Filling {selectedAccessories.Count} accessories...");
                 try
                 {
                     await FillAccessoriesAsync(selectedAccessories, result, cancellationToken);
                     result.SuccessfulItems += selectedAccessories.Count;
                     Log(result, AutomationLogLevel.Success, $"All {selectedAccessories.Count} accessories filled successfully");
+                    EmitStep(AutomationEvents.StepCompleted, AutomationStep.Accessories);
                 }
                 catch (OperationCanceledException) { throw; }
                 catch (Exception ex)
                 {
                     result.FailedItems += selectedAccessories.Count;
                     Log(result, AutomationLogLevel.Error, $"Accessories fill failed: {ex.Message}", ex.ToString());
+                    EmitStep(AutomationEvents.StepFailed, AutomationStep.Accessories, ex.Message);
                 }
             }
 
@@ -169,6 +196,7 @@ public class CortizoAutomationService : IAsyncDisposable
             // ====================================================================
             cancellationToken.ThrowIfCancellationRequested();
             
+            EmitStep(AutomationEvents.StepStarted, AutomationStep.Total, "Verifying calculated amounts...");
             Log(result, AutomationLogLevel.Info, "All items filled. Waiting 10 seconds for all AJAX calculations to settle...");
             await Task.Delay(10000, cancellationToken);
             
@@ -180,28 +208,20 @@ public class CortizoAutomationService : IAsyncDisposable
             {
                 var profile = selectedProfiles2[i];
                 var rowNum = (i + 1).ToString("D4");
-                var checkScript = $@"
-                    (function() {{
-                        var importeEl = document.getElementById('txtImporte_{rowNum}');
-                        var descEl = document.getElementById('txtDescripcion_{rowNum}');
-                        return {{
-                            amount: importeEl ? importeEl.value : '',
-                            desc: descEl ? descEl.value : ''
-                        }};
-                    }})();
-                ";
-                var checkResult = await _page.EvaluateAsync<Dictionary<string, string>>(checkScript);
+                var checkResult = await GetRowValuesAsync(rowNum, AutomationItemType.Profile);
                 var amount = checkResult.GetValueOrDefault("amount", "");
                 
                 if (string.IsNullOrWhiteSpace(amount))
                 {
                     result.UnfilledProfiles.Add(new UnfilledItem
                     {
+                        ItemId = profile.Id,
                         RowNumber = rowNum,
                         RefNumber = profile.RefNumber,
                         Amount = profile.Amount,
                         Description = profile.Description,
-                        Reason = "Amount not calculated - needs manual review"
+                        Reason = "Amount not calculated - needs manual review",
+                        SnapshotUrl = await CaptureRowSnapshotAsync(rowNum, AutomationItemType.Profile)
                     });
                 }
             }
@@ -216,19 +236,7 @@ public class CortizoAutomationService : IAsyncDisposable
                 {
                     var acc = selectedAccessories[i];
                     var rowNum = (i + 1).ToString("D4");
-                    var checkScript = $@"
-                        (function() {{
-                            var importeEl = document.getElementById('txtImporteAcc_{rowNum}');
-                            var descEl = document.getElementById('txtDescripcionAcc_{rowNum}');
-                            var priceEl = document.getElementById('txtPrecioAcc_{rowNum}');
-                            return {{
-                                amount: importeEl ? importeEl.value : '',
-                                desc: descEl ? descEl.value : '',
-                                price: priceEl ? priceEl.value : ''
-                            }};
-                        }})();
-                    ";
-                    var checkResult = await _page.EvaluateAsync<Dictionary<string, string>>(checkScript);
+                    var checkResult = await GetRowValuesAsync(rowNum, AutomationItemType.Accessory);
                     var amount = checkResult.GetValueOrDefault("amount", "");
                     var pageDesc = checkResult.GetValueOrDefault("desc", "");
                     var pagePrice = checkResult.GetValueOrDefault("price", "");
@@ -237,11 +245,13 @@ public class CortizoAutomationService : IAsyncDisposable
                     {
                         result.UnfilledAccessories.Add(new UnfilledItem
                         {
+                            ItemId = acc.Id,
                             RowNumber = rowNum,
                             RefNumber = acc.RefNumber,
                             Amount = acc.Amount,
                             Description = acc.Description,
-                            Reason = $"Amount not calculated (price={pagePrice}, desc={pageDesc})"
+                            Reason = $"Amount not calculated (price={pagePrice}, desc={pageDesc})",
+                            SnapshotUrl = await CaptureRowSnapshotAsync(rowNum, AutomationItemType.Accessory)
                         });
                     }
                 }
@@ -251,80 +261,44 @@ public class CortizoAutomationService : IAsyncDisposable
             }
 
             // Step 7: Generate Report - capture the Cortizo ZIP download
-            Log(result, AutomationLogLevel.Info, "Clicking GENERATE REPORT to download Cortizo report ZIP...");
-            try
+            if (viewModel.GenerateReport)
             {
-                var downloadsDir = Path.Combine(Directory.GetCurrentDirectory(), "wwwroot", "downloads");
-                Directory.CreateDirectory(downloadsDir);
-                
-                var download = await _page.RunAndWaitForDownloadAsync(async () =>
-                {
-                    await _page.EvaluateAsync("EnviarDatosInforme('Valoracion','','')");
-                }, new PageRunAndWaitForDownloadOptions { Timeout = 60000 });
-                
-                var suggestedName = download.SuggestedFilename;
-                if (string.IsNullOrEmpty(suggestedName))
-                    suggestedName = $"cortizo_report_{DateTime.Now:yyyyMMdd_HHmmss}.zip";
-                
-                var savePath = Path.Combine(downloadsDir, suggestedName);
-                await download.SaveAsAsync(savePath);
-                
-                result.ReportZipPath = savePath;
-                result.ReportFileName = suggestedName;
-                result.ReportDownloadUrl = $"/downloads/{suggestedName}";
-                
-                Log(result, AutomationLogLevel.Success, $"Cortizo report downloaded: {suggestedName}");
+                EmitStep(AutomationEvents.StepProgress, AutomationStep.Total, "Downloading Cortizo report...");
+                await DownloadReportAsync(result);
             }
-            catch (TimeoutException)
+            else
             {
-                Log(result, AutomationLogLevel.Warning, "Report download timed out - the button may not have triggered a download. Trying alternate click...");
-                try
-                {
-                    var download = await _page.RunAndWaitForDownloadAsync(async () =>
-                    {
-                        var reportBtn = await _page.QuerySelectorAsync(".botonnuevavaloracion:has-text('GENERATE REPORT')");
-                        if (reportBtn != null)
-                            await reportBtn.ClickAsync();
-                        else
-                            await ClickButtonAsync("GENERATE REPORT");
-                    }, new PageRunAndWaitForDownloadOptions { Timeout = 30000 });
-                    
-                    var downloadsDir2 = Path.Combine(Directory.GetCurrentDirectory(), "wwwroot", "downloads");
-                    var suggestedName = download.SuggestedFilename ?? $"cortizo_report_{DateTime.Now:yyyyMMdd_HHmmss}.zip";
-                    var savePath = Path.Combine(downloadsDir2, suggestedName);
-                    await download.SaveAsAsync(savePath);
-                    
-                    result.ReportZipPath = savePath;
-                    result.ReportFileName = suggestedName;
-                    result.ReportDownloadUrl = $"/downloads/{suggestedName}";
-                    
-                    Log(result, AutomationLogLevel.Success, $"Cortizo report downloaded (retry): {suggestedName}");
-                }
-                catch (Exception retryEx)
-                {
-                    Log(result, AutomationLogLevel.Warning, $"Could not capture report download: {retryEx.Message}");
-                }
+                Log(result, AutomationLogLevel.Info, "Report generation is switched off - skipping GENERATE REPORT");
             }
-            catch (Exception ex)
+            
+            // The number may only be shown once the valuation is saved by the report
+            result.ValuationNumber ??= await GetValuationNumberAsync();
+            if (result.ValuationNumber == null)
             {
-                Log(result, AutomationLogLevel.Warning, $"Report download failed: {ex.Message}");
+                Log(result, AutomationLogLevel.Warning, "Valuation number not found on the page - unfilled rows cannot be retried for this run");
             }
 
             // Optional: Create proforma
             if (viewModel.CreateProforma)
             {
+                EmitStep(AutomationEvents.StepProgress, AutomationStep.Total, "Creating proforma...");
                 Log(result, AutomationLogLevel.Info, "Creating proforma...");
                 await ClickButtonAsync("CREATE A PROFORMA");
                 await Task.Delay(2000, cancellationToken);
             }
 
             // Take final screenshot
-            await _page.ScreenshotAsync(new PageScreenshotOptions { Path = screenshotPath, FullPage = true });
+            await _page!.ScreenshotAsync(new PageScreenshotOptions { Path = screenshotPath, FullPage = true });
             result.ScreenshotPath = screenshotPath;
 
             // Capture the Cortizo total (ESTIMATE TOTAL)
             result.CortizoTotal = await GetCortizoTotalAsync();
             Log(result, AutomationLogLevel.Info, $"Cortizo ESTIMATE TOTAL: {result.CortizoTotal} EUR");
+            Emit(AutomationEvents.TotalExtracted, new AutomationProgressEvent
+            {
+                Step = AutomationStep.Total,
+                CortizoTotal = result.CortizoTotal
+            });
 
             // Log unfilled items summary
             if (result.UnfilledProfiles.Count > 0)
@@ -361,46 +335,326 @@ public class CortizoAutomationService : IAsyncDisposable
             Log(result, result.Success ? AutomationLogLevel.Success : AutomationLogLevel.Warning,
                 $"Automation completed. {result.SuccessfulItems}/{result.TotalItems} items processed. " +
                 $"Browser remains open for manual review - close application to close browser.");
+            EmitStep(AutomationEvents.StepCompleted, AutomationStep.Total);
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Automation failed");
-            result.Success = false;
-            result.ErrorMessage = ex.Message;
-            Log(result, AutomationLogLevel.Error, $"Automation failed: {ex.Message}", ex.ToString());
+            await RecordFailureAsync(result, ex, screenshotPath);
+        }
+        finally
+        {
+            RecordTimingSummary(result, runTimer.Elapsed);
+            await StopTracingAsync(result, tracePath);
+        }
 
-            // Try to take error screenshot
-            try
+        return result;
+    }
+
+    /// <summary>
+    /// Log in again, reopen the valuation of a previous run and re-enter only its unfilled rows,
+    /// using the current grid values (ref/finish may have been edited since).
+    /// Rows keep their original row numbers so the dashboard can update them in place.
+    /// </summary>
+    public async Task<AutomationRunResult> RetryUnfilledAsync(
+        CortizoCredentials credentials,
+        AutomationRunResult previous,
+        List<ProfileItem> profiles,
+        List<AccessoryItem> accessories,
+        CancellationToken cancellationToken = default)
+    {
+        var result = new AutomationRunResult
+        {
+            IsRetry = true,
+            ValuationNumber = previous.ValuationNumber,
+            TotalItems = previous.TotalItems,
+            SubmittedProfiles = previous.SubmittedProfiles,
+            SubmittedAccessories = previous.SubmittedAccessories,
+            SubmittedHardware = previous.SubmittedHardware,
+            SkippedAccessories = previous.SkippedAccessories,
+            ReportZipPath = previous.ReportZipPath,
+            ReportFileName = previous.ReportFileName,
+            ReportDownloadUrl = previous.ReportDownloadUrl
+        };
+
+        // Rows deleted from the grid since the run cannot be retried; they stay unfilled
+        var retryProfiles = new List<(UnfilledItem Row, ProfileItem Profile)>();
+        foreach (var row in previous.UnfilledProfiles)
+        {
+            var profile = profiles.FirstOrDefault(p => p.Id == row.ItemId);
+            if (profile != null) retryProfiles.Add((row, profile));
+            else result.UnfilledProfiles.Add(NotRetried(row));
+        }
+        var retryAccessories = new List<(UnfilledItem Row, AccessoryItem Accessory)>();
+        foreach (var row in previous.UnfilledAccessories)
+        {
+            var accessory = accessories.FirstOrDefault(a => a.Id == row.ItemId);
+            if (accessory != null) retryAccessories.Add((row, accessory));
+            else result.UnfilledAccessories.Add(NotRetried(row));
+        }
+        result.RetriedItems = retryProfiles.Count + retryAccessories.Count;
+
+        var tracePath = Path.Combine(Path.GetTempPath(), $"cortizo-trace-{DateTime.Now:yyyyMMdd-HHmmss}.zip");
+        var screenshotPath = Path.Combine(Path.GetTempPath(), $"cortizo-screenshot-{DateTime.Now:yyyyMMdd-HHmmss}.png");
+        var runTimer = Stopwatch.StartNew();
+
+        try
+        {
+            Log(result, AutomationLogLevel.Info, $"Retrying {result.RetriedItems} unfilled rows of valuation {previous.ValuationNumber}...");
+            await InitializeBrowserAsync(tracePath);
+
+            await SignInAndOpenQuotationsAsync(credentials, result, cancellationToken);
+
+            EmitStep(AutomationEvents.StepStarted, AutomationStep.Header, $"Reopening valuation {previous.ValuationNumber}...");
+            Log(result, AutomationLogLevel.Info, $"Reopening valuation {previous.ValuationNumber}...");
+            await OpenValuationAsync(previous.ValuationNumber!);
+            await LogPageStateAsync("After reopening valuation");
+            EmitStep(AutomationEvents.StepCompleted, AutomationStep.Header);
+
+            cancellationToken.ThrowIfCancellationRequested();
+
+            if (retryProfiles.Count > 0)
+            {
+                EmitStep(AutomationEvents.StepStarted, AutomationStep.Profiles, $"Re-entering {retryProfiles.Count} profiles...", retryProfiles.Count, result.RetriedItems);
+                await FillAllProfileRowsFastAsync(retryProfiles.Select(r => r.Profile).ToList(), result, cancellationToken,
+                    retryProfiles.Select(r => r.Row.RowNumber).ToList());
+                EmitStep(AutomationEvents.StepCompleted, AutomationStep.Profiles);
+            }
+
+            if (retryAccessories.Count > 0)
+            {
+                EmitStep(AutomationEvents.StepStarted, AutomationStep.Accessories, $"Re-entering {retryAccessories.Count} accessories...", retryAccessories.Count, result.RetriedItems);
+                await FillAccessoriesAsync(retryAccessories.Select(r => r.Accessory).ToList(), result, cancellationToken,
+                    retryAccessories.Select(r => r.Row.RowNumber).ToList());
+                EmitStep(AutomationEvents.StepCompleted, AutomationStep.Accessories);
+            }
+
+            // Same settle time and check as a full run, limited to the retried rows
+            EmitStep(AutomationEvents.StepStarted, AutomationStep.Total, "Verifying calculated amounts...");
+            await Task.Delay(10000, cancellationToken);
+
+            foreach (var (row, profile) in retryProfiles)
             {
-                if (_page != null)
+                var values = await GetRowValuesAsync(row.RowNumber, AutomationItemType.Profile);
+                if (string.IsNullOrWhiteSpace(values.GetValueOrDefault("amount", "")))
                 {
-                    await _page.ScreenshotAsync(new PageScreenshotOptions { Path = screenshotPath, FullPage = true });
-                    result.ScreenshotPath = screenshotPath;
+                    result.UnfilledProfiles.Add(new UnfilledItem
+                    {
+                        ItemId = profile.Id,
+                        RowNumber = row.RowNumber,
+                        RefNumber = profile.RefNumber,
+                        Amount = profile.Amount,
+                        Description = profile.Description,
+                        Reason = "Amount not calculated on retry - needs manual review",
+                        SnapshotUrl = await CaptureRowSnapshotAsync(row.RowNumber, AutomationItemType.Profile)
+                    });
                 }
             }
-            catch { /* Ignore screenshot errors */ }
-        }
-        finally
-        {
-            // Stop tracing but DON'T dispose - keep browser open for manual review
-            if (_context != null)
+            foreach (var (row, accessory) in retryAccessories)
             {
-                try
+                var values = await GetRowValuesAsync(row.RowNumber, AutomationItemType.Accessory);
+                if (string.IsNullOrWhiteSpace(values.GetValueOrDefault("amount", "")))
                 {
-                    await _context.Tracing.StopAsync(new TracingStopOptions { Path = tracePath });
-                    result.TracePath = tracePath;
+                    result.UnfilledAccessories.Add(new UnfilledItem
+                    {
+                        ItemId = accessory.Id,
+                        RowNumber = row.RowNumber,
+                        RefNumber = accessory.RefNumber,
+                        Amount = accessory.Amount,
+                        Description = accessory.Description,
+                        Reason = $"Amount not calculated on retry (price={values.GetValueOrDefault("price", "")}, desc={values.GetValueOrDefault("desc", "")})",
+                        SnapshotUrl = await CaptureRowSnapshotAsync(row.RowNumber, AutomationItemType.Accessory)
+                    });
                 }
-                catch { /* Ignore tracing errors */ }
             }
 
-            // NOTE: Browser is intentionally kept open for manual data entry
-            // It will be closed when the application stops or DisposeAsync is called manually
-            Log(result, AutomationLogLevel.Info, "Browser kept open for manual review. Close application to close browser.");
+            var stillUnfilled = result.UnfilledProfiles.Count + result.UnfilledAccessories.Count;
+            Log(result, AutomationLogLevel.Info,
+                $"[RETRY] {previous.UnfilledProfiles.Count + previous.UnfilledAccessories.Count - stillUnfilled} of {previous.UnfilledProfiles.Count + previous.UnfilledAccessories.Count} unfilled rows now have amounts");
+
+            // Regenerate the report so it includes the re-entered rows (only if the run generated one)
+            if (previous.ReportZipPath != null)
+            {
+                EmitStep(AutomationEvents.StepProgress, AutomationStep.Total, "Downloading Cortizo report...");
+                await DownloadReportAsync(result);
+            }
+
+            await _page!.ScreenshotAsync(new PageScreenshotOptions { Path = screenshotPath, FullPage = true });
+            result.ScreenshotPath = screenshotPath;
+
+            result.CortizoTotal = await GetCortizoTotalAsync();
+            Log(result, AutomationLogLevel.Info, $"Cortizo ESTIMATE TOTAL: {result.CortizoTotal} EUR");
+            Emit(AutomationEvents.TotalExtracted, new AutomationProgressEvent
+            {
+                Step = AutomationStep.Total,
+                CortizoTotal = result.CortizoTotal
+            });
+
+            result.SuccessfulItems = result.TotalItems - stillUnfilled;
+            result.Success = stillUnfilled == 0;
+            Log(result, result.Success ? AutomationLogLevel.Success : AutomationLogLevel.Warning,
+                $"Retry completed. {stillUnfilled} rows still need manual review.");
+            EmitStep(AutomationEvents.StepCompleted, AutomationStep.Total);
+        }
+        catch (Exception ex)
+        {
+            await RecordFailureAsync(result, ex, screenshotPath);
+        }
+        finally
+        {
+            RecordTimingSummary(result, runTimer.Elapsed);
+            await StopTracingAsync(result, tracePath);
         }
 
         return result;
     }
 
+    private static UnfilledItem NotRetried(UnfilledItem row)
+    {
+        return new UnfilledItem
+        {
+            ItemId = row.ItemId,
+            RowNumber = row.RowNumber,
+            RefNumber = row.RefNumber,
+            Amount = row.Amount,
+            Description = row.Description,
+            Reason = "Row no longer in the grid - not retried",
+            SnapshotUrl = row.SnapshotUrl
+        };
+    }
+
+    /// <summary>
+    /// Log in, open a new valuation and read the options of its delivery address dropdowns.
+    /// The valuation is left unsaved.
+    /// </summary>
+    public async Task<DeliveryAddressOptions> GetDeliveryAddressesAsync(CortizoCredentials credentials,
+        CancellationToken cancellationToken = default)
+    {
+        var result = new AutomationRunResult();
+        var tracePath = Path.Combine(Path.GetTempPath(), $"cortizo-trace-{DateTime.Now:yyyyMMdd-HHmmss}.zip");
+
+        Log(result, AutomationLogLevel.Info, "Reading delivery addresses from Cortizo...");
+        await InitializeBrowserAsync(tracePath);
+        await SignInAndOpenQuotationsAsync(credentials, result, cancellationToken);
+
+        await CreateNewValuationAsync();
+        await LogPageStateAsync("Reading delivery addresses");
+
+        var options = new DeliveryAddressOptions
+        {
+            Profiles = await GetSelectOptionsAsync(ProfileDeliverySelectors),
+            Accessories = await GetSelectOptionsAsync(AccessoryDeliverySelectors),
+            Pvc = await GetSelectOptionsAsync(PvcDeliverySelectors)
+        };
+        Log(result, AutomationLogLevel.Info,
+            $"Delivery addresses: {options.Profiles.Count} profiles, {options.Accessories.Count} accessories, {options.Pvc.Count} PVC");
+        FlushLogBuffer();
+        return options;
+    }
+
+    /// <summary>
+    /// Log into Cortizo Center and open Quotations / Online Orders
+    /// </summary>
+    private async Task SignInAndOpenQuotationsAsync(CortizoCredentials credentials, AutomationRunResult result, CancellationToken cancellationToken)
+    {
+        EmitStep(AutomationEvents.StepStarted, AutomationStep.Login, "Logging into Cortizo Center...");
+        Log(result, AutomationLogLevel.Info, "Navigating to Cortizo Center login page...");
+        Log(result, AutomationLogLevel.Info, $"Target URL: {_config.BaseUrl}/Login.aspx");
+        await _page!.GotoAsync($"{_config.BaseUrl}/Login.aspx", new PageGotoOptions
+        {
+            WaitUntil = WaitUntilState.NetworkIdle,
+            Timeout = _config.TimeoutMs
+        });
+        
+        // Log page state after navigation
+        await LogPageStateAsync("After loading login page");
+
+        Log(result, AutomationLogLevel.Info, "Logging in...");
+        await LoginAsync(credentials);
+
+        // Wait for login to complete
+        try
+        {
+            await _page.WaitForURLAsync(url => !url.Contains("Login.aspx"), new PageWaitForURLOptions
+            {
+                Timeout = _config.TimeoutMs
+            });
+            Log(result, AutomationLogLevel.Success, "Login successful!");
+        }
+        catch (TimeoutException)
+        {
+            Log(result, AutomationLogLevel.Warning, "Login redirect timeout - checking if already logged in...");
+            await LogPageStateAsync("After login timeout");
+        }
+        
+        EmitStep(AutomationEvents.StepCompleted, AutomationStep.Login);
+        
+        // Log state after login
+        await LogPageStateAsync("After login");
+
+        cancellationToken.ThrowIfCancellationRequested();
+
+        // Navigate to Quotations
+        Log(result, AutomationLogLevel.Info, "Navigating to Quotations / Online Orders...");
+        await NavigateToQuotationsAsync();
+        await LogPageStateAsync("After navigating to quotations");
+        await LogAvailableSelectorsAsync();
+
+        cancellationToken.ThrowIfCancellationRequested();
+    }
+
+    private async Task RecordFailureAsync(AutomationRunResult result, Exception ex, string screenshotPath)
+    {
+        result.Success = false;
+
+        // A stop requested by the user is not a failure: no error entry, failed step or error screenshot
+        if (ex is OperationCanceledException)
+        {
+            result.Stopped = true;
+            result.ErrorMessage = "Automation stopped by user";
+            Log(result, AutomationLogLevel.Warning, "Automation stopped by user");
+            return;
+        }
+
+        _logger.LogError(ex, "Automation failed");
+        result.ErrorMessage = ex.Message;
+        Log(result, AutomationLogLevel.Error, $"Automation failed: {ex.Message}", ex.ToString());
+        if (_currentStep.HasValue)
+        {
+            EmitStep(AutomationEvents.StepFailed, _currentStep.Value, ex.Message);
+        }
+
+        // Try to take error screenshot
+        try
+        {
+            if (_page != null)
+            {
+                await _page.ScreenshotAsync(new PageScreenshotOptions { Path = screenshotPath, FullPage = true });
+                result.ScreenshotPath = screenshotPath;
+            }
+        }
+        catch { /* Ignore screenshot errors */ }
+    }
+
+    private async Task StopTracingAsync(AutomationRunResult result, string tracePath)
+    {
+        StopLiveViewLoop();
+
+        // Stop tracing but DON'T dispose - keep browser open for manual review
+        if (_context != null)
+        {
+            try
+            {
+                await _context.Tracing.StopAsync(new TracingStopOptions { Path = tracePath });
+                result.TracePath = tracePath;
+            }
+            catch { /* Ignore tracing errors */ }
+        }
+
+        // NOTE: Browser is intentionally kept open for manual data entry
+        // It will be closed when the application stops or DisposeAsync is called manually
+        Log(result, AutomationLogLevel.Info, "Browser kept open for manual review. Close application to close browser.");
+    }
+
     private async Task InitializeBrowserAsync(string tracePath)
     {
         _playwright = await Playwright.CreateAsync();
@@ -425,6 +679,93 @@ public class CortizoAutomationService : IAsyncDisposable
 
         _page = await _context.NewPageAsync();
         _page.SetDefaultTimeout(_config.TimeoutMs);
+        
+        lock (_liveViewLock)
+        {
+            if (_liveViewWatched) StartLiveViewLoop();
+        }
+    }
+
+    /// <summary>
+    /// Take a JPEG of the automation page as base64, or null when no page is open
+    /// </summary>
+    public async Task<string?> CaptureFrameAsync()
+    {
+        var page = _page;
+        if (page == null || page.IsClosed) return null;
+
+        try
+        {
+            var bytes = await page.ScreenshotAsync(new PageScreenshotOptions { Type = ScreenshotType.Jpeg, Quality = 50 });
+            return Convert.ToBase64String(bytes);
+        }
+        catch (Exception ex)
+        {
+            // The page may be navigating or closing
+            _logger.LogDebug(ex, "Live view frame not captured");
+            return null;
+        }
+    }
+
+    /// <summary>
+    /// Start or stop the periodic live-view frames, as clients open and close the live view.
+    /// Frames are only taken while someone watches; a page opened later starts them once it exists.
+    /// </summary>
+    public void SetLiveViewWatched(bool watched)
+    {
+        lock (_liveViewLock)
+        {
+            _liveViewWatched = watched;
+            if (!watched)
+            {
+                StopLiveViewLoop();
+            }
+            else if (_page != null && !_page.IsClosed)
+            {
+                StartLiveViewLoop();
+            }
+        }
+    }
+
+    /// <summary>
+    /// Send a frame to OnLiveFrame every LiveViewIntervalMs until StopLiveViewLoop
+    /// </summary>
+    private void StartLiveViewLoop()
+    {
+        if (_config.LiveViewIntervalMs <= 0 || OnLiveFrame == null || _liveViewCts != null) return;
+
+        _liveViewCts = new CancellationTokenSource();
+        var token = _liveViewCts.Token;
+        _ = Task.Run(async () =>
+        {
+            while (!token.IsCancellationRequested)
+            {
+                try
+                {
+                    await Task.Delay(_config.LiveViewIntervalMs, token);
+                }
+                catch (OperationCanceledException)
+                {
+                    break;
+                }
+
+                var frame = await CaptureFrameAsync();
+                if (frame != null && !token.IsCancellationRequested)
+                {
+                    OnLiveFrame?.Invoke(frame);
+                }
+            }
+        });
+    }
+
+    private void StopLiveViewLoop()
+    {
+        lock (_liveViewLock)
+        {
+            _liveViewCts?.Cancel();
+            _liveViewCts?.Dispose();
+            _liveViewCts = null;
+        }
     }
 
     private async Task LoginAsync(CortizoCredentials credentials)
@@ -613,6 +954,108 @@ public class CortizoAutomationService : IAsyncDisposable
         }
     }
 
+    /// <summary>
+    /// Read the valuation number Cortizo assigned to the open valuation, or null when it is not shown (yet)
+    /// </summary>
+    private async Task<string?> GetValuationNumberAsync()
+    {
+        var numberScript = @"
+            (function() {
+                var selectors = [
+                    '#ctl00_ContentPlaceHolderCortizoCenter_lblNumValoracion',
+                    '#ctl00_ContentPlaceHolderCortizoCenter_txtNumValoracion',
+                    '#lblNumValoracion',
+                    'span[id*=""NumValoracion""]',
+                    'input[id*=""NumValoracion""]'
+                ];
+                for (var sel of selectors) {
+                    var el = document.querySelector(sel);
+                    if (el) {
+                        var match = (el.innerText || el.value || '').match(/\d+/);
+                        if (match) return match[0];
+                    }
+                }
+                return '';
+            })();
+        ";
+
+        try
+        {
+            var number = await _page!.EvaluateAsync<string>(numberScript);
+            WriteToLogFile(AutomationLogLevel.Info, $"[VALUATION] Number on page: '{number}'");
+            return string.IsNullOrWhiteSpace(number) ? null : number;
+        }
+        catch (Exception ex)
+        {
+            WriteToLogFile(AutomationLogLevel.Warning, $"Could not read valuation number: {ex.Message}");
+            return null;
+        }
+    }
+
+    /// <summary>
+    /// Open an existing valuation from the quotations list by its number
+    /// </summary>
+    private async Task OpenValuationAsync(string valuationNumber)
+    {
+        var selectors = new[]
+        {
+            $"a:text-is('{valuationNumber}')",
+            $"tr:has-text('{valuationNumber}') a[href*='Valoracion']",
+            $"tr:has-text('{valuationNumber}') input[type='image']",
+            $"tr:has-text('{valuationNumber}') a",
+            $"text={valuationNumber}"
+        };
+
+        foreach (var selector in selectors)
+        {
+            try
+            {
+                var element = await _page!.QuerySelectorAsync(selector);
+                if (element != null && await element.IsVisibleAsync())
+                {
+                    WriteToLogFile(AutomationLogLevel.Info, $"[VALUATION] Opening {valuationNumber} with selector: {selector}");
+                    await element.ClickAsync();
+                    await _page.WaitForLoadStateAsync(LoadState.NetworkIdle);
+                    await Task.Delay(1000); // Wait for the valuation form to load
+
+                    if (await _page.QuerySelectorAsync("#gvPerfiles") != null)
+                    {
+                        FlushLogBuffer();
+                        return;
+                    }
+                }
+            }
+            catch (Exception ex)
+            {
+                WriteToLogFile(AutomationLogLevel.Info, $"[VALUATION] Selector '{selector}' error: {ex.Message}");
+            }
+        }
+
+        FlushLogBuffer();
+        throw new InvalidOperationException($"Could not open valuation {valuationNumber} from the quotations list");
+    }
+
+    /// <summary>
+    /// Amount, description and price Cortizo shows for a grid row (empty strings when missing)
+    /// </summary>
+    private async Task<Dictionary<string, string>> GetRowValuesAsync(string rowNum, AutomationItemType itemType)
+    {
+        var suffix = itemType == AutomationItemType.Accessory ? "Acc" : "";
+        var script = $@"
+            (function() {{
+                var importeEl = document.getElementById('txtImporte{suffix}_{rowNum}');
+                var descEl = document.getElementById('txtDescripcion{suffix}_{rowNum}');
+                var priceEl = document.getElementById('txtPrecio{suffix}_{rowNum}');
+                return {{
+                    amount: importeEl ? importeEl.value : '',
+                    desc: descEl ? descEl.value : '',
+                    price: priceEl ? priceEl.value : ''
+                }};
+            }})();
+        ";
+        return await _page!.EvaluateAsync<Dictionary<string, string>>(script);
+    }
+
     /// <summary>
     /// Ensure enough rows exist in the profiles grid
     /// </summary>
@@ -643,9 +1086,11 @@ public class CortizoAutomationService : IAsyncDisposable
     }
 
     /// <summary>
-    /// Fill all profile rows - uses header values as fallback for finish/shade
+    /// Fill all profile rows - uses header values as fallback for finish/shade.
+    /// Rows are numbered from 0001 unless <paramref name="rowNumbers"/> gives the grid row of each profile.
     /// </summary>
-    private async Task FillAllProfileRowsFastAsync(List<ProfileItem> profiles, AutomationRunResult result, CancellationToken cancellationToken = default)
+    private async Task FillAllProfileRowsFastAsync(List<ProfileItem> profiles, AutomationRunResult result, CancellationToken cancellationToken = default,
+        IReadOnlyList<string>? rowNumbers = null)
     {
         WriteToLogFile(AutomationLogLevel.Info, $"[FILL] Starting fill for {profiles.Count} profiles...");
         
@@ -675,10 +1120,43 @@ public class CortizoAutomationService : IAsyncDisposable
             cancellationToken.ThrowIfCancellationRequested();
 
             var profile = profiles[i];
-            var rowNum = (i + 1).ToString("D4");
+            var rowNum = rowNumbers?[i] ?? (i + 1).ToString("D4");
             
             WriteToLogFile(AutomationLogLevel.Info, $"[ROW {rowNum}] Processing: REF={profile.RefNumber}, AMT={profile.Amount}, DESC={profile.Description}");
             
+            // Resolve finish/shade - use profile values or fall back to the header colour
+            var finish1Value = MapFinishToValue(profile.Finish1 ?? "");
+            if (string.IsNullOrEmpty(finish1Value))
+            {
+                finish1Value = headerFinish1;
+                WriteToLogFile(AutomationLogLevel.Info, $"[ROW {rowNum}] Using header Finish1: {finish1Value}");
+            }
+            var shade1Value = profile.Shade1 ?? "";
+            if (string.IsNullOrEmpty(shade1Value))
+            {
+                shade1Value = headerShade1;
+                WriteToLogFile(AutomationLogLevel.Info, $"[ROW {rowNum}] Using header Shade1: {shade1Value}");
+            }
+            var finish2Value = MapFinishToValue(profile.Finish2 ?? "");
+            if (string.IsNullOrEmpty(finish2Value))
+            {
+                finish2Value = headerFinish2;
+                WriteToLogFile(AutomationLogLevel.Info, $"[ROW {rowNum}] Using header Finish2: {finish2Value}");
+            }
+            var shade2Value = profile.Shade2 ?? "";
+            if (string.IsNullOrEmpty(shade2Value))
+            {
+                shade2Value = headerShade2;
+                WriteToLogFile(AutomationLogLevel.Info, $"[ROW {rowNum}] Using header Shade2: {shade2Value}");
+            }
+            
+            var rowStarted = ProfileRowEvent(profile, rowNum, i + 1, profiles.Count);
+            rowStarted.Finish1 = finish1Value;
+            rowStarted.Shade1 = shade1Value;
+            rowStarted.Finish2 = finish2Value;
+            rowStarted.Shade2 = shade2Value;
+            Emit(AutomationEvents.RowStarted, rowStarted);
+            
             // Step 1: Set reference and trigger validation (this fetches profile data from server)
             var setRefScript = $@"
                 (function() {{
@@ -711,14 +1189,7 @@ public class CortizoAutomationService : IAsyncDisposable
             ";
             await _page.EvaluateAsync(setAmtScript);
             
-            // Step 3: Set Finish 1 - use profile value or fall back to header
-            var finish1Value = MapFinishToValue(profile.Finish1 ?? "");
-            if (string.IsNullOrEmpty(finish1Value))
-            {
-                finish1Value = headerFinish1;
-                WriteToLogFile(AutomationLogLevel.Info, $"[ROW {rowNum}] Using header Finish1: {finish1Value}");
-            }
-            
+            // Step 3: Set Finish 1
             var setFinish1Script = $@"
                 (function() {{
                     const finish1Select = document.getElementById('ddlAcabado1_{rowNum}');
@@ -735,14 +1206,7 @@ public class CortizoAutomationService : IAsyncDisposable
             await _page.EvaluateAsync(setFinish1Script);
             await Task.Delay(250); // Wait for shade options to populate
             
-            // Step 4: Set Shade 1 - use profile value or fall back to header, or first available option
-            var shade1Value = profile.Shade1 ?? "";
-            if (string.IsNullOrEmpty(shade1Value))
-            {
-                shade1Value = headerShade1;
-                WriteToLogFile(AutomationLogLevel.Info, $"[ROW {rowNum}] Using header Shade1: {shade1Value}");
-            }
-            
+            // Step 4: Set Shade 1, or the first available option
             var setShade1Script = $@"
                 (function() {{
                     const shade1Select = document.getElementById('ddlMatiz1_{rowNum}');
@@ -767,14 +1231,7 @@ public class CortizoAutomationService : IAsyncDisposable
             ";
             await _page.EvaluateAsync(setShade1Script);
             
-            // Step 5: Set Finish 2 - use profile value or fall back to header
-            var finish2Value = MapFinishToValue(profile.Finish2 ?? "");
-            if (string.IsNullOrEmpty(finish2Value))
-            {
-                finish2Value = headerFinish2;
-                WriteToLogFile(AutomationLogLevel.Info, $"[ROW {rowNum}] Using header Finish2: {finish2Value}");
-            }
-            
+            // Step 5: Set Finish 2
             var setFinish2Script = $@"
                 (function() {{
                     const finish2Select = document.getElementById('ddlAcabado2_{rowNum}');
@@ -791,14 +1248,7 @@ public class CortizoAutomationService : IAsyncDisposable
             await _page.EvaluateAsync(setFinish2Script);
             await Task.Delay(250); // Wait for shade options to populate
             
-            // Step 6: Set Shade 2 - use profile value or fall back to header, or first available option
-            var shade2Value = profile.Shade2 ?? "";
-            if (string.IsNullOrEmpty(shade2Value))
-            {
-                shade2Value = headerShade2;
-                WriteToLogFile(AutomationLogLevel.Info, $"[ROW {rowNum}] Using header Shade2: {shade2Value}");
-            }
-            
+            // Step 6: Set Shade 2, or the first available option
             var setShade2Script = $@"
                 (function() {{
                     const shade2Select = document.getElementById('ddlMatiz2_{rowNum}');
@@ -875,20 +1325,25 @@ public class CortizoAutomationService : IAsyncDisposable
                     if (string.IsNullOrWhiteSpace(amount))
                     {
                         WriteToLogFile(AutomationLogLevel.Error, $"[ROW {rowNum}] Amount still not calculated after retries");
+                        await EmitRowUnfilledAsync(ProfileRowEvent(profile, rowNum, i + 1, profiles.Count,
+                            reason: "Amount not calculated after retries"));
                     }
                     else
                     {
                         WriteToLogFile(AutomationLogLevel.Success, $"[ROW {rowNum}] Amount calculated on second retry: {amount}");
+                        Emit(AutomationEvents.RowFilled, ProfileRowEvent(profile, rowNum, i + 1, profiles.Count, amount));
                     }
                 }
                 else
                 {
                     WriteToLogFile(AutomationLogLevel.Success, $"[ROW {rowNum}] Amount calculated on retry: {amount}");
+                    Emit(AutomationEvents.RowFilled, ProfileRowEvent(profile, rowNum, i + 1, profiles.Count, amount));
                 }
             }
             else
             {
                 WriteToLogFile(AutomationLogLevel.Success, $"[ROW {rowNum}] Amount calculated: {amount}");
+                Emit(AutomationEvents.RowFilled, ProfileRowEvent(profile, rowNum, i + 1, profiles.Count, amount));
             }
         }
         
@@ -897,11 +1352,28 @@ public class CortizoAutomationService : IAsyncDisposable
     }
 
     /// <summary>
-    /// Fill accessories section on the Cortizo page
+    /// Pick the accessory rows to type into Cortizo: checked in the grid and not in a skipped section
+    /// </summary>
+    private static List<AccessoryItem> SelectAccessoriesToSubmit(List<AccessoryItem>? accessories, QuotationViewModel viewModel)
+    {
+        if (accessories == null) return new List<AccessoryItem>();
+
+        return accessories
+            .Where(a => a.IsSelected)
+            .Where(a => a.Source == "Hardware" ? !viewModel.SkipHardware : !viewModel.SkipAccessories)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Fill accessories section on the Cortizo page.
+    /// Rows are numbered from 0001 unless <paramref name="rowNumbers"/> gives the grid row of each accessory.
     /// </summary>
-    private async Task FillAccessoriesAsync(List<AccessoryItem> accessories, AutomationRunResult result, CancellationToken cancellationToken = default)
+    private async Task FillAccessoriesAsync(List<AccessoryItem> accessories, AutomationRunResult result, CancellationToken cancellationToken = default,
+        IReadOnlyList<string>? rowNumbers = null)
     {
-        WriteToLogFile(AutomationLogLevel.Info, $"[ACCESSORIES] Starting fill for {accessories.Count} accessories...");
+        WriteToLogFile(AutomationLogLevel.Info,
+            $"[ACCESSORIES] Starting fill for {accessories.Count} accessories " +
+            $"({accessories.Count(a => a.Source != "Hardware")} accessories, {accessories.Count(a => a.Source == "Hardware")} hardware)...");
         
         // Check how many accessory rows currently exist
         var countRowsScript = @"
@@ -919,13 +1391,14 @@ public class CortizoAutomationService : IAsyncDisposable
             })();
         ";
         var currentRows = await _page!.EvaluateAsync<int>(countRowsScript);
-        WriteToLogFile(AutomationLogLevel.Info, $"[ACCESSORIES] Current rows: {currentRows}, needed: {accessories.Count}");
+        var requiredRows = rowNumbers != null ? rowNumbers.Max(r => int.Parse(r)) : accessories.Count;
+        WriteToLogFile(AutomationLogLevel.Info, $"[ACCESSORIES] Current rows: {currentRows}, needed: {requiredRows}");
         
         // Add more rows if needed using dgAccesoriosAddRow()
-        if (currentRows < accessories.Count)
+        if (currentRows < requiredRows)
         {
-            WriteToLogFile(AutomationLogLevel.Info, $"[ACCESSORIES] Adding {accessories.Count - currentRows} more rows...");
-            while (currentRows < accessories.Count)
+            WriteToLogFile(AutomationLogLevel.Info, $"[ACCESSORIES] Adding {requiredRows - currentRows} more rows...");
+            while (currentRows < requiredRows)
             {
                 var addRowScript = @"
                     (function() {
@@ -952,9 +1425,10 @@ public class CortizoAutomationService : IAsyncDisposable
             cancellationToken.ThrowIfCancellationRequested();
 
             var accessory = accessories[i];
-            var rowNum = (i + 1).ToString("D4");
+            var rowNum = rowNumbers?[i] ?? (i + 1).ToString("D4");
             
             WriteToLogFile(AutomationLogLevel.Info, $"[ACC {rowNum}] Processing: REF={accessory.RefNumber}, AMT={accessory.Amount}, DESC={accessory.Description}");
+            Emit(AutomationEvents.RowStarted, AccessoryRowEvent(accessory, rowNum, i + 1, accessories.Count));
             
             // Step 1: Set reference value and call ValidarFormatoDatosAcc directly (like profiles do)
             var escapedRef = accessory.RefNumber.Replace("'", "\\'");
@@ -973,6 +1447,8 @@ public class CortizoAutomationService : IAsyncDisposable
             if (refResult == "not-found")
             {
                 WriteToLogFile(AutomationLogLevel.Warning, $"[ACC {rowNum}] Reference input not found");
+                await EmitRowUnfilledAsync(AccessoryRowEvent(accessory, rowNum, i + 1, accessories.Count,
+                    reason: "Reference input not found"));
                 continue;
             }
             
@@ -1040,6 +1516,7 @@ public class CortizoAutomationService : IAsyncDisposable
             if (!string.IsNullOrWhiteSpace(amount))
             {
                 WriteToLogFile(AutomationLogLevel.Success, $"[ACC {rowNum}] Amount={amount}, Price={pagePrice}, DESC={pageDesc}");
+                Emit(AutomationEvents.RowFilled, AccessoryRowEvent(accessory, rowNum, i + 1, accessories.Count, amount));
             }
             else
             {
@@ -1067,6 +1544,7 @@ public class CortizoAutomationService : IAsyncDisposable
                 if (!string.IsNullOrWhiteSpace(amount))
                 {
                     WriteToLogFile(AutomationLogLevel.Success, $"[ACC {rowNum}] Amount on retry 1: {amount}, Price={pagePrice}, DESC={pageDesc}");
+                    Emit(AutomationEvents.RowFilled, AccessoryRowEvent(accessory, rowNum, i + 1, accessories.Count, amount));
                 }
                 else
                 {
@@ -1086,10 +1564,13 @@ public class CortizoAutomationService : IAsyncDisposable
                     if (!string.IsNullOrWhiteSpace(amount))
                     {
                         WriteToLogFile(AutomationLogLevel.Success, $"[ACC {rowNum}] Amount on retry 2: {amount}, Price={pagePrice}, DESC={pageDesc}");
+                        Emit(AutomationEvents.RowFilled, AccessoryRowEvent(accessory, rowNum, i + 1, accessories.Count, amount));
                     }
                     else
                     {
                         WriteToLogFile(AutomationLogLevel.Warning, $"[ACC {rowNum}] Not yet calculated after retries (AJAX may still be pending). Will verify at the end.");
+                        await EmitRowUnfilledAsync(AccessoryRowEvent(accessory, rowNum, i + 1, accessories.Count,
+                            reason: $"Amount not calculated (price={pagePrice}, desc={pageDesc})"));
                     }
                 }
             }
@@ -1099,6 +1580,71 @@ public class CortizoAutomationService : IAsyncDisposable
         FlushLogBuffer();
     }
 
+    /// <summary>
+    /// Click GENERATE REPORT and save the Cortizo report ZIP under wwwroot/downloads
+    /// </summary>
+    private async Task DownloadReportAsync(AutomationRunResult result)
+    {
+        Log(result, AutomationLogLevel.Info, "Clicking GENERATE REPORT to download Cortizo report ZIP...");
+        try
+        {
+            var downloadsDir = Path.Combine(Directory.GetCurrentDirectory(), "wwwroot", "downloads");
+            Directory.CreateDirectory(downloadsDir);
+            
+            var download = await _page!.RunAndWaitForDownloadAsync(async () =>
+            {
+                await _page.EvaluateAsync("EnviarDatosInforme('Valoracion','','')");
+            }, new PageRunAndWaitForDownloadOptions { Timeout = 60000 });
+            
+            var suggestedName = download.SuggestedFilename;
+            if (string.IsNullOrEmpty(suggestedName))
+                suggestedName = $"cortizo_report_{DateTime.Now:yyyyMMdd_HHmmss}.zip";
+            
+            var savePath = Path.Combine(downloadsDir, suggestedName);
+            await download.SaveAsAsync(savePath);
+            
+            result.ReportZipPath = savePath;
+            result.ReportFileName = suggestedName;
+            result.ReportDownloadUrl = $"/downloads/{suggestedName}";
+            
+            Log(result, AutomationLogLevel.Success, $"Cortizo report downloaded: {suggestedName}");
+        }
+        catch (TimeoutException)
+        {
+            Log(result, AutomationLogLevel.Warning, "Report download timed out - the button may not have triggered a download. Trying alternate click...");
+            try
+            {
+                var download = await _page!.RunAndWaitForDownloadAsync(async () =>
+                {
+                    var reportBtn = await _page.QuerySelectorAsync(".botonnuevavaloracion:has-text('GENERATE REPORT')");
+                    if (reportBtn != null)
+                        await reportBtn.ClickAsync();
+                    else
+                        await ClickButtonAsync("GENERATE REPORT");
+                }, new PageRunAndWaitForDownloadOptions { Timeout = 30000 });
+                
+                var downloadsDir2 = Path.Combine(Directory.GetCurrentDirectory(), "wwwroot", "downloads");
+                var suggestedName = download.SuggestedFilename ?? $"cortizo_report_{DateTime.Now:yyyyMMdd_HHmmss}.zip";
+                var savePath = Path.Combine(downloadsDir2, suggestedName);
+                await download.SaveAsAsync(savePath);
+                
+                result.ReportZipPath = savePath;
+                result.ReportFileName = suggestedName;
+                result.ReportDownloadUrl = $"/downloads/{suggestedName}";
+                
+                Log(result, AutomationLogLevel.Success, $"Cortizo report downloaded (retry): {suggestedName}");
+            }
+            catch (Exception retryEx)
+            {
+                Log(result, AutomationLogLevel.Warning, $"Could not capture report download: {retryEx.Message}");
+            }
+        }
+        catch (Exception ex)
+        {
+            Log(result, AutomationLogLevel.Warning, $"Report download failed: {ex.Message}");
+        }
+    }
+
     /// <summary>
     /// Get the Cortizo ESTIMATE TOTAL from the page
     /// </summary>
@@ -1184,6 +1730,12 @@ public class CortizoAutomationService : IAsyncDisposable
         WriteToLogFile(AutomationLogLevel.Info, $"[HEADER] Setting Language to: {viewModel.Language}");
         await TrySetSelectValueAsync("#ctl00_ContentPlaceHolderCortizoCenter_ddlIdioma, select[name*='Idioma']", viewModel.Language);
 
+        // Delivery addresses (profiles / accessories / PVC)
+        WriteToLogFile(AutomationLogLevel.Info, $"[HEADER] Setting delivery: profiles={viewModel.ProfDeliv}, accessories={viewModel.AccDeliv}, PVC={viewModel.PvcDeliv}");
+        await TrySelectOptionByTextAsync(ProfileDeliverySelectors, viewModel.ProfDeliv);
+        await TrySelectOptionByTextAsync(AccessoryDeliverySelectors, viewModel.AccDeliv);
+        await TrySelectOptionByTextAsync(PvcDeliverySelectors, viewModel.PvcDeliv);
+
         // Set General Color settings using the correct IDs from the HTML
         // Finish 1: #ddlAcabado_1_ColorGeneral
         // Value mapping: 90 = "SPECIAL 1 POWDER COATING", 8 = "MILL FINISH", 9 = "STANDARD POWDER COATING"
@@ -1215,43 +1767,35 @@ public class CortizoAutomationService : IAsyncDisposable
     }
 
     /// <summary>
-    /// Set the customized prices section with static values
+    /// Set the customized prices section from the run's prices; empty values are left blank
     /// </summary>
-    private async Task SetCustomizedPricesAsync()
+    private async Task SetCustomizedPricesAsync(CustomizedPrices prices)
     {
         WriteToLogFile(AutomationLogLevel.Info, "[PRICES] Setting customized prices...");
         
-        // SYSTEMS ALUMINIUM
-        // WITH BREAK: 7.56 (*/Kg)
-        WriteToLogFile(AutomationLogLevel.Info, "[PRICES] Setting WITH BREAK: 7.56");
-        await TrySetInputValueAsync("#ctl00_ContentPlaceHolderCortizoCenter_txtPrecioConRotura", "7.56");
-        
-        // WITHOUT BREAK: 5.16 (*/Kg)
-        WriteToLogFile(AutomationLogLevel.Info, "[PRICES] Setting WITHOUT BREAK: 5.16");
-        await TrySetInputValueAsync("#ctl00_ContentPlaceHolderCortizoCenter_txtPrecioSinRotura", "5.16");
-        
-        // LACQUERED: (empty in the image, but can set if needed)
-        // await TrySetInputValueAsync("#ctl00_ContentPlaceHolderCortizoCenter_txtPrecioLacado", "");
-        
-        // ANODIZED: (empty in the image, but can set if needed)
-        // await TrySetInputValueAsync("#ctl00_ContentPlaceHolderCortizoCenter_txtPrecioAnodizado", "");
-        
-        // SYSTEMS PVC
-        // PVC: 15 (%)
-        WriteToLogFile(AutomationLogLevel.Info, "[PRICES] Setting PVC: 15");
-        await TrySetInputValueAsync("#ctl00_ContentPlaceHolderCortizoCenter_txtPVCDescuentoPVC", "15");
-        
-        // ALUMINIUM: 10 (%)
-        WriteToLogFile(AutomationLogLevel.Info, "[PRICES] Setting ALUMINIUM: 10");
-        await TrySetInputValueAsync("#ctl00_ContentPlaceHolderCortizoCenter_txtPVCDescuentoAluminio", "10");
-        
-        // STEEL: (empty in the image)
-        // await TrySetInputValueAsync("#ctl00_ContentPlaceHolderCortizoCenter_txtPVCDescuentoAcero", "");
+        var fields = new (string Label, string Id, decimal? Value)[]
+        {
+            // SYSTEMS ALUMINIUM (€/Kg)
+            ("WITH BREAK", "txtPrecioConRotura", prices.WithBreak),
+            ("WITHOUT BREAK", "txtPrecioSinRotura", prices.WithoutBreak),
+            ("LACQUERED", "txtPrecioLacado", prices.Lacquered),
+            ("ANODIZED", "txtPrecioAnodizado", prices.Anodized),
+            // SYSTEMS PVC (%)
+            ("PVC", "txtPVCDescuentoPVC", prices.PvcDiscount),
+            ("ALUMINIUM", "txtPVCDescuentoAluminio", prices.AluminiumDiscount),
+            ("STEEL", "txtPVCDescuentoAcero", prices.SteelDiscount),
+            // DISCOUNT IN ALUMINUM AND PVC ACCESSORIES (%)
+            ("ACCESSORIES DISCOUNT", "txtDescuentoAccesorios", prices.AccessoryDiscount)
+        };
         
-        // ACCESSORIES
-        // DISCOUNT IN ALUMINUM AND PVC ACCESSORIES: 10 (%)
-        WriteToLogFile(AutomationLogLevel.Info, "[PRICES] Setting ACCESSORIES DISCOUNT: 10");
-        await TrySetInputValueAsync("#ctl00_ContentPlaceHolderCortizoCenter_txtDescuentoAccesorios", "10");
+        foreach (var (label, id, value) in fields)
+        {
+            if (value == null) continue;
+            
+            var text = value.Value.ToString(CultureInfo.InvariantCulture);
+            WriteToLogFile(AutomationLogLevel.Info, $"[PRICES] Setting {label}: {text}");
+            await TrySetInputValueAsync($"#ctl00_ContentPlaceHolderCortizoCenter_{id}", text);
+        }
         
         // Trigger the onchange event to update prices
         await _page!.EvaluateAsync("if(typeof precioPersonalizadoChanged === 'function') precioPersonalizadoChanged();");
@@ -1505,6 +2049,62 @@ public class CortizoAutomationService : IAsyncDisposable
         }
     }
 
+    /// <summary>
+    /// Option texts of the first select found (empty options left out)
+    /// </summary>
+    private async Task<List<string>> GetSelectOptionsAsync(string[] selectors)
+    {
+        var script = @"
+            (selectors) => {
+                for (const sel of selectors) {
+                    const el = document.querySelector(sel);
+                    if (el) return [...el.options].map(o => o.text.trim()).filter(t => t);
+                }
+                return [];
+            }
+        ";
+        return await _page!.EvaluateAsync<List<string>>(script, selectors);
+    }
+
+    /// <summary>
+    /// Select the option whose text is (or starts with) the given text in the first select found,
+    /// firing its change event. Leaves the select as it is when nothing matches.
+    /// </summary>
+    private async Task TrySelectOptionByTextAsync(string[] selectors, string text)
+    {
+        if (string.IsNullOrWhiteSpace(text)) return;
+
+        var script = @"
+            ([selectors, text]) => {
+                const wanted = text.trim().toUpperCase();
+                for (const sel of selectors) {
+                    const el = document.querySelector(sel);
+                    if (!el) continue;
+                    const options = [...el.options];
+                    const option = options.find(o => o.text.trim().toUpperCase() === wanted)
+                        || options.find(o => o.text.trim().toUpperCase().startsWith(wanted));
+                    if (!option) return false;
+                    el.value = option.value;
+                    el.dispatchEvent(new Event('change', { bubbles: true }));
+                    return true;
+                }
+                return false;
+            }
+        ";
+
+        try
+        {
+            if (!await _page!.EvaluateAsync<bool>(script, new object[] { selectors, text }))
+            {
+                WriteToLogFile(AutomationLogLevel.Warning, $"[HEADER] No option '{text}' in {selectors[0]}");
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, $"Failed to select option '{text}' in {selectors[0]}");
+        }
+    }
+
     private async Task TrySetSelectValueWithSelectorsAsync(string[] selectors, string value)
     {
         foreach (var selector in selectors)
@@ -1588,6 +2188,184 @@ public class CortizoAutomationService : IAsyncDisposable
         _logger.LogWarning($"Could not find button: {buttonText}");
     }
 
+    /// <summary>
+    /// Send a structured progress event to the dashboard
+    /// </summary>
+    private void Emit(string eventName, AutomationProgressEvent progress)
+    {
+        if (eventName == AutomationEvents.StepStarted)
+        {
+            _currentStep = progress.Step;
+        }
+        else if (eventName == AutomationEvents.RowStarted)
+        {
+            _rowStartedAt = Stopwatch.GetTimestamp();
+        }
+        else if (eventName is AutomationEvents.RowFilled or AutomationEvents.RowUnfilled)
+        {
+            RecordRowTiming(progress);
+        }
+        OnProgress?.Invoke(eventName, progress);
+    }
+
+    private void EmitStep(string eventName, AutomationStep step, string? message = null, int? count = null, int? totalRows = null)
+    {
+        Emit(eventName, new AutomationProgressEvent { Step = step, Message = message, Count = count, TotalRows = totalRows });
+    }
+
+    /// <summary>
+    /// Emit RowUnfilled with a snapshot of the row attached
+    /// </summary>
+    private async Task EmitRowUnfilledAsync(AutomationProgressEvent progress)
+    {
+        // The snapshot is not part of the row's time
+        RecordRowTiming(progress);
+        progress.SnapshotUrl = await CaptureRowSnapshotAsync(progress.RowNumber!, progress.ItemType!.Value);
+        Emit(AutomationEvents.RowUnfilled, progress);
+    }
+
+    /// <summary>
+    /// Set the row event's DurationMs and Slow flag from the row started last (once per row)
+    /// </summary>
+    private void RecordRowTiming(AutomationProgressEvent progress)
+    {
+        if (_rowStartedAt == null || progress.ItemType == null) return;
+
+        var timing = new RowTiming
+        {
+            ItemType = progress.ItemType.Value,
+            RowNumber = progress.RowNumber ?? string.Empty,
+            RefNumber = progress.RefNumber,
+            DurationMs = (long)Stopwatch.GetElapsedTime(_rowStartedAt.Value).TotalMilliseconds
+        };
+        _rowStartedAt = null;
+
+        // Compared with the rows before it, so the first few rows of a type are never slow
+        var previous = _rowTimings.Where(t => t.ItemType == timing.ItemType).Select(t => t.DurationMs).ToList();
+        var slow = previous.Count >= 3 && timing.DurationMs > previous.Average() * _config.SlowRowFactor;
+
+        progress.DurationMs = timing.DurationMs;
+        progress.Slow = slow;
+        _rowTimings.Add(timing);
+        if (slow)
+        {
+            _slowRows.Add(timing);
+            WriteToLogFile(AutomationLogLevel.Warning, $"[TIMING] Slow row {timing.RowNumber} ({timing.ItemType}, REF {timing.RefNumber}): {timing.DurationMs} ms");
+        }
+    }
+
+    /// <summary>
+    /// Put the run's timing summary in the result and the log
+    /// </summary>
+    private void RecordTimingSummary(AutomationRunResult result, TimeSpan elapsed)
+    {
+        var profiles = _rowTimings.Where(t => t.ItemType == AutomationItemType.Profile).ToList();
+        var accessories = _rowTimings.Where(t => t.ItemType == AutomationItemType.Accessory).ToList();
+        var rowMinutes = _rowTimings.Sum(t => t.DurationMs) / 60000.0;
+
+        result.Timing = new AutomationTimingSummary
+        {
+            TotalSeconds = Math.Round(elapsed.TotalSeconds, 1),
+            ProfileRows = profiles.Count,
+            ProfileAverageMs = profiles.Count > 0 ? (long)profiles.Average(t => t.DurationMs) : 0,
+            AccessoryRows = accessories.Count,
+            AccessoryAverageMs = accessories.Count > 0 ? (long)accessories.Average(t => t.DurationMs) : 0,
+            RowsPerMinute = rowMinutes > 0 ? Math.Round(_rowTimings.Count / rowMinutes, 1) : 0,
+            SlowRows = _slowRows.ToList()
+        };
+
+        var timing = result.Timing;
+        Log(result, AutomationLogLevel.Info,
+            $"[TIMING] Run took {timing.TotalSeconds:F1} s; {_rowTimings.Count} rows at {timing.RowsPerMinute:F1} rows/min " +
+            $"(profiles avg {timing.ProfileAverageMs} ms, accessories avg {timing.AccessoryAverageMs} ms); {timing.SlowRows.Count} slow rows");
+    }
+
+    /// <summary>
+    /// Save a cropped screenshot of a grid row (with a little of the rows around it) under wwwroot/downloads/snapshots.
+    /// Returns its URL, or null when the row is not on the page. A row is only captured once per run.
+    /// </summary>
+    private async Task<string?> CaptureRowSnapshotAsync(string rowNum, AutomationItemType itemType)
+    {
+        var key = $"{itemType}-{rowNum}";
+        if (_rowSnapshots.TryGetValue(key, out var existing)) return existing;
+
+        try
+        {
+            var suffix = itemType == AutomationItemType.Accessory ? "Acc" : "";
+            var row = await _page!.QuerySelectorAsync($"tr:has(#txtReferencia{suffix}_{rowNum})");
+            if (row == null) return null;
+
+            await row.ScrollIntoViewIfNeededAsync();
+            var box = await row.BoundingBoxAsync();
+            if (box == null) return null;
+
+            var snapshotsDir = Path.Combine(Directory.GetCurrentDirectory(), "wwwroot", "downloads", "snapshots");
+            Directory.CreateDirectory(snapshotsDir);
+            var fileName = $"{Path.GetFileNameWithoutExtension(_logFilePath)}-{key.ToLowerInvariant()}.jpg";
+
+            const int margin = 40;
+            await _page.ScreenshotAsync(new PageScreenshotOptions
+            {
+                Path = Path.Combine(snapshotsDir, fileName),
+                Type = ScreenshotType.Jpeg,
+                Quality = 70,
+                Clip = new Clip
+                {
+                    X = Math.Max(0, box.X - 10),
+                    Y = Math.Max(0, box.Y - margin),
+                    Width = box.Width + 20,
+                    Height = box.Height + 2 * margin
+                }
+            });
+
+            var url = $"/downloads/snapshots/{fileName}";
+            _rowSnapshots[key] = url;
+            return url;
+        }
+        catch (Exception ex)
+        {
+            WriteToLogFile(AutomationLogLevel.Warning, $"[SNAPSHOT] Row {rowNum} not captured: {ex.Message}");
+            return null;
+        }
+    }
+
+    private static AutomationProgressEvent ProfileRowEvent(ProfileItem profile, string rowNum, int index, int count,
+        string? calculatedAmount = null, string? reason = null)
+    {
+        return new AutomationProgressEvent
+        {
+            Step = AutomationStep.Profiles,
+            ItemType = AutomationItemType.Profile,
+            RowNumber = rowNum,
+            Index = index,
+            Count = count,
+            RefNumber = profile.RefNumber,
+            Amount = profile.Amount,
+            Description = profile.Description,
+            CalculatedAmount = calculatedAmount,
+            Message = reason
+        };
+    }
+
+    private static AutomationProgressEvent AccessoryRowEvent(AccessoryItem accessory, string rowNum, int index, int count,
+        string? calculatedAmount = null, string? reason = null)
+    {
+        return new AutomationProgressEvent
+        {
+            Step = AutomationStep.Accessories,
+            ItemType = AutomationItemType.Accessory,
+            RowNumber = rowNum,
+            Index = index,
+            Count = count,
+            RefNumber = accessory.RefNumber,
+            Amount = accessory.Amount,
+            Description = accessory.Description,
+            Finish = accessory.Finish,
+            CalculatedAmount = calculatedAmount,
+            Message = reason
+        };
+    }
+
     private void Log(AutomationRunResult result, AutomationLogLevel level, string message, string? details = null)
     {
         var entry = new AutomationLogEntry
@@ -1784,6 +2562,7 @@ public class CortizoAutomationService : IAsyncDisposable
         // Flush any remaining logs
         WriteToLogFile(AutomationLogLevel.Info, "Disposing automation service...");
         FlushLogBuffer();
+        StopLiveViewLoop();
         
         if (_page != null)
         {
@@ -0,0 +1,43 @@
+using VisorQuotationWebApp.Models;
+
+namespace VisorQuotationWebApp.Services;
+
+/// <summary>
+/// Named Excel price list column mappings, kept in App_Data/excel-mappings.json
+/// so supplier layouts only have to be mapped once
+/// </summary>
+public class ExcelMappingTemplateService
+{
+    private readonly JsonFileStore<ExcelColumnMapping> _store;
+
+    public ExcelMappingTemplateService(ILogger<ExcelMappingTemplateService> logger)
+    {
+        _store = new JsonFileStore<ExcelColumnMapping>("excel-mappings.json", t => JsonFileStore<ExcelColumnMapping>.Key(t.Kind, t.Name),
+            "Excel mapping templates", logger);
+    }
+
+    /// <summary>
+    /// Templates for profile or accessory price lists, by name
+    /// </summary>
+    public List<ExcelColumnMapping> GetTemplates(ExcelPriceListKind kind)
+    {
+        return _store.GetAll(t => t.Kind == kind)
+            .OrderBy(t => t.Name, StringComparer.OrdinalIgnoreCase)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Add a template, or replace the one of the same kind and name
+    /// </summary>
+    public void Save(ExcelColumnMapping template)
+    {
+        template.UpdatedAt = DateTime.Now;
+        _store.Save(template);
+    }
+
+    /// <summary>
+    /// Remove a template; false when it did not exist
+    /// </summary>
+    public bool Delete(ExcelPriceListKind kind, string name) =>
+        _store.Delete(JsonFileStore<ExcelColumnMapping>.Key(kind, name));
+}
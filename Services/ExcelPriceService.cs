@@ -1,4 +1,5 @@
 using ClosedXML.Excel;
+using System.Text.Json.Serialization;
 using VisorQuotationWebApp.Models;
 
 namespace VisorQuotationWebApp.Services;
@@ -9,21 +10,40 @@ namespace VisorQuotationWebApp.Services;
 public class ExcelPriceService
 {
     private readonly ILogger<ExcelPriceService> _logger;
+    private readonly ExcelMappingTemplateService _templateService;
+    private readonly BarLengthService _barLengthService;
+    private readonly ThermalBreakService _thermalBreakService;
+    private readonly SupplementaryPriceService _supplementaryPriceService;
+    
+    // Size of the upload preview: rows and columns shown per sheet, rows parsed as samples
+    private const int PreviewRows = 15;
+    private const int PreviewColumns = 26;
+    private const int SampleRows = 8;
+    
+    // Length of a profile bar (m) when neither the bar length table nor the price list has one
+    private const decimal DefaultBarLength = 6m;
     
     // Cache for loaded price data
     private Dictionary<string, ProfilePriceData>? _profilePrices;
     private Dictionary<string, AccessoryPriceData>? _accessoryPrices;
     private Dictionary<string, ColorData>? _colorData;
     
-    public ExcelPriceService(ILogger<ExcelPriceService> logger)
+    public ExcelPriceService(ILogger<ExcelPriceService> logger, ExcelMappingTemplateService templateService,
+        BarLengthService barLengthService, ThermalBreakService thermalBreakService,
+        SupplementaryPriceService supplementaryPriceService)
     {
         _logger = logger;
+        _templateService = templateService;
+        _barLengthService = barLengthService;
+        _thermalBreakService = thermalBreakService;
+        _supplementaryPriceService = supplementaryPriceService;
     }
 
     /// <summary>
-    /// Load profile prices from Excel file (Precios_XXXXX_XXXXXX.xlsx)
+    /// Load profile prices from Excel file (Precios_XXXXX_XXXXXX.xlsx).
+    /// Without a mapping, a saved template with the same header signature is used, or the columns are guessed.
     /// </summary>
-    public Task<bool> LoadProfilePricesAsync(string filePath)
+    public Task<bool> LoadProfilePricesAsync(string filePath, ExcelColumnMapping? mapping = null)
     {
         try
         {
@@ -35,117 +55,36 @@ public class ExcelPriceService
                 return Task.FromResult(false);
             }
 
-            _profilePrices = new Dictionary<string, ProfilePriceData>(StringComparer.OrdinalIgnoreCase);
-
             using var workbook = new XLWorkbook(filePath);
-            var worksheet = workbook.Worksheets.FirstOrDefault();
+            mapping ??= ResolveMapping(workbook, ExcelPriceListKind.Profile).Mapping;
+            var worksheet = FindWorksheet(workbook, mapping);
             
             if (worksheet == null)
             {
-                _logger.LogError("No worksheet found in profile prices file");
+                _logger.LogError("Worksheet {Sheet} not found in profile prices file", mapping.SheetName);
                 return Task.FromResult(false);
             }
 
-            // Find the data range - skip header rows
-            var lastRow = worksheet.LastRowUsed()?.RowNumber() ?? 0;
-            var lastCol = worksheet.LastColumnUsed()?.ColumnNumber() ?? 0;
-            
-            _logger.LogInformation("Found {Rows} rows and {Cols} columns in profile prices", lastRow, lastCol);
-
-            // Try to detect header row - look for common headers like "REFERENCIA", "REF", "PRECIO"
-            int headerRow = 1;
-            for (int row = 1; row <= Math.Min(10, lastRow); row++)
-            {
-                var cellValue = worksheet.Cell(row, 1).GetString().ToUpperInvariant();
-                if (cellValue.Contains("REF") || cellValue.Contains("CODIGO") || cellValue.Contains("REFERENCE"))
-                {
-                    headerRow = row;
-                    break;
-                }
-            }
-
-            // Detect column indices
-            int refCol = -1, priceCol = -1, descCol = -1, weightCol = -1;
-            
-            for (int col = 1; col <= lastCol; col++)
-            {
-                var headerValue = worksheet.Cell(headerRow, col).GetString().ToUpperInvariant();
-                
-                if (headerValue.Contains("REF") || headerValue.Contains("CODIGO"))
-                    refCol = col;
-                else if (headerValue.Contains("PRECIO") || headerValue.Contains("PRICE") || headerValue.Contains("PVP"))
-                    priceCol = col;
-                else if (headerValue.Contains("DESC") || headerValue.Contains("NOMBRE") || headerValue.Contains("NAME"))
-                    descCol = col;
-                else if (headerValue.Contains("PESO") || headerValue.Contains("WEIGHT") || headerValue.Contains("KG"))
-                    weightCol = col;
-            }
-
-            _logger.LogInformation("Detected columns - Ref: {RefCol}, Price: {PriceCol}, Desc: {DescCol}, Weight: {WeightCol}",
-                refCol, priceCol, descCol, weightCol);
+            _logger.LogInformation("Reading profile prices from sheet {Sheet}, header row {HeaderRow} - Ref: {RefCol}, Price: {PriceCol}, Desc: {DescCol}, Weight: {WeightCol}, Bar length: {BarLengthCol}, Thermal break: {ThermalBreakCol}",
+                worksheet.Name, mapping.HeaderRow, mapping.RefColumn, mapping.PriceColumn, mapping.DescriptionColumn, mapping.WeightColumn, mapping.BarLengthColumn, mapping.ThermalBreakColumn);
 
-            // If we couldn't detect columns, use defaults based on typical Cortizo format
-            if (refCol < 0) refCol = 1;
-            if (priceCol < 0) priceCol = 2;
-
-            // Read data rows
-            for (int row = headerRow + 1; row <= lastRow; row++)
+            var profilePrices = new Dictionary<string, ProfilePriceData>(StringComparer.OrdinalIgnoreCase);
+            foreach (var row in ReadPriceRows(worksheet, mapping))
             {
-                var refValue = worksheet.Cell(row, refCol).GetString().Trim();
-                
-                if (string.IsNullOrWhiteSpace(refValue))
-                    continue;
+                if (profilePrices.ContainsKey(row.Reference)) continue;
 
-                // Clean reference number (remove spaces, leading zeros in some cases)
-                var cleanRef = CleanReferenceNumber(refValue);
-
-                var priceData = new ProfilePriceData
+                profilePrices[row.Reference] = new ProfilePriceData
                 {
-                    Reference = cleanRef,
-                    OriginalReference = refValue
+                    Reference = row.Reference,
+                    OriginalReference = row.OriginalReference,
+                    Description = row.Description,
+                    PricePerKg = row.Price ?? 0,
+                    WeightPerMeter = row.Weight ?? 0,
+                    BarLength = row.BarLength ?? 0,
+                    ThermalBreak = row.ThermalBreak
                 };
-
-                // Try to get price
-                if (priceCol > 0)
-                {
-                    var priceCell = worksheet.Cell(row, priceCol);
-                    if (priceCell.TryGetValue<decimal>(out var price))
-                    {
-                        priceData.PricePerKg = price;
-                    }
-                    else
-                    {
-                        // Try parsing as string
-                        var priceStr = priceCell.GetString().Replace(",", ".").Replace("€", "").Trim();
-                        if (decimal.TryParse(priceStr, System.Globalization.NumberStyles.Any, 
-                            System.Globalization.CultureInfo.InvariantCulture, out price))
-                        {
-                            priceData.PricePerKg = price;
-                        }
-                    }
-                }
-
-                // Try to get description
-                if (descCol > 0)
-                {
-                    priceData.Description = worksheet.Cell(row, descCol).GetString().Trim();
-                }
-
-                // Try to get weight
-                if (weightCol > 0)
-                {
-                    var weightCell = worksheet.Cell(row, weightCol);
-                    if (weightCell.TryGetValue<decimal>(out var weight))
-                    {
-                        priceData.WeightPerMeter = weight;
-                    }
-                }
-
-                if (!_profilePrices.ContainsKey(cleanRef))
-                {
-                    _profilePrices[cleanRef] = priceData;
-                }
             }
+            _profilePrices = profilePrices;
 
             _logger.LogInformation("Loaded {Count} profile prices", _profilePrices.Count);
             return Task.FromResult(true);
@@ -158,9 +97,10 @@ public class ExcelPriceService
     }
 
     /// <summary>
-    /// Load accessory prices from Excel file (TarifaAcc_XXXXX_XXXXXX.xlsx)
+    /// Load accessory prices from Excel file (TarifaAcc_XXXXX_XXXXXX.xlsx).
+    /// Without a mapping, a saved template with the same header signature is used, or the columns are guessed.
     /// </summary>
-    public Task<bool> LoadAccessoryPricesAsync(string filePath)
+    public Task<bool> LoadAccessoryPricesAsync(string filePath, ExcelColumnMapping? mapping = null)
     {
         try
         {
@@ -172,96 +112,33 @@ public class ExcelPriceService
                 return Task.FromResult(false);
             }
 
-            _accessoryPrices = new Dictionary<string, AccessoryPriceData>(StringComparer.OrdinalIgnoreCase);
-
             using var workbook = new XLWorkbook(filePath);
-            var worksheet = workbook.Worksheets.FirstOrDefault();
+            mapping ??= ResolveMapping(workbook, ExcelPriceListKind.Accessory).Mapping;
+            var worksheet = FindWorksheet(workbook, mapping);
             
             if (worksheet == null)
             {
-                _logger.LogError("No worksheet found in accessory prices file");
+                _logger.LogError("Worksheet {Sheet} not found in accessory prices file", mapping.SheetName);
                 return Task.FromResult(false);
             }
 
-            var lastRow = worksheet.LastRowUsed()?.RowNumber() ?? 0;
-            var lastCol = worksheet.LastColumnUsed()?.ColumnNumber() ?? 0;
-            
-            _logger.LogInformation("Found {Rows} rows and {Cols} columns in accessory prices", lastRow, lastCol);
-
-            // Detect header row
-            int headerRow = 1;
-            for (int row = 1; row <= Math.Min(10, lastRow); row++)
-            {
-                var cellValue = worksheet.Cell(row, 1).GetString().ToUpperInvariant();
-                if (cellValue.Contains("REF") || cellValue.Contains("CODIGO") || cellValue.Contains("REFERENCE"))
-                {
-                    headerRow = row;
-                    break;
-                }
-            }
-
-            // Detect column indices
-            int refCol = -1, priceCol = -1, descCol = -1;
-            
-            for (int col = 1; col <= lastCol; col++)
-            {
-                var headerValue = worksheet.Cell(headerRow, col).GetString().ToUpperInvariant();
-                
-                if (headerValue.Contains("REF") || headerValue.Contains("CODIGO"))
-                    refCol = col;
-                else if (headerValue.Contains("PRECIO") || headerValue.Contains("PRICE") || headerValue.Contains("PVP"))
-                    priceCol = col;
-                else if (headerValue.Contains("DESC") || headerValue.Contains("NOMBRE") || headerValue.Contains("NAME"))
-                    descCol = col;
-            }
-
-            if (refCol < 0) refCol = 1;
-            if (priceCol < 0) priceCol = 2;
+            _logger.LogInformation("Reading accessory prices from sheet {Sheet}, header row {HeaderRow} - Ref: {RefCol}, Price: {PriceCol}, Desc: {DescCol}",
+                worksheet.Name, mapping.HeaderRow, mapping.RefColumn, mapping.PriceColumn, mapping.DescriptionColumn);
 
-            // Read data rows
-            for (int row = headerRow + 1; row <= lastRow; row++)
+            var accessoryPrices = new Dictionary<string, AccessoryPriceData>(StringComparer.OrdinalIgnoreCase);
+            foreach (var row in ReadPriceRows(worksheet, mapping))
             {
-                var refValue = worksheet.Cell(row, refCol).GetString().Trim();
-                
-                if (string.IsNullOrWhiteSpace(refValue))
-                    continue;
-
-                var cleanRef = CleanReferenceNumber(refValue);
+                if (accessoryPrices.ContainsKey(row.Reference)) continue;
 
-                var priceData = new AccessoryPriceData
+                accessoryPrices[row.Reference] = new AccessoryPriceData
                 {
-                    Reference = cleanRef,
-                    OriginalReference = refValue
+                    Reference = row.Reference,
+                    OriginalReference = row.OriginalReference,
+                    Description = row.Description,
+                    PricePerUnit = row.Price ?? 0
                 };
-
-                if (priceCol > 0)
-                {
-                    var priceCell = worksheet.Cell(row, priceCol);
-                    if (priceCell.TryGetValue<decimal>(out var price))
-                    {
-                        priceData.PricePerUnit = price;
-                    }
-                    else
-                    {
-                        var priceStr = priceCell.GetString().Replace(",", ".").Replace("€", "").Trim();
-                        if (decimal.TryParse(priceStr, System.Globalization.NumberStyles.Any, 
-                            System.Globalization.CultureInfo.InvariantCulture, out price))
-                        {
-                            priceData.PricePerUnit = price;
-                        }
-                    }
-                }
-
-                if (descCol > 0)
-                {
-                    priceData.Description = worksheet.Cell(row, descCol).GetString().Trim();
-                }
-
-                if (!_accessoryPrices.ContainsKey(cleanRef))
-                {
-                    _accessoryPrices[cleanRef] = priceData;
-                }
             }
+            _accessoryPrices = accessoryPrices;
 
             _logger.LogInformation("Loaded {Count} accessory prices", _accessoryPrices.Count);
             return Task.FromResult(true);
@@ -273,6 +150,74 @@ public class ExcelPriceService
         }
     }
 
+    /// <summary>
+    /// First rows of every sheet of an uploaded price list, with the mapping that would be used for it
+    /// (a saved template with the same header signature, or the guessed columns) and sample rows parsed with it
+    /// </summary>
+    public PriceListPreview PreviewPriceList(string filePath, ExcelPriceListKind kind)
+    {
+        using var workbook = new XLWorkbook(filePath);
+        var (mapping, templateName) = ResolveMapping(workbook, kind);
+
+        var preview = new PriceListPreview
+        {
+            Mapping = mapping,
+            TemplateName = templateName
+        };
+
+        foreach (var worksheet in workbook.Worksheets)
+        {
+            var lastRow = Math.Min(worksheet.LastRowUsed()?.RowNumber() ?? 0, PreviewRows);
+            var lastCol = Math.Min(worksheet.LastColumnUsed()?.ColumnNumber() ?? 0, PreviewColumns);
+
+            var sheet = new PriceListSheetPreview
+            {
+                Name = worksheet.Name,
+                RowCount = worksheet.LastRowUsed()?.RowNumber() ?? 0,
+                ColumnCount = lastCol
+            };
+            for (int row = 1; row <= lastRow; row++)
+            {
+                var cells = new List<string>();
+                for (int col = 1; col <= lastCol; col++)
+                {
+                    cells.Add(worksheet.Cell(row, col).GetFormattedString().Trim());
+                }
+                sheet.Rows.Add(cells);
+            }
+            preview.Sheets.Add(sheet);
+        }
+
+        var mappedSheet = FindWorksheet(workbook, mapping);
+        if (mappedSheet != null)
+        {
+            preview.Samples = ReadPriceRows(mappedSheet, mapping).Take(SampleRows).ToList();
+        }
+        return preview;
+    }
+
+    /// <summary>
+    /// The first rows a mapping reads from a price list, as they would be loaded
+    /// </summary>
+    public List<PriceListRow> SamplePriceList(string filePath, ExcelColumnMapping mapping)
+    {
+        using var workbook = new XLWorkbook(filePath);
+        var worksheet = FindWorksheet(workbook, mapping);
+        return worksheet == null
+            ? new List<PriceListRow>()
+            : ReadPriceRows(worksheet, mapping).Take(SampleRows).ToList();
+    }
+
+    /// <summary>
+    /// Header signature of the mapping's header row, saved with a template to recognise files of the same layout
+    /// </summary>
+    public string GetHeaderSignature(string filePath, ExcelColumnMapping mapping)
+    {
+        using var workbook = new XLWorkbook(filePath);
+        var worksheet = FindWorksheet(workbook, mapping);
+        return worksheet == null ? string.Empty : HeaderSignature(worksheet, mapping.HeaderRow);
+    }
+
     /// <summary>
     /// Load color/finish data from Excel file (COLORES CORTIZO.xlsx)
     /// </summary>
@@ -330,15 +275,26 @@ public class ExcelPriceService
     }
 
     /// <summary>
-    /// Calculate totals for profiles and accessories
+    /// Calculate totals for profiles and accessories.
+    /// A unit price override of a line replaces its list or custom price.
+    /// Profile weights use the parsed total length, or the bars times the bar length (table, price list, else 6 m).
+    /// The with-break or without-break custom price follows the thermal-break classification of the profile.
+    /// References missing from the price lists are priced with the session's manual prices, else the supplementary list.
     /// </summary>
     public PriceCalculationResult CalculateTotals(
         List<ProfileItem> profiles, 
         List<AccessoryItem>? accessories,
         decimal? customWithBreakPrice = null,
         decimal? customWithoutBreakPrice = null,
-        decimal? accessoryDiscount = null)
+        decimal? accessoryDiscount = null,
+        List<UnitPriceOverride>? unitPriceOverrides = null,
+        ProfileLengthBasis lengthBasis = ProfileLengthBasis.Bars,
+        List<ManualPrice>? manualPrices = null)
     {
+        var overrides = (unitPriceOverrides ?? new List<UnitPriceOverride>())
+            .GroupBy(o => (o.Kind, o.ItemId))
+            .ToDictionary(g => g.Key, g => g.Last().UnitPrice);
+
         var result = new PriceCalculationResult
         {
             CalculationDate = DateTime.Now,
@@ -354,16 +310,45 @@ public class ExcelPriceService
             return result;
         }
 
+        var barLengths = new Dictionary<string, decimal>(StringComparer.OrdinalIgnoreCase);
+        foreach (var barLength in _barLengthService.GetAll().Where(b => b.Length > 0))
+        {
+            barLengths[CleanReferenceNumber(barLength.Reference)] = barLength.Length;
+        }
+
+        var thermalBreaks = new Dictionary<string, bool>(StringComparer.OrdinalIgnoreCase);
+        foreach (var mapping in _thermalBreakService.GetAll())
+        {
+            thermalBreaks[CleanReferenceNumber(mapping.Reference)] = mapping.ThermalBreak;
+        }
+
         // Calculate profile totals
         decimal profileTotal = 0;
+        int withoutParsedLength = 0;
         foreach (var profile in profiles.Where(p => p.IsSelected))
         {
             var cleanRef = CleanReferenceNumber(profile.RefNumber);
             
-            if (_profilePrices.TryGetValue(cleanRef, out var priceData))
+            // Not in the price list: a manual price stands in for the list price (per bar, no weight)
+            PriceRule? manualRule = null;
+            if (!_profilePrices.TryGetValue(cleanRef, out var priceData) &&
+                FindManualPrice(ExcelPriceListKind.Profile, profile.RefNumber, manualPrices) is { } manual)
+            {
+                manualRule = manual.Rule;
+                priceData = new ProfilePriceData
+                {
+                    Reference = cleanRef,
+                    OriginalReference = profile.RefNumber,
+                    Description = manual.Price.Description,
+                    PricePerKg = manual.Price.UnitPrice
+                };
+            }
+            
+            if (priceData != null)
             {
                 var calcItem = new ProfileCalculationItem
                 {
+                    ItemId = profile.Id,
                     RefNumber = profile.RefNumber,
                     Amount = profile.Amount,
                     Description = profile.Description ?? priceData.Description,
@@ -371,36 +356,79 @@ public class ExcelPriceService
                     WeightPerMeter = priceData.WeightPerMeter
                 };
 
-                // If we have weight, calculate total
-                if (priceData.WeightPerMeter > 0 && priceData.PricePerKg > 0)
+                (calcItem.ThermalBreak, calcItem.ThermalBreakSource) = ClassifyThermalBreak(profile, priceData, thermalBreaks, cleanRef);
+                if (calcItem.ThermalBreakSource == ThermalBreakSource.Keyword && !manualRule.HasValue)
                 {
-                    // Assuming Amount is in meters or pieces
-                    // Standard bar length is typically 6m
-                    decimal totalWeight = profile.Amount * priceData.WeightPerMeter * 6; // 6m bars
-                    calcItem.TotalWeight = totalWeight;
-                    calcItem.TotalPrice = totalWeight * priceData.PricePerKg;
+                    result.KeywordClassifiedProfiles.Add(profile.RefNumber);
                 }
-                else if (priceData.PricePerKg > 0)
+
+                // Amount is in bars; manual rows have no parsed length and fall back to the bars
+                if (lengthBasis == ProfileLengthBasis.ParsedLength && profile.TotalLength > 0)
                 {
-                    // Use price directly if no weight info
-                    calcItem.TotalPrice = profile.Amount * priceData.PricePerKg;
+                    calcItem.LengthSource = ProfileLengthSource.ParsedLength;
+                    calcItem.TotalLength = profile.TotalLength;
                 }
+                else
+                {
+                    if (lengthBasis == ProfileLengthBasis.ParsedLength) withoutParsedLength++;
 
-                // Apply custom prices if provided (for special powder coating)
-                if (customWithBreakPrice.HasValue && IsWithBreakProfile(profile))
+                    if (barLengths.TryGetValue(cleanRef, out var tableLength))
+                    {
+                        calcItem.LengthSource = ProfileLengthSource.BarLengthTable;
+                        calcItem.BarLength = tableLength;
+                    }
+                    else if (priceData.BarLength > 0)
+                    {
+                        calcItem.LengthSource = ProfileLengthSource.PriceList;
+                        calcItem.BarLength = priceData.BarLength;
+                    }
+                    else
+                    {
+                        calcItem.LengthSource = ProfileLengthSource.Default;
+                        calcItem.BarLength = DefaultBarLength;
+                    }
+                    calcItem.TotalLength = profile.Amount * calcItem.BarLength;
+                }
+
+                // If we have weight, price by kg
+                if (priceData.WeightPerMeter > 0 && priceData.PricePerKg > 0)
+                {
+                    calcItem.TotalWeight = calcItem.TotalLength * priceData.WeightPerMeter;
+                }
+
+                // Override, then the manual price or custom prices if provided (for special powder coating), then the list price
+                if (overrides.TryGetValue((ExcelPriceListKind.Profile, profile.Id), out var overridePrice))
+                {
+                    calcItem.PriceRule = PriceRule.Override;
+                    calcItem.UnitPrice = overridePrice;
+                }
+                else if (manualRule.HasValue)
+                {
+                    calcItem.PriceRule = manualRule.Value;
+                    calcItem.UnitPrice = priceData.PricePerKg;
+                }
+                else if (customWithBreakPrice.HasValue && calcItem.ThermalBreak)
                 {
                     calcItem.CustomPriceApplied = true;
-                    calcItem.TotalPrice = calcItem.TotalWeight > 0 
-                        ? calcItem.TotalWeight * customWithBreakPrice.Value 
-                        : profile.Amount * customWithBreakPrice.Value;
+                    calcItem.PriceRule = PriceRule.CustomWithBreak;
+                    calcItem.UnitPrice = customWithBreakPrice.Value;
                 }
-                else if (customWithoutBreakPrice.HasValue && !IsWithBreakProfile(profile))
+                else if (customWithoutBreakPrice.HasValue && !calcItem.ThermalBreak)
                 {
                     calcItem.CustomPriceApplied = true;
-                    calcItem.TotalPrice = calcItem.TotalWeight > 0 
-                        ? calcItem.TotalWeight * customWithoutBreakPrice.Value 
-                        : profile.Amount * customWithoutBreakPrice.Value;
+                    calcItem.PriceRule = PriceRule.CustomWithoutBreak;
+                    calcItem.UnitPrice = customWithoutBreakPrice.Value;
                 }
+                else
+                {
+                    calcItem.PriceRule = PriceRule.ListPrice;
+                    calcItem.UnitPrice = priceData.PricePerKg;
+                }
+
+                // Use price directly (per bar) if no weight info
+                calcItem.TotalPrice = calcItem.TotalWeight > 0
+                    ? calcItem.TotalWeight * calcItem.UnitPrice
+                    : profile.Amount * calcItem.UnitPrice;
 
                 profileTotal += calcItem.TotalPrice;
                 result.ProfilesCalculated.Add(calcItem);
@@ -412,6 +440,14 @@ public class ExcelPriceService
             }
         }
         result.ProfilesTotal = profileTotal;
+        if (withoutParsedLength > 0)
+        {
+            result.Warnings.Add($"{withoutParsedLength} profile(s) without a parsed length were calculated by bars x bar length");
+        }
+        if (result.KeywordClassifiedProfiles.Count > 0)
+        {
+            result.Warnings.Add($"Thermal break guessed from the description for: {string.Join(", ", result.KeywordClassifiedProfiles)}");
+        }
 
         // Calculate accessory totals
         if (accessories != null && _accessoryPrices != null)
@@ -421,19 +457,38 @@ public class ExcelPriceService
             {
                 var cleanRef = CleanReferenceNumber(accessory.RefNumber);
                 
-                if (_accessoryPrices.TryGetValue(cleanRef, out var priceData))
+                PriceRule? manualRule = null;
+                if (!_accessoryPrices.TryGetValue(cleanRef, out var priceData) &&
+                    FindManualPrice(ExcelPriceListKind.Accessory, accessory.RefNumber, manualPrices) is { } manual)
                 {
+                    manualRule = manual.Rule;
+                    priceData = new AccessoryPriceData
+                    {
+                        Reference = cleanRef,
+                        OriginalReference = accessory.RefNumber,
+                        Description = manual.Price.Description,
+                        PricePerUnit = manual.Price.UnitPrice
+                    };
+                }
+                
+                if (priceData != null)
+                {
+                    var overridden = overrides.TryGetValue((ExcelPriceListKind.Accessory, accessory.Id), out var overridePrice);
                     var calcItem = new AccessoryCalculationItem
                     {
+                        ItemId = accessory.Id,
+                        Category = accessory.Source,
                         RefNumber = accessory.RefNumber,
                         Amount = accessory.Amount,
                         Description = accessory.Description ?? priceData.Description,
                         PricePerUnit = priceData.PricePerUnit,
-                        TotalPrice = accessory.Amount * priceData.PricePerUnit
+                        PriceRule = overridden ? PriceRule.Override : manualRule ?? PriceRule.ListPrice,
+                        UnitPrice = overridden ? overridePrice : priceData.PricePerUnit
                     };
+                    calcItem.TotalPrice = accessory.Amount * calcItem.UnitPrice;
 
-                    // Apply discount if provided
-                    if (accessoryDiscount.HasValue && accessoryDiscount.Value > 0)
+                    // Apply discount if provided (manual prices are net)
+                    if (accessoryDiscount.HasValue && accessoryDiscount.Value > 0 && !manualRule.HasValue)
                     {
                         calcItem.DiscountApplied = accessoryDiscount.Value;
                         calcItem.TotalPrice *= (1 - accessoryDiscount.Value / 100);
@@ -475,6 +530,23 @@ public class ExcelPriceService
         };
     }
 
+    /// <summary>
+    /// Manual price of a reference missing from the price lists: the session's own, else the supplementary list
+    /// </summary>
+    public (ManualPrice Price, PriceRule Rule)? FindManualPrice(ExcelPriceListKind kind, string reference,
+        List<ManualPrice>? sessionPrices)
+    {
+        var cleanRef = CleanReferenceNumber(reference);
+        var entered = sessionPrices?.FirstOrDefault(p => p.Kind == kind && p.UnitPrice > 0 &&
+            string.Equals(CleanReferenceNumber(p.Reference), cleanRef, StringComparison.OrdinalIgnoreCase));
+        if (entered != null)
+            return (entered, PriceRule.Manual);
+
+        var remembered = _supplementaryPriceService.GetPrices(kind).FirstOrDefault(p => p.UnitPrice > 0 &&
+            string.Equals(CleanReferenceNumber(p.Reference), cleanRef, StringComparison.OrdinalIgnoreCase));
+        return remembered != null ? (remembered, PriceRule.Supplementary) : null;
+    }
+
     /// <summary>
     /// Look up a single profile price
     /// </summary>
@@ -495,6 +567,161 @@ public class ExcelPriceService
         return _accessoryPrices.TryGetValue(cleanRef, out var data) ? data : null;
     }
 
+    /// <summary>
+    /// Mapping for a workbook: the first saved template whose sheet and header signature match, else the guessed columns
+    /// </summary>
+    private (ExcelColumnMapping Mapping, string? TemplateName) ResolveMapping(XLWorkbook workbook, ExcelPriceListKind kind)
+    {
+        foreach (var template in _templateService.GetTemplates(kind))
+        {
+            var worksheet = FindWorksheet(workbook, template);
+            if (worksheet != null && template.HeaderRow >= 1 && !string.IsNullOrEmpty(template.HeaderSignature) &&
+                HeaderSignature(worksheet, template.HeaderRow) == template.HeaderSignature)
+            {
+                _logger.LogInformation("Using Excel mapping template '{Template}'", template.Name);
+                return (template, template.Name);
+            }
+        }
+
+        var first = workbook.Worksheets.FirstOrDefault();
+        return (first == null ? new ExcelColumnMapping { Kind = kind } : DetectMapping(first, kind), null);
+    }
+
+    /// <summary>
+    /// Guess the header row (REF/CODIGO in the first column of the first 10 rows) and the columns by header text
+    /// </summary>
+    private static ExcelColumnMapping DetectMapping(IXLWorksheet worksheet, ExcelPriceListKind kind)
+    {
+        var lastRow = worksheet.LastRowUsed()?.RowNumber() ?? 0;
+        var lastCol = worksheet.LastColumnUsed()?.ColumnNumber() ?? 0;
+
+        int headerRow = 1;
+        for (int row = 1; row <= Math.Min(10, lastRow); row++)
+        {
+            var cellValue = worksheet.Cell(row, 1).GetString().ToUpperInvariant();
+            if (cellValue.Contains("REF") || cellValue.Contains("CODIGO") || cellValue.Contains("REFERENCE"))
+            {
+                headerRow = row;
+                break;
+            }
+        }
+
+        int refCol = -1, priceCol = -1, descCol = -1, weightCol = -1, barLengthCol = -1, thermalBreakCol = -1;
+        for (int col = 1; col <= lastCol; col++)
+        {
+            var headerValue = worksheet.Cell(headerRow, col).GetString().ToUpperInvariant();
+            
+            if (headerValue.Contains("REF") || headerValue.Contains("CODIGO"))
+                refCol = col;
+            else if (headerValue.Contains("PRECIO") || headerValue.Contains("PRICE") || headerValue.Contains("PVP"))
+                priceCol = col;
+            else if (headerValue.Contains("DESC") || headerValue.Contains("NOMBRE") || headerValue.Contains("NAME"))
+                descCol = col;
+            else if (kind == ExcelPriceListKind.Profile &&
+                     (headerValue.Contains("RPT") || headerValue.Contains("ROTURA") || headerValue.Contains("THERMAL")))
+                thermalBreakCol = col;
+            else if (kind == ExcelPriceListKind.Profile &&
+                     (headerValue.Contains("LONG") || headerValue.Contains("LENGTH") || headerValue.Contains("BARRA")))
+                barLengthCol = col;
+            else if (kind == ExcelPriceListKind.Profile &&
+                     (headerValue.Contains("PESO") || headerValue.Contains("WEIGHT") || headerValue.Contains("KG")))
+                weightCol = col;
+        }
+
+        // If we couldn't detect columns, use defaults based on typical Cortizo format
+        return new ExcelColumnMapping
+        {
+            Kind = kind,
+            SheetName = worksheet.Name,
+            HeaderRow = headerRow,
+            RefColumn = refCol > 0 ? refCol : 1,
+            PriceColumn = priceCol > 0 ? priceCol : 2,
+            WeightColumn = weightCol > 0 ? weightCol : null,
+            BarLengthColumn = barLengthCol > 0 ? barLengthCol : null,
+            ThermalBreakColumn = thermalBreakCol > 0 ? thermalBreakCol : null,
+            DescriptionColumn = descCol > 0 ? descCol : null
+        };
+    }
+
+    private static IXLWorksheet? FindWorksheet(XLWorkbook workbook, ExcelColumnMapping mapping)
+    {
+        if (string.IsNullOrEmpty(mapping.SheetName)) return workbook.Worksheets.FirstOrDefault();
+        return workbook.Worksheets.FirstOrDefault(w => string.Equals(w.Name, mapping.SheetName, StringComparison.OrdinalIgnoreCase));
+    }
+
+    /// <summary>
+    /// Data rows below the header row that have a reference
+    /// </summary>
+    private IEnumerable<PriceListRow> ReadPriceRows(IXLWorksheet worksheet, ExcelColumnMapping mapping)
+    {
+        var lastRow = worksheet.LastRowUsed()?.RowNumber() ?? 0;
+        for (int row = Math.Max(1, mapping.HeaderRow) + 1; row <= lastRow; row++)
+        {
+            var refValue = worksheet.Cell(row, mapping.RefColumn).GetString().Trim();
+            if (string.IsNullOrWhiteSpace(refValue))
+                continue;
+
+            yield return new PriceListRow
+            {
+                RowNumber = row,
+                // Clean reference number (remove spaces, leading zeros in some cases)
+                Reference = CleanReferenceNumber(refValue),
+                OriginalReference = refValue,
+                Price = mapping.PriceColumn > 0 ? ReadDecimal(worksheet.Cell(row, mapping.PriceColumn)) : null,
+                Weight = mapping.WeightColumn > 0 ? ReadDecimal(worksheet.Cell(row, mapping.WeightColumn.Value)) : null,
+                BarLength = mapping.BarLengthColumn > 0 ? ReadBarLength(worksheet.Cell(row, mapping.BarLengthColumn.Value)) : null,
+                ThermalBreak = mapping.ThermalBreakColumn > 0 ? ReadThermalBreak(worksheet.Cell(row, mapping.ThermalBreakColumn.Value)) : null,
+                Description = mapping.DescriptionColumn > 0 ? worksheet.Cell(row, mapping.DescriptionColumn.Value).GetString().Trim() : string.Empty
+            };
+        }
+    }
+
+    /// <summary>
+    /// Numeric cell value, or a number typed as text ("12,50 €")
+    /// </summary>
+    private static decimal? ReadDecimal(IXLCell cell)
+    {
+        if (cell.TryGetValue<decimal>(out var value))
+            return value;
+
+        var text = cell.GetString().Replace(",", ".").Replace("€", "").Trim();
+        return decimal.TryParse(text, System.Globalization.NumberStyles.Any,
+            System.Globalization.CultureInfo.InvariantCulture, out value) ? value : null;
+    }
+
+    /// <summary>
+    /// Bar length in metres; lists giving it in millimetres (6500) are converted
+    /// </summary>
+    private static decimal? ReadBarLength(IXLCell cell)
+    {
+        var length = ReadDecimal(cell);
+        if (length == null || length <= 0) return null;
+        return length > 100 ? length / 1000 : length;
+    }
+
+    /// <summary>
+    /// Thermal-break flag cell: yes/si/x/1/RPT or no/0; null when empty or not recognised
+    /// </summary>
+    private static bool? ReadThermalBreak(IXLCell cell)
+    {
+        if (cell.TryGetValue<bool>(out var flag))
+            return flag;
+
+        return cell.GetString().Trim().ToUpperInvariant() switch
+        {
+            "SI" or "SÍ" or "S" or "YES" or "Y" or "X" or "1" or "TRUE" or "RPT" or "CON" => true,
+            "NO" or "N" or "0" or "FALSE" or "SIN" => false,
+            _ => null
+        };
+    }
+
+    private static string HeaderSignature(IXLWorksheet worksheet, int headerRow)
+    {
+        var lastCol = worksheet.Row(headerRow).LastCellUsed()?.Address.ColumnNumber ?? 0;
+        return string.Join("|", Enumerable.Range(1, lastCol)
+            .Select(col => worksheet.Cell(headerRow, col).GetString().Trim().ToUpperInvariant()));
+    }
+
     private string CleanReferenceNumber(string reference)
     {
         if (string.IsNullOrWhiteSpace(reference))
@@ -527,9 +754,25 @@ public class ExcelPriceService
         return alphanumericCount >= value.Length * 0.8;
     }
 
-    private bool IsWithBreakProfile(ProfileItem profile)
+    /// <summary>
+    /// Thermal break of a profile: the row's own setting, the reference mapping, the price list column,
+    /// else guessed from the description
+    /// </summary>
+    private static (bool ThermalBreak, ThermalBreakSource Source) ClassifyThermalBreak(ProfileItem profile,
+        ProfilePriceData priceData, Dictionary<string, bool> thermalBreaks, string cleanRef)
+    {
+        if (profile.ThermalBreak.HasValue)
+            return (profile.ThermalBreak.Value, ThermalBreakSource.Row);
+        if (thermalBreaks.TryGetValue(cleanRef, out var mapped))
+            return (mapped, ThermalBreakSource.Mapping);
+        if (priceData.ThermalBreak.HasValue)
+            return (priceData.ThermalBreak.Value, ThermalBreakSource.PriceList);
+        return (IsWithBreakProfile(profile), ThermalBreakSource.Keyword);
+    }
+
+    private static bool IsWithBreakProfile(ProfileItem profile)
     {
-        // Determine if profile is "with thermal break" based on reference pattern
+        // Keyword fallback for profiles without an explicit classification
         // This is a simplified check - actual logic may depend on Cortizo's naming convention
         var desc = (profile.Description ?? "").ToUpperInvariant();
         return desc.Contains("RPT") || desc.Contains("ROTURA") || desc.Contains("BREAK");
@@ -545,6 +788,16 @@ public class ProfilePriceData
     public string Description { get; set; } = string.Empty;
     public decimal PricePerKg { get; set; }
     public decimal WeightPerMeter { get; set; }
+    
+    /// <summary>
+    /// Length of one bar in metres (0 when the price list has no bar length column)
+    /// </summary>
+    public decimal BarLength { get; set; }
+    
+    /// <summary>
+    /// Thermal-break flag from the price list (null when it has no such column or the cell is empty)
+    /// </summary>
+    public bool? ThermalBreak { get; set; }
 }
 
 public class AccessoryPriceData
@@ -555,6 +808,56 @@ public class AccessoryPriceData
     public decimal PricePerUnit { get; set; }
 }
 
+/// <summary>
+/// First rows of each sheet of an uploaded price list, for the column-mapping step
+/// </summary>
+public class PriceListPreview
+{
+    public List<PriceListSheetPreview> Sheets { get; set; } = new();
+    
+    /// <summary>
+    /// Mapping proposed for the file: a matching template or the guessed columns
+    /// </summary>
+    public ExcelColumnMapping Mapping { get; set; } = new();
+    
+    /// <summary>
+    /// Name of the template whose header signature matched the file (null when the columns were guessed)
+    /// </summary>
+    public string? TemplateName { get; set; }
+    public List<PriceListRow> Samples { get; set; } = new();
+}
+
+public class PriceListSheetPreview
+{
+    public string Name { get; set; } = string.Empty;
+    public int RowCount { get; set; }
+    public int ColumnCount { get; set; }
+    
+    /// <summary>
+    /// Cell text of the first rows, as shown in Excel
+    /// </summary>
+    public List<List<string>> Rows { get; set; } = new();
+}
+
+/// <summary>
+/// A price list data row read with a column mapping
+/// </summary>
+public class PriceListRow
+{
+    public int RowNumber { get; set; }
+    public string Reference { get; set; } = string.Empty;
+    public string OriginalReference { get; set; } = string.Empty;
+    public decimal? Price { get; set; }
+    public decimal? Weight { get; set; }
+    
+    /// <summary>
+    /// Metres per bar
+    /// </summary>
+    public decimal? BarLength { get; set; }
+    public bool? ThermalBreak { get; set; }
+    public string Description { get; set; } = string.Empty;
+}
+
 public class ColorData
 {
     public string Code { get; set; } = string.Empty;
@@ -569,6 +872,11 @@ public class PriceCalculationResult
     public List<AccessoryCalculationItem> AccessoriesCalculated { get; set; } = new();
     public List<string> UnmatchedProfiles { get; set; } = new();
     public List<string> UnmatchedAccessories { get; set; } = new();
+    
+    /// <summary>
+    /// Profiles whose thermal break was guessed from the description keywords
+    /// </summary>
+    public List<string> KeywordClassifiedProfiles { get; set; } = new();
     public List<string> Warnings { get; set; } = new();
     
     public decimal ProfilesTotal { get; set; }
@@ -579,24 +887,128 @@ public class PriceCalculationResult
     public int TotalAccessoriesMatched => AccessoriesCalculated.Count;
 }
 
+/// <summary>
+/// Which price a calculated line was priced with
+/// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum PriceRule
+{
+    ListPrice,
+    CustomWithBreak,
+    CustomWithoutBreak,
+    Override,
+    
+    /// <summary>
+    /// Price entered in the missing items table for this session
+    /// </summary>
+    Manual,
+    
+    /// <summary>
+    /// Price remembered in the local supplementary price list
+    /// </summary>
+    Supplementary
+}
+
+/// <summary>
+/// What the length of the profiles is taken from: bars x bar length, or the total length parsed from the PDF
+/// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum ProfileLengthBasis
+{
+    Bars,
+    ParsedLength
+}
+
+/// <summary>
+/// Where the length of a calculated profile line came from
+/// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum ProfileLengthSource
+{
+    ParsedLength,
+    BarLengthTable,
+    PriceList,
+    Default
+}
+
+/// <summary>
+/// Where the thermal-break classification of a calculated profile line came from
+/// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum ThermalBreakSource
+{
+    Row,
+    Mapping,
+    PriceList,
+    Keyword
+}
+
+/// <summary>
+/// Unit price entered for one calculated line (€/kg, or €/bar without weight, for profiles; €/piece for accessories)
+/// </summary>
+public class UnitPriceOverride
+{
+    public ExcelPriceListKind Kind { get; set; }
+    public int ItemId { get; set; }
+    public decimal UnitPrice { get; set; }
+}
+
 public class ProfileCalculationItem
 {
+    /// <summary>
+    /// Grid row id of the profile
+    /// </summary>
+    public int ItemId { get; set; }
     public string RefNumber { get; set; } = string.Empty;
     public decimal Amount { get; set; }
     public string Description { get; set; } = string.Empty;
     public decimal PricePerKg { get; set; }
     public decimal WeightPerMeter { get; set; }
+    public ProfileLengthSource LengthSource { get; set; }
+    
+    /// <summary>
+    /// Metres per bar (0 when the parsed total length was used)
+    /// </summary>
+    public decimal BarLength { get; set; }
+    
+    /// <summary>
+    /// Metres the weight was calculated for
+    /// </summary>
+    public decimal TotalLength { get; set; }
     public decimal TotalWeight { get; set; }
+    public bool ThermalBreak { get; set; }
+    public ThermalBreakSource ThermalBreakSource { get; set; }
+    public PriceRule PriceRule { get; set; }
+    
+    /// <summary>
+    /// Price the line was calculated with: per kg when TotalWeight is known, else per bar
+    /// </summary>
+    public decimal UnitPrice { get; set; }
     public decimal TotalPrice { get; set; }
     public bool CustomPriceApplied { get; set; }
 }
 
 public class AccessoryCalculationItem
 {
+    /// <summary>
+    /// Grid row id of the accessory
+    /// </summary>
+    public int ItemId { get; set; }
+    
+    /// <summary>
+    /// Accessory or Hardware section
+    /// </summary>
+    public string Category { get; set; } = string.Empty;
     public string RefNumber { get; set; } = string.Empty;
     public decimal Amount { get; set; }
     public string Description { get; set; } = string.Empty;
     public decimal PricePerUnit { get; set; }
+    public PriceRule PriceRule { get; set; }
+    
+    /// <summary>
+    /// Price per piece before the discount (the list price unless overridden)
+    /// </summary>
+    public decimal UnitPrice { get; set; }
     public decimal TotalPrice { get; set; }
     public decimal DiscountApplied { get; set; }
 }
@@ -0,0 +1,102 @@
+using System.Text.Json;
+
+namespace VisorQuotationWebApp.Services;
+
+/// <summary>
+/// A list of entries kept in a JSON file under App_Data so they survive restarts.
+/// Entries are identified by a key (compared case-insensitively); saving an entry replaces the one with the same key.
+/// </summary>
+public class JsonFileStore<T> where T : class
+{
+    private static readonly JsonSerializerOptions JsonOptions = new() { WriteIndented = true };
+
+    private readonly ILogger _logger;
+    private readonly string _filePath;
+    private readonly string _description;
+    private readonly Func<T, string> _keySelector;
+    private readonly object _lock = new();
+    private List<T>? _entries;
+
+    /// <param name="fileName">File name under App_Data, e.g. "bar-lengths.json"</param>
+    /// <param name="keySelector">Key of an entry; build composite keys with <see cref="Key"/></param>
+    /// <param name="description">What the entries are, for the log ("bar lengths")</param>
+    public JsonFileStore(string fileName, Func<T, string> keySelector, string description, ILogger logger)
+    {
+        _logger = logger;
+        _filePath = Path.Combine(Directory.GetCurrentDirectory(), "App_Data", fileName);
+        _description = description;
+        _keySelector = keySelector;
+    }
+
+    /// <summary>
+    /// Composite key of several parts (e.g. client code and preset name)
+    /// </summary>
+    public static string Key(params object[] parts) => string.Join("\u001f", parts);
+
+    /// <summary>
+    /// Copy of the entries, optionally filtered
+    /// </summary>
+    public List<T> GetAll(Func<T, bool>? filter = null)
+    {
+        lock (_lock)
+        {
+            return filter == null ? Load().ToList() : Load().Where(filter).ToList();
+        }
+    }
+
+    /// <summary>
+    /// Add an entry, or replace the one with the same key
+    /// </summary>
+    public void Save(T entry)
+    {
+        lock (_lock)
+        {
+            var entries = Load();
+            var key = _keySelector(entry);
+            entries.RemoveAll(e => IsSame(e, key));
+            entries.Add(entry);
+            Persist(entries);
+        }
+    }
+
+    /// <summary>
+    /// Remove the entry with a key; false when it did not exist
+    /// </summary>
+    public bool Delete(string key)
+    {
+        lock (_lock)
+        {
+            var entries = Load();
+            if (entries.RemoveAll(e => IsSame(e, key)) == 0) return false;
+            Persist(entries);
+            return true;
+        }
+    }
+
+    private bool IsSame(T entry, string key) =>
+        string.Equals(_keySelector(entry), key, StringComparison.OrdinalIgnoreCase);
+
+    private List<T> Load()
+    {
+        if (_entries != null) return _entries;
+
+        _entries = new List<T>();
+        if (!File.Exists(_filePath)) return _entries;
+
+        try
+        {
+            _entries = JsonSerializer.Deserialize<List<T>>(File.ReadAllText(_filePath)) ?? new List<T>();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to read {Description} from {FilePath}", _description, _filePath);
+        }
+        return _entries;
+    }
+
+    private void Persist(List<T> entries)
+    {
+        Directory.CreateDirectory(Path.GetDirectoryName(_filePath)!);
+        File.WriteAllText(_filePath, JsonSerializer.Serialize(entries, JsonOptions));
+    }
+}
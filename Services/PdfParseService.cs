@@ -1,5 +1,6 @@
 using System.Text.RegularExpressions;
 using UglyToad.PdfPig;
+using UglyToad.PdfPig.Content;
 using VisorQuotationWebApp.Models;
 
 namespace VisorQuotationWebApp.Services;
@@ -45,19 +46,22 @@ public class PdfParseService
             result.Header.TotalPages = document.NumberOfPages;
 
             // Parse profiles section
-            result.Profiles = ExtractProfiles(fullText, result.ParseWarnings);
+            result.Profiles = ExtractProfiles(fullText, result.ParseWarnings, result.SkippedLines);
 
             // Apply finish mappings
             foreach (var profile in result.Profiles)
             {
-                ApplyFinishMapping(profile);
+                if (!ApplyFinishMapping(profile))
+                {
+                    result.UnmappedColourProfileIds.Add(profile.Id);
+                }
             }
 
             // Parse hardware section (between Profiles and Accessories)
-            result.HardwareItems = ExtractHardware(fullText, result.ParseWarnings);
+            result.HardwareItems = ExtractHardware(fullText, result.ParseWarnings, result.SkippedLines);
 
             // Parse accessories section
-            result.Accessories = ExtractAccessories(fullText, result.ParseWarnings);
+            result.Accessories = ExtractAccessories(fullText, result.ParseWarnings, result.SkippedLines);
 
             // Merge hardware items into accessories with proper IDs
             if (result.HardwareItems.Count > 0)
@@ -73,6 +77,9 @@ public class PdfParseService
                 _logger.LogInformation($"Merged {result.HardwareItems.Count} hardware items into accessories list");
             }
 
+            // Record where each item sits in the PDF for click-to-locate in the preview
+            LocateItems(document, result);
+
             result.Success = true;
         }
         catch (Exception ex)
@@ -94,6 +101,117 @@ public class PdfParseService
         return ParsePdf(stream);
     }
 
+    #region Source Locations
+
+    /// <summary>
+    /// A row of words sharing a baseline on one page
+    /// </summary>
+    private class PdfTextLine
+    {
+        public int PageNumber { get; init; }
+        public List<Word> Words { get; } = new();
+        public double Baseline { get; set; }
+        public bool IsUsed { get; set; }
+    }
+
+    /// <summary>
+    /// Match every profile and accessory to the PDF line it was extracted from.
+    /// Lines are consumed in document order so repeated references map to successive occurrences.
+    /// </summary>
+    private void LocateItems(PdfDocument document, ParsedPdfResult result)
+    {
+        try
+        {
+            var lines = new List<PdfTextLine>();
+            foreach (var page in document.GetPages())
+            {
+                lines.AddRange(GroupWordsIntoLines(page.Number, page.GetWords()));
+            }
+
+            foreach (var profile in result.Profiles)
+            {
+                profile.Location = FindSourceLine(lines, profile.RefNumber, profile.Amount);
+            }
+
+            foreach (var accessory in result.Accessories)
+            {
+                accessory.Location = FindSourceLine(lines, accessory.RefNumber, accessory.Amount);
+            }
+
+            var missing = result.Profiles.Count(p => p.Location == null) + result.Accessories.Count(a => a.Location == null);
+            if (missing > 0)
+            {
+                _logger.LogDebug($"Could not locate {missing} items in the PDF text layer");
+            }
+        }
+        catch (Exception ex)
+        {
+            // Locations are a convenience for the preview - never fail the parse over them
+            _logger.LogWarning(ex, "Failed to locate items in PDF");
+        }
+    }
+
+    private static List<PdfTextLine> GroupWordsIntoLines(int pageNumber, IEnumerable<Word> words)
+    {
+        var lines = new List<PdfTextLine>();
+
+        foreach (var word in words.OrderByDescending(w => w.BoundingBox.Bottom).ThenBy(w => w.BoundingBox.Left))
+        {
+            if (string.IsNullOrWhiteSpace(word.Text)) continue;
+
+            var tolerance = Math.Max(2.0, word.BoundingBox.Height / 2);
+            var line = lines.LastOrDefault();
+            if (line == null || Math.Abs(line.Baseline - word.BoundingBox.Bottom) > tolerance)
+            {
+                line = new PdfTextLine { PageNumber = pageNumber, Baseline = word.BoundingBox.Bottom };
+                lines.Add(line);
+            }
+            line.Words.Add(word);
+        }
+
+        foreach (var line in lines)
+        {
+            line.Words.Sort((a, b) => a.BoundingBox.Left.CompareTo(b.BoundingBox.Left));
+        }
+
+        return lines;
+    }
+
+    private static PdfSourceLocation? FindSourceLine(List<PdfTextLine> lines, string refNumber, int amount)
+    {
+        if (string.IsNullOrWhiteSpace(refNumber)) return null;
+
+        var amountPattern = new Regex($@"^{amount}(?:x|pc|pcs)?$", RegexOptions.IgnoreCase);
+
+        // Prefer a line carrying both the reference and the quantity, then fall back to the reference alone
+        var line = lines.FirstOrDefault(l => !l.IsUsed
+                       && l.Words.Any(w => w.Text == refNumber)
+                       && l.Words.Any(w => amountPattern.IsMatch(w.Text)))
+                   ?? lines.FirstOrDefault(l => !l.IsUsed && l.Words.Any(w => w.Text == refNumber));
+
+        if (line == null) return null;
+
+        line.IsUsed = true;
+        return new PdfSourceLocation
+        {
+            PageNumber = line.PageNumber,
+            Left = line.Words.Min(w => w.BoundingBox.Left),
+            Bottom = line.Words.Min(w => w.BoundingBox.Bottom),
+            Right = line.Words.Max(w => w.BoundingBox.Right),
+            Top = line.Words.Max(w => w.BoundingBox.Top)
+        };
+    }
+
+    #endregion
+
+    private static void AddSkippedLine(List<SkippedPdfLine> skipped, string section, string text, string reason)
+    {
+        var line = Regex.Replace(text, @"\s+", " ").Trim();
+        if (string.IsNullOrEmpty(line)) return;
+
+        skipped.Add(new SkippedPdfLine { Section = section, Text = line, Reason = reason });
+    }
+
     private PdfHeaderInfo ExtractHeader(string text)
     {
         var header = new PdfHeaderInfo();
@@ -156,7 +274,7 @@ public class PdfParseService
         return header;
     }
 
-    private List<ProfileItem> ExtractProfiles(string text, List<string> warnings)
+    private List<ProfileItem> ExtractProfiles(string text, List<string> warnings, List<SkippedPdfLine> skipped)
     {
         var profiles = new List<ProfileItem>();
         int id = 1;
@@ -216,13 +334,13 @@ public class PdfParseService
         // If regex didn't work well, try line-by-line parsing
         if (profiles.Count == 0)
         {
-            profiles = ExtractProfilesLineByLine(profilesSection, warnings, ref id);
+            profiles = ExtractProfilesLineByLine(profilesSection, warnings, skipped, ref id);
         }
 
         return profiles;
     }
 
-    private List<ProfileItem> ExtractProfilesLineByLine(string text, List<string> warnings, ref int id)
+    private List<ProfileItem> ExtractProfilesLineByLine(string text, List<string> warnings, List<SkippedPdfLine> skipped, ref int id)
     {
         var profiles = new List<ProfileItem>();
         var lines = text.Split('\n', StringSplitOptions.RemoveEmptyEntries);
@@ -312,6 +430,10 @@ public class PdfParseService
             {
                 colourBuffer.Add(line);
             }
+            else if (!string.IsNullOrEmpty(line))
+            {
+                AddSkippedLine(skipped, "Profiles", line, "No quantity line (e.g. \"34 x 6.5 m\") before it");
+            }
         }
 
         // Don't forget the last profile
@@ -415,7 +537,11 @@ public class PdfParseService
         return colour;
     }
 
-    private void ApplyFinishMapping(ProfileItem profile)
+    /// <summary>
+    /// Set the finish/shade dropdown values from the raw colour.
+    /// Returns false when no FinishMappings entry matched and a built-in default was used.
+    /// </summary>
+    private bool ApplyFinishMapping(ProfileItem profile)
     {
         var rawColour = profile.RawColour.ToUpperInvariant();
 
@@ -428,7 +554,7 @@ public class PdfParseService
                 profile.Shade1 = mapping.Value.Shade1;
                 profile.Finish2 = mapping.Value.Finish2;
                 profile.Shade2 = mapping.Value.Shade2;
-                return;
+                return true;
             }
         }
 
@@ -482,12 +608,14 @@ public class PdfParseService
             profile.Finish2 = "SPECIAL 1 POWDER COATING";
             profile.Shade2 = "P1019M";
         }
+
+        return false;
     }
 
     /// <summary>
     /// Extract hardware items from the PDF text (between "Hardware" and "Accessories" sections)
     /// </summary>
-    private List<AccessoryItem> ExtractHardware(string text, List<string> warnings)
+    private List<AccessoryItem> ExtractHardware(string text, List<string> warnings, List<SkippedPdfLine> skipped)
     {
         var hardware = new List<AccessoryItem>();
         int id = 1;
@@ -533,6 +661,7 @@ public class PdfParseService
                     item.Description.Contains("Colour Description") ||
                     string.IsNullOrWhiteSpace(item.Description))
                 {
+                    AddSkippedLine(skipped, "Hardware", match.Value, "Description is empty or looks like a table header");
                     continue;
                 }
 
@@ -551,14 +680,14 @@ public class PdfParseService
         // Fallback: line-by-line parsing
         if (hardware.Count == 0)
         {
-            hardware = ExtractHardwareLineByLine(hardwareSection, warnings, ref id);
+            hardware = ExtractHardwareLineByLine(hardwareSection, warnings, skipped, ref id);
         }
 
         _logger.LogInformation($"Extracted {hardware.Count} hardware items total");
         return hardware;
     }
 
-    private List<AccessoryItem> ExtractHardwareLineByLine(string text, List<string> warnings, ref int id)
+    private List<AccessoryItem> ExtractHardwareLineByLine(string text, List<string> warnings, List<SkippedPdfLine> skipped, ref int id)
     {
         var hardware = new List<AccessoryItem>();
         var lines = text.Split('\n', StringSplitOptions.RemoveEmptyEntries);
@@ -609,6 +738,10 @@ public class PdfParseService
                     warnings.Add($"Failed to parse hardware: {line}. Error: {ex.Message}");
                 }
             }
+            else
+            {
+                AddSkippedLine(skipped, "Hardware", line, "Not recognised as a hardware line");
+            }
         }
 
         return hardware;
@@ -617,7 +750,7 @@ public class PdfParseService
     /// <summary>
     /// Extract accessories from the PDF text
     /// </summary>
-    private List<AccessoryItem> ExtractAccessories(string text, List<string> warnings)
+    private List<AccessoryItem> ExtractAccessories(string text, List<string> warnings, List<SkippedPdfLine> skipped)
     {
         var accessories = new List<AccessoryItem>();
         int id = 1;
@@ -666,6 +799,7 @@ public class PdfParseService
                     accessory.Description.Contains("Colour Description") ||
                     string.IsNullOrWhiteSpace(accessory.Description))
                 {
+                    AddSkippedLine(skipped, "Accessories", match.Value, "Description is empty or looks like a table header");
                     continue;
                 }
 
@@ -684,14 +818,14 @@ public class PdfParseService
         // If regex didn't work well, try line-by-line parsing
         if (accessories.Count == 0)
         {
-            accessories = ExtractAccessoriesLineByLine(accessoriesSection, warnings, ref id);
+            accessories = ExtractAccessoriesLineByLine(accessoriesSection, warnings, skipped, ref id);
         }
 
         _logger.LogInformation($"Extracted {accessories.Count} accessories total");
         return accessories;
     }
 
-    private List<AccessoryItem> ExtractAccessoriesLineByLine(string text, List<string> warnings, ref int id)
+    private List<AccessoryItem> ExtractAccessoriesLineByLine(string text, List<string> warnings, List<SkippedPdfLine> skipped, ref int id)
     {
         var accessories = new List<AccessoryItem>();
         var lines = text.Split('\n', StringSplitOptions.RemoveEmptyEntries);
@@ -765,7 +899,14 @@ public class PdfParseService
                             accessories.Add(accessory);
                         }
                     }
-                    catch { }
+                    catch
+                    {
+                        AddSkippedLine(skipped, "Accessories", line, "Could not read the length in metres");
+                    }
+                }
+                else
+                {
+                    AddSkippedLine(skipped, "Accessories", line, "Not recognised as an accessory line");
                 }
             }
         }
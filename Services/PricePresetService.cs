@@ -0,0 +1,43 @@
+using VisorQuotationWebApp.Models;
+
+namespace VisorQuotationWebApp.Services;
+
+/// <summary>
+/// Named customized-price presets per client code, kept in App_Data/price-presets.json
+/// so they survive restarts
+/// </summary>
+public class PricePresetService
+{
+    private readonly JsonFileStore<PricePreset> _store;
+
+    public PricePresetService(ILogger<PricePresetService> logger)
+    {
+        _store = new JsonFileStore<PricePreset>("price-presets.json", p => JsonFileStore<PricePreset>.Key(p.ClientCode, p.Name),
+            "price presets", logger);
+    }
+
+    /// <summary>
+    /// Presets of a client, by name
+    /// </summary>
+    public List<PricePreset> GetPresets(string clientCode)
+    {
+        return _store.GetAll(p => string.Equals(p.ClientCode, clientCode, StringComparison.OrdinalIgnoreCase))
+            .OrderBy(p => p.Name, StringComparer.OrdinalIgnoreCase)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Add a preset, or replace the client's preset with the same name
+    /// </summary>
+    public void Save(PricePreset preset)
+    {
+        preset.UpdatedAt = DateTime.Now;
+        _store.Save(preset);
+    }
+
+    /// <summary>
+    /// Remove a client's preset; false when it did not exist
+    /// </summary>
+    public bool Delete(string clientCode, string name) =>
+        _store.Delete(JsonFileStore<PricePreset>.Key(clientCode, name));
+}
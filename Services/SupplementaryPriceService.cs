@@ -0,0 +1,43 @@
+using VisorQuotationWebApp.Models;
+
+namespace VisorQuotationWebApp.Services;
+
+/// <summary>
+/// Local supplementary price list, kept in App_Data/supplementary-prices.json:
+/// manual prices remembered for references the supplier price lists do not have
+/// </summary>
+public class SupplementaryPriceService
+{
+    private readonly JsonFileStore<ManualPrice> _store;
+
+    public SupplementaryPriceService(ILogger<SupplementaryPriceService> logger)
+    {
+        _store = new JsonFileStore<ManualPrice>("supplementary-prices.json", p => JsonFileStore<ManualPrice>.Key(p.Kind, p.Reference),
+            "supplementary prices", logger);
+    }
+
+    /// <summary>
+    /// Prices for profiles or accessories, by reference
+    /// </summary>
+    public List<ManualPrice> GetPrices(ExcelPriceListKind kind)
+    {
+        return _store.GetAll(p => p.Kind == kind)
+            .OrderBy(p => p.Reference, StringComparer.OrdinalIgnoreCase)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Add a price, or replace the one of the same kind and reference
+    /// </summary>
+    public void Save(ManualPrice price)
+    {
+        price.UpdatedAt = DateTime.Now;
+        _store.Save(price);
+    }
+
+    /// <summary>
+    /// Remove a price; false when it did not exist
+    /// </summary>
+    public bool Delete(ExcelPriceListKind kind, string reference) =>
+        _store.Delete(JsonFileStore<ManualPrice>.Key(kind, reference));
+}
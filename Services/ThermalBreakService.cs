@@ -0,0 +1,42 @@
+using VisorQuotationWebApp.Models;
+
+namespace VisorQuotationWebApp.Services;
+
+/// <summary>
+/// Thermal-break classification per profile reference, kept in App_Data/thermal-breaks.json
+/// for references the price list does not classify (or whose description is misleading)
+/// </summary>
+public class ThermalBreakService
+{
+    private readonly JsonFileStore<ThermalBreakMapping> _store;
+
+    public ThermalBreakService(ILogger<ThermalBreakService> logger)
+    {
+        _store = new JsonFileStore<ThermalBreakMapping>("thermal-breaks.json", m => m.Reference,
+            "thermal-break classifications", logger);
+    }
+
+    /// <summary>
+    /// All classifications, by reference
+    /// </summary>
+    public List<ThermalBreakMapping> GetAll()
+    {
+        return _store.GetAll()
+            .OrderBy(m => m.Reference, StringComparer.OrdinalIgnoreCase)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Add a classification, or replace the one of the same reference
+    /// </summary>
+    public void Save(ThermalBreakMapping mapping)
+    {
+        mapping.UpdatedAt = DateTime.Now;
+        _store.Save(mapping);
+    }
+
+    /// <summary>
+    /// Remove the classification of a reference; false when it did not exist
+    /// </summary>
+    public bool Delete(string reference) => _store.Delete(reference);
+}
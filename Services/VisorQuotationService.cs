@@ -56,7 +56,8 @@ public class VisorQuotationService
                 Quantity = result.Quantity,
                 Length = result.Length,
                 UnitPrice = result.UnitPrice,
-                TotalPrice = result.Amount
+                TotalPrice = result.Amount,
+                IsManual = profile?.IsManual ?? false
             };
 
             order.Items.Add(item);
@@ -105,7 +106,8 @@ public class VisorQuotationService
                 Quantity = profile.Amount,
                 Length = profile.TotalLength,
                 UnitPrice = 0,
-                TotalPrice = 0
+                TotalPrice = 0,
+                IsManual = profile.IsManual
             };
 
             order.Items.Add(item);
@@ -125,7 +127,8 @@ public class VisorQuotationService
                 Quantity = acc.Amount,
                 Length = 0,
                 UnitPrice = 0,
-                TotalPrice = 0
+                TotalPrice = 0,
+                IsManual = acc.IsManual
             };
             order.AccessoryItems.Add(item);
         }
@@ -138,6 +141,39 @@ public class VisorQuotationService
         return order;
     }
 
+    /// <summary>
+    /// Price the unpriced lines that have a manual price (references missing from the Excel price lists).
+    /// Their totals are added to the subtotal and they are taken off the missing items section.
+    /// </summary>
+    public void ApplyManualPrices(VisorQuotationOrder order, Func<ExcelPriceListKind, string, decimal?> findPrice)
+    {
+        decimal added = 0;
+        var priced = new HashSet<(bool IsProfile, string Ref)>();
+
+        foreach (var (items, kind) in new[] { (order.Items, ExcelPriceListKind.Profile), (order.AccessoryItems, ExcelPriceListKind.Accessory) })
+        {
+            foreach (var item in items.Where(i => i.UnitPrice == 0))
+            {
+                if (findPrice(kind, item.RefNumber) is not { } price || price <= 0) continue;
+
+                item.UnitPrice = price;
+                item.TotalPrice = item.Quantity * price;
+                item.IsManuallyPriced = true;
+                added += item.TotalPrice;
+                priced.Add((kind == ExcelPriceListKind.Profile, item.RefNumber));
+            }
+        }
+
+        if (priced.Count == 0) return;
+
+        order.MissingCalculationItems.RemoveAll(m => priced.Contains((m.Category == "Profile", m.RefNumber)));
+        order.Subtotal += added;
+        order.VatAmount = Math.Round(order.Subtotal * (order.VatRate / 100), 2);
+        order.Total = order.Subtotal + order.VatAmount;
+
+        _logger.LogInformation("Priced {Count} lines manually, adding {Amount:N2} to the subtotal", priced.Count, added);
+    }
+
     /// <summary>
     /// Generate PDF document for the quotation
     /// </summary>
@@ -264,6 +300,18 @@ public class VisorQuotationService
                 col.Item().Element(c => ComposeAccessoriesTable(c, order));
             }
 
+            // Legend for rows added by hand
+            if (order.Items.Any(i => i.IsManual) || order.AccessoryItems.Any(i => i.IsManual))
+            {
+                col.Item().PaddingTop(4).Text("MANUAL = line added by hand, not present in the Logikal stock list")
+                    .FontSize(7).Italic().FontColor(Colors.Orange.Darken3);
+            }
+            if (order.Items.Any(i => i.IsManuallyPriced) || order.AccessoryItems.Any(i => i.IsManuallyPriced))
+            {
+                col.Item().PaddingTop(2).Text("MANUAL PRICE = not in the price list, priced by hand")
+                    .FontSize(7).Italic().FontColor(Colors.Teal.Darken3);
+            }
+
             // Cortizo total reference
             if (order.CortizoTotal > 0)
             {
@@ -404,7 +452,7 @@ public class VisorQuotationService
                 var bgColor = item.LineNumber % 2 == 0 ? Colors.Grey.Lighten4 : Colors.White;
 
                 table.Cell().Background(bgColor).Padding(4).Text(item.LineNumber.ToString()).FontSize(8);
-                table.Cell().Background(bgColor).Padding(4).Text(item.RefNumber).FontSize(8).SemiBold();
+                table.Cell().Background(bgColor).Padding(4).Element(c => ComposeRefCell(c, item));
                 table.Cell().Background(bgColor).Padding(4).Text(item.Description).FontSize(8);
                 table.Cell().Background(bgColor).Padding(4).Text($"{item.Finish}\n{item.Shade}").FontSize(7);
                 table.Cell().Background(bgColor).Padding(4).AlignRight().Text(item.Quantity.ToString()).FontSize(8);
@@ -417,6 +465,18 @@ public class VisorQuotationService
         });
     }
 
+    private static void ComposeRefCell(IContainer container, VisorQuotationItem item)
+    {
+        container.Column(c =>
+        {
+            c.Item().Text(item.RefNumber).FontSize(8).SemiBold();
+            if (item.IsManual)
+                c.Item().Text("MANUAL").FontSize(6).Bold().FontColor(Colors.Orange.Darken3);
+            if (item.IsManuallyPriced)
+                c.Item().Text("MANUAL PRICE").FontSize(6).Bold().FontColor(Colors.Teal.Darken3);
+        });
+    }
+
     private void ComposeAccessoriesTable(IContainer container, VisorQuotationOrder order)
     {
         var headerBg = Colors.Teal.Darken2;
@@ -457,7 +517,7 @@ public class VisorQuotationService
                 var bgColor = item.LineNumber % 2 == 0 ? Colors.Grey.Lighten4 : Colors.White;
 
                 table.Cell().Background(bgColor).Padding(4).Text(item.LineNumber.ToString()).FontSize(8);
-                table.Cell().Background(bgColor).Padding(4).Text(item.RefNumber).FontSize(8).SemiBold();
+                table.Cell().Background(bgColor).Padding(4).Element(c => ComposeRefCell(c, item));
                 table.Cell().Background(bgColor).Padding(4).Text(item.Description).FontSize(8);
                 table.Cell().Background(bgColor).Padding(4).Text(item.Finish).FontSize(7);
                 table.Cell().Background(bgColor).Padding(4).AlignRight().Text(item.Quantity.ToString()).FontSize(8);
@@ -6,31 +6,92 @@ let filledCount = 0;
 let unfilledCount = 0;
 let totalItemCount = 0;
 let logText = '';
-let currentItemType = '';
 let filledItemsIndex = 0;
 
+// Job whose run events this tab receives; watchMode = joined someone else's run (read-only)
+let currentRunId = null;
+let watchMode = false;
+
+// Jobs queued from this tab (only these can be cancelled from the queue panel)
+const ownJobIds = new Set();
+let ownJobWaiting = false;
+
+// The current job re-enters the unfilled rows of the previous one (dashboard is updated in place)
+let retryRun = false;
+
+// Progress bar range [start, end] in percent for each dashboard step
+const STEP_PROGRESS = {
+    login: [5, 15],
+    header: [18, 30],
+    total: [88, 100]
+};
+
+// The profile and accessory rows share one range, split by their row counts (TotalRows of StepStarted)
+const ROWS_PROGRESS = [32, 85];
+
+// Rows averaged for the ETA (most recent first)
+const ETA_WINDOW = 10;
+
+// Row timing of the current run: rowPlan = { offset, count, total } of the row step in progress
+let rowPlan = null;
+let rowDurations = { Profile: [], Accessory: [] };
+let firstRowAt = null;
+let lastRowAt = null;
+let rowsDone = 0;
+
+const RUN_EVENT_HANDLERS = {
+    ReceiveLog: addLogEntry,
+    StepStarted: onStepStarted,
+    StepProgress: onStepProgress,
+    StepCompleted: onStepCompleted,
+    StepFailed: onStepFailed,
+    RowStarted: onRowStarted,
+    RowFilled: evt => onRowFinished(evt, true),
+    RowUnfilled: evt => onRowFinished(evt, false),
+    TotalExtracted: onTotalExtracted,
+    ReceiveComplete: handleComplete
+};
+
+// Highest run event sequence applied to the dashboard; live events arriving during a replay wait in pendingRunEvents
+let lastRunSequence = 0;
+let replayingRun = false;
+let pendingRunEvents = [];
+
+// Job whose live-view frames this tab receives (null when the live view is off)
+let liveViewRunId = null;
+
 async function initSignalR() {
     connection = new signalR.HubConnectionBuilder()
         .withUrl("/automationHub")
         .withAutomaticReconnect()
         .build();
 
-    connection.on("ReceiveLog", function (logEntry) {
-        addLogEntry(logEntry);
-        parseLogForProgress(logEntry);
+    // Run events (structured progress events drive the dashboard) carry a sequence number for replay
+    Object.keys(RUN_EVENT_HANDLERS).forEach(name => {
+        connection.on(name, (payload, sequence) => receiveRunEvent({ name, payload, sequence }));
     });
 
+    // A reconnect gets a new connection id, which is in no group yet; re-joining also replays missed events
+    connection.onreconnected(() => {
+        if (currentRunId) resumeRun(currentRunId);
+        liveViewRunId = null;
+        syncLiveView();
+    });
+
+    // Live-view frames are not run events: they are not buffered or replayed
+    connection.on("LiveFrame", showLiveFrame);
+
     connection.on("ReceiveProgress", function (current, total, status) {
         updateProgress(current, total, status);
     });
 
-    connection.on("ReceiveComplete", function (result) {
-        handleComplete(result);
-    });
+    connection.on("QueueChanged", renderQueue);
 
     try {
         await connection.start();
         console.log("SignalR connected");
+        await restoreCurrentRun();
+        loadQueue();
     } catch (err) {
         console.error("SignalR connection error:", err);
         setTimeout(initSignalR, 5000);
@@ -79,242 +140,217 @@ function getLogIcon(level) {
     }
 }
 
-function parseLogForProgress(logEntry) {
-    const msg = logEntry.message || '';
-    const level = normalizeLevel(logEntry.level);
+// ==================== Progress events ====================
 
-    // Step: Login
-    if (msg.includes('Navigating to Cortizo Center login')) {
-        setActiveStep('login');
-        setProgressLabel('Logging into Cortizo Center...');
-        setProgressBar(5);
-    }
-    else if (msg.includes('Login successful')) {
-        completeStep('login');
-        setProgressBar(15);
-    }
+/**
+ * Dashboard step id for an event ('Profiles' -> 'profiles')
+ * @param {object} evt - Progress event
+ * @returns {string}
+ */
+function stepId(evt) {
+    return (evt.step || '').toString().toLowerCase();
+}
 
-    // Step: Header
-    else if (msg.includes('Creating new valuation')) {
-        setActiveStep('header');
-        setProgressLabel('Creating new valuation...');
-        setProgressBar(18);
-    }
-    else if (msg.includes('Setting header fields')) {
-        setProgressLabel('Setting quotation header fields...');
-        setProgressBar(22);
-    }
-    else if (msg.includes('Setting customized prices')) {
-        setProgressLabel('Setting customized prices...');
-        setProgressBar(28);
-    }
-    else if (msg.includes('Customized prices set complete')) {
-        completeStep('header');
-        setProgressBar(30);
-    }
+function onStepStarted(evt) {
+    const step = stepId(evt);
+    setActiveStep(step);
+    if (evt.message) setProgressLabel(evt.message);
 
-    // Step: Profiles - start
-    else if (msg.includes('Ensuring') && msg.includes('rows are available')) {
-        setActiveStep('profiles');
-        setProgressLabel('Preparing profile grid rows...');
-        setProgressBar(32);
+    if (step === 'profiles' || step === 'accessories') {
+        // Accessories come after the profiles in the shared rows range
+        const count = evt.count || 0;
+        const total = evt.totalRows || count;
+        rowPlan = { offset: step === 'accessories' ? total - count : 0, count, total };
+        setProgressBar(rowProgress(0));
+
+        // A retry re-enters rows that are already counted
+        if (!retryRun) totalItemCount += evt.count || 0;
+        document.getElementById('stat-total-items').textContent = totalItemCount;
         showFilledSummary();
         showFilledItemsPanel();
-        const m = msg.match(/(\d+) rows/);
-        if (m) totalItemCount = parseInt(m[1]);
-    }
-    else if (msg.includes('Filling') && msg.includes('profile items')) {
-        setActiveStep('profiles');
-        currentItemType = 'Profile';
-        const m = msg.match(/Filling (\d+)/);
-        if (m) totalItemCount = parseInt(m[1]);
-        document.getElementById('stat-total-items').textContent = totalItemCount;
-        setProgressLabel(`Filling ${totalItemCount} profiles...`);
-        setProgressBar(35);
-        showCurrentItem();
-    }
-
-    // Track individual profile rows: [ROW 0001] Processing: REF=2015, AMT=34, DESC=...
-    else if (msg.includes('[ROW ') && msg.includes('Processing:')) {
-        const refMatch = msg.match(/REF=(\S+?)(?:,|$)/);
-        const amtMatch = msg.match(/AMT=(\d+)/);
-        const descMatch = msg.match(/DESC=(.+)$/);
-        const rowMatch = msg.match(/\[ROW\s+(\d+)\]/);
-
-        showCurrentItem();
-        document.getElementById('current-item-title').textContent = 'Filling Profile...';
-        if (refMatch) document.getElementById('current-item-ref').textContent = refMatch[1];
-        if (amtMatch) document.getElementById('current-item-qty').textContent = amtMatch[1];
-        if (descMatch) document.getElementById('current-item-desc').textContent = descMatch[1].trim();
-        if (rowMatch) {
-            const rowNum = parseInt(rowMatch[1]);
-            document.getElementById('current-item-counter').textContent = `${rowNum}/${totalItemCount}`;
-            const pct = 35 + ((rowNum / Math.max(totalItemCount, 1)) * 30);
-            setProgressBar(Math.min(pct, 65));
-            setProgressLabel(`Filling profile ${rowNum}/${totalItemCount}...`);
-        }
-        // Reset finish/shade display for this row
-        document.getElementById('current-item-finish').textContent = '-';
-        document.getElementById('current-item-shade').textContent = '-';
+    } else {
+        setProgressBar(STEP_PROGRESS[step] ? STEP_PROGRESS[step][0] : 0);
     }
+}
 
-    // Profile row amount calculated
-    else if (msg.includes('[ROW ') && msg.includes('Amount calculated')) {
-        const amountMatch = msg.match(/:\s*(.+?)$/);
-        const rowMatch = msg.match(/\[ROW\s+(\d+)\]/);
-        filledCount++;
-        document.getElementById('stat-filled').textContent = filledCount;
-        addFilledItemRow('Profile', amountMatch ? amountMatch[1].trim() : 'OK', true, rowMatch);
-    }
-    // Profile row amount NOT calculated
-    else if (msg.includes('[ROW ') && msg.includes('Amount still not calculated')) {
-        const rowMatch = msg.match(/\[ROW\s+(\d+)\]/);
-        unfilledCount++;
-        document.getElementById('stat-unfilled').textContent = unfilledCount;
-        addFilledItemRow('Profile', '-', false, rowMatch);
-    }
+function onStepProgress(evt) {
+    if (evt.message) setProgressLabel(evt.message);
+}
 
-    // Profile batch complete
-    else if (msg.includes('profile rows filled successfully')) {
-        completeStep('profiles');
-        setProgressBar(65);
-        hideCurrentItem();
-    }
-    else if (msg.includes('Profile batch fill failed') && !msg.includes('canceled')) {
-        const s = document.getElementById('step-profiles');
-        if (s) { s.classList.remove('active'); s.classList.add('error'); }
-        setProgressBar(65);
+function onStepCompleted(evt) {
+    const step = stepId(evt);
+    completeStep(step);
+    if (STEP_PROGRESS[step]) setProgressBar(STEP_PROGRESS[step][1]);
+    if (step === 'profiles' || step === 'accessories') {
+        setProgressBar(rowProgress(rowPlan ? rowPlan.count : 0));
         hideCurrentItem();
     }
+    if (step === 'total') setProgressLabel('Automation completed!');
+}
 
-    // Step: Accessories start
-    else if (msg.includes('Filling') && msg.includes('accessories')) {
-        setActiveStep('accessories');
-        currentItemType = 'Acc';
-        const m = msg.match(/Filling (\d+)/);
-        let accCount = 0;
-        if (m) accCount = parseInt(m[1]);
-        totalItemCount += accCount;
-        document.getElementById('stat-total-items').textContent = totalItemCount;
-        setProgressLabel(`Filling ${accCount} accessories...`);
-        setProgressBar(70);
-        showCurrentItem();
-        document.getElementById('current-item-title').textContent = 'Filling Accessory...';
-    }
-
-    // Track accessory rows: [ACC 0001] Processing: REF=222085, AMT=104, DESC=Die cut cleat
-    else if (msg.includes('[ACC ') && msg.includes('Processing:')) {
-        const refMatch = msg.match(/REF=(\S+?)(?:,|$)/);
-        const amtMatch = msg.match(/AMT=(\d+)/);
-        const descMatch = msg.match(/DESC=(.+)$/);
-        const rowMatch = msg.match(/\[ACC\s+(\d+)\]/);
-
-        showCurrentItem();
-        document.getElementById('current-item-title').textContent = 'Filling Accessory...';
-        if (refMatch) document.getElementById('current-item-ref').textContent = refMatch[1];
-        if (amtMatch) document.getElementById('current-item-qty').textContent = amtMatch[1];
-        if (descMatch) document.getElementById('current-item-desc').textContent = descMatch[1].trim();
-        if (rowMatch) {
-            document.getElementById('current-item-counter').textContent = `Acc ${rowMatch[1]}`;
-        }
-        document.getElementById('current-item-finish').textContent = '-';
-        document.getElementById('current-item-shade').textContent = '-';
+function onStepFailed(evt) {
+    const el = document.getElementById('step-' + stepId(evt));
+    if (el) {
+        el.classList.remove('active');
+        el.classList.add('error');
     }
+    if (evt.message) setProgressLabel(`Failed: ${evt.message}`);
+    hideCurrentItem();
+}
 
-    // Accessory amount calculated
-    else if (msg.includes('[ACC ') && msg.includes('Amount calculated')) {
-        const amountMatch = msg.match(/Amount calculated[^:]*:\s*([^,]+)/);
-        const rowMatch = msg.match(/\[ACC\s+(\d+)\]/);
+/**
+ * Show the row being typed into Cortizo
+ * @param {object} evt - RowStarted event
+ */
+function onRowStarted(evt) {
+    const isProfile = evt.itemType === 'Profile';
+
+    showCurrentItem();
+    document.getElementById('current-item-title').textContent = isProfile ? 'Filling Profile...' : 'Filling Accessory...';
+    document.getElementById('current-item-counter').textContent = `${evt.index}/${evt.count}`;
+    document.getElementById('current-item-ref').textContent = evt.refNumber || '-';
+    document.getElementById('current-item-qty').textContent = evt.amount ?? '-';
+    document.getElementById('current-item-desc').textContent = evt.description || '-';
+    document.getElementById('current-item-finish').textContent = isProfile
+        ? [evt.finish1, evt.finish2].filter(f => f).map(finishDisplayName).join(' / ') || '-'
+        : evt.finish || '-';
+    document.getElementById('current-item-shade').textContent = isProfile
+        ? [evt.shade1, evt.shade2].filter(s => s).join(' / ') || '-'
+        : '-';
+
+    if (!firstRowAt) firstRowAt = new Date(evt.timestamp);
+    setProgressBar(rowProgress(evt.index - 1));
+    setProgressLabel(`Filling ${isProfile ? 'profile' : 'accessory'} ${evt.index}/${evt.count}...`);
+}
+
+/**
+ * Record a row Cortizo did or did not calculate an amount for
+ * @param {object} evt - RowFilled or RowUnfilled event
+ * @param {boolean} success - Whether the amount was calculated
+ */
+function onRowFinished(evt, success) {
+    // A retried row replaces its earlier result instead of adding to the counts
+    const previous = addFilledItemRow(evt, success);
+    if (previous === true) filledCount--;
+    if (previous === false) unfilledCount--;
+
+    if (success) {
         filledCount++;
-        document.getElementById('stat-filled').textContent = filledCount;
-        addFilledItemRow('Acc', amountMatch ? amountMatch[1].trim() : 'OK', true, rowMatch);
-    }
-    // Accessory amount NOT calculated  
-    else if (msg.includes('[ACC ') && (msg.includes('Amount still not calculated') || msg.includes('Amount not calculated'))) {
-        const rowMatch = msg.match(/\[ACC\s+(\d+)\]/);
-        // Only count the final failure, not the intermediate retry message
-        if (msg.includes('still not calculated') || !msg.includes('retrying')) {
-            unfilledCount++;
-            document.getElementById('stat-unfilled').textContent = unfilledCount;
-            addFilledItemRow('Acc', '-', false, rowMatch);
-        }
+    } else {
+        unfilledCount++;
     }
+    document.getElementById('stat-filled').textContent = filledCount;
+    document.getElementById('stat-unfilled').textContent = unfilledCount;
 
-    else if (msg.includes('accessories filled successfully') || msg.includes('Accessory fill complete')) {
-        completeStep('accessories');
-        setProgressBar(85);
-        hideCurrentItem();
-    }
+    recordRowTiming(evt);
+}
 
-    // Step: Total
-    else if (msg.includes('ESTIMATE TOTAL')) {
-        setActiveStep('total');
-        const totalMatch = msg.match(/([\d,.]+)\s*EUR/);
-        if (totalMatch) {
-            document.getElementById('stat-cortizo-total').textContent = totalMatch[1];
-        }
-        setProgressLabel('Extracting total...');
-        setProgressBar(90);
-    }
+// ==================== Row timing / ETA ====================
 
-    // Unfilled warnings
-    else if (msg.includes('UNFILLED PROFILES') || msg.includes('UNFILLED ACCESSORIES')) {
-        // Already counted via individual rows - no double-counting
-    }
+/**
+ * Progress bar percent after the given number of rows of the current row step
+ * @param {number} done - Rows of the step finished so far
+ * @returns {number}
+ */
+function rowProgress(done) {
+    if (!rowPlan || !rowPlan.total) return ROWS_PROGRESS[0];
+    return ROWS_PROGRESS[0] + ((rowPlan.offset + done) / rowPlan.total) * (ROWS_PROGRESS[1] - ROWS_PROGRESS[0]);
+}
 
-    // Generating report / downloading
-    else if (msg.includes('GENERATE REPORT')) {
-        setProgressLabel('Downloading Cortizo report...');
-        setProgressBar(93);
-    }
-    else if (msg.includes('Cortizo report downloaded')) {
-        setProgressLabel('Report downloaded!');
-        setProgressBar(96);
-    }
+/**
+ * Rolling average row duration of an item type in milliseconds (0 when no row of that type finished yet)
+ */
+function averageRowMs(itemType) {
+    const recent = rowDurations[itemType].slice(-ETA_WINDOW);
+    return recent.length > 0 ? recent.reduce((sum, ms) => sum + ms, 0) / recent.length : 0;
+}
 
-    // Creating proforma
-    else if (msg.includes('Creating proforma')) {
-        setProgressLabel('Creating proforma...');
-        setProgressBar(97);
-    }
+/**
+ * Update the ETA and throughput from a finished row
+ * @param {object} evt - RowFilled or RowUnfilled event (durationMs, index, count)
+ */
+function recordRowTiming(evt) {
+    if (evt.durationMs == null || !rowDurations[evt.itemType]) return;
+
+    rowDurations[evt.itemType].push(evt.durationMs);
+    rowsDone++;
+    lastRowAt = new Date(evt.timestamp);
+
+    // Accessories still to come after the profiles are estimated at the profile rate until one is timed
+    const current = averageRowMs(evt.itemType);
+    const later = averageRowMs('Accessory') || current;
+    const remainingInStep = Math.max(0, (evt.count || 0) - (evt.index || 0));
+    const remainingLater = rowPlan ? Math.max(0, rowPlan.total - rowPlan.offset - rowPlan.count) : 0;
+    const etaMs = remainingInStep * current + remainingLater * later;
+
+    const minutes = firstRowAt ? (lastRowAt - firstRowAt) / 60000 : 0;
+    const parts = [`ETA ${formatDuration(etaMs)}`];
+    if (minutes > 0) parts.push(`${(rowsDone / minutes).toFixed(1)} rows/min`);
+    parts.push(`${formatDuration(current)}/row`);
+    setTimingLabel(parts.join(' | '));
+}
 
-    // Stopped by user
-    else if (msg.includes('stopped by user') || msg.includes('Automation was stopped')) {
-        setStatusBadge('Stopped', 'warning');
-        setProgressLabel('Automation stopped by user');
-        hideCurrentItem();
-    }
+function resetRowTiming() {
+    rowPlan = null;
+    rowDurations = { Profile: [], Accessory: [] };
+    firstRowAt = null;
+    lastRowAt = null;
+    rowsDone = 0;
+    setTimingLabel('');
+}
 
-    // Error
-    else if (level === 'error' && msg.includes('failed') && !msg.includes('[ROW') && !msg.includes('[ACC')) {
-        const activeStep = document.querySelector('.step-item.active');
-        if (activeStep) {
-            activeStep.classList.remove('active');
-            activeStep.classList.add('error');
-        }
-        setStatusBadge('Error', 'danger');
-    }
+function setTimingLabel(text) {
+    const el = document.getElementById('progress-timing');
+    if (el) el.textContent = text;
+}
 
-    // Completed
-    else if (msg.includes('Automation completed')) {
-        completeStep('total');
-        setProgressBar(100);
-        setProgressLabel('Automation completed!');
+/**
+ * Duration for display ('4.2 s', '3m 05s')
+ * @param {number} ms - Milliseconds
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    const seconds = ms / 1000;
+    if (seconds < 60) return `${seconds.toFixed(1)} s`;
+    const whole = Math.round(seconds);
+    return `${Math.floor(whole / 60)}m ${String(whole % 60).padStart(2, '0')}s`;
+}
+
+function onTotalExtracted(evt) {
+    if (evt.cortizoTotal > 0) {
+        document.getElementById('stat-cortizo-total').textContent = evt.cortizoTotal.toFixed(2);
     }
 }
 
-// Track last processing row info for filled items table
-let lastProcessingInfo = { ref: '', amt: '', desc: '', type: '' };
+/**
+ * Cortizo finish code to display name, using the grid's finish list when available
+ * @param {string} code - Finish code (e.g. '90')
+ * @returns {string}
+ */
+function finishDisplayName(code) {
+    return typeof finishLabel === 'function' ? finishLabel(code) : code;
+}
 
-function addFilledItemRow(type, amount, success, rowMatch) {
+/**
+ * Append a row to the filled items table, or update it in place when the same Cortizo row is filled again (retry)
+ * @param {object} evt - RowFilled or RowUnfilled event
+ * @param {boolean} success - Whether Cortizo calculated an amount
+ * @returns {boolean|null} Whether the replaced row had been filled, or null for a new row
+ */
+function addFilledItemRow(evt, success) {
     const tbody = document.getElementById('filled-items-tbody');
-    if (!tbody) return;
+    if (!tbody) return null;
 
-    filledItemsIndex++;
+    const type = evt.itemType === 'Profile' ? 'Profile' : 'Acc';
+    const rowKey = `${type}-${evt.rowNumber}`;
+    const existing = Array.from(tbody.children).find(tr => tr.dataset.rowKey === rowKey);
+    const previous = existing ? existing.dataset.filled === 'true' : null;
+    const index = existing ? existing.dataset.index : ++filledItemsIndex;
 
-    const ref = document.getElementById('current-item-ref')?.textContent || '-';
-    const qty = document.getElementById('current-item-qty')?.textContent || '-';
-    const desc = document.getElementById('current-item-desc')?.textContent || '-';
+    const ref = evt.refNumber || '-';
+    const qty = evt.amount != null ? evt.amount.toString() : '-';
+    const desc = evt.description || '-';
+    const amount = success ? (evt.calculatedAmount || 'OK') : '-';
 
     const statusBadge = success
         ? '<span class="badge bg-success">OK</span>'
@@ -322,17 +358,31 @@ function addFilledItemRow(type, amount, success, rowMatch) {
 
     const rowClass = success ? '' : 'table-warning';
 
-    const tr = document.createElement('tr');
+    const tr = existing || document.createElement('tr');
     tr.className = rowClass;
+    tr.dataset.rowKey = rowKey;
+    tr.dataset.index = index;
+    tr.dataset.filled = success;
     tr.innerHTML = `
-        <td>${filledItemsIndex}</td>
+        <td>${index}</td>
         <td><span class="badge ${type === 'Profile' ? 'bg-primary' : 'bg-info text-dark'}">${type}</span></td>
         <td class="fw-bold">${escapeHtml(ref)}</td>
         <td>${escapeHtml(qty)}</td>
         <td class="text-truncate" style="max-width: 180px;" title="${escapeHtml(desc)}">${escapeHtml(desc)}</td>
         <td class="fw-bold ${success ? 'text-success' : 'text-danger'}">${escapeHtml(amount)}</td>
+        <td class="${evt.slow ? 'text-danger fw-bold' : 'text-muted'}" title="${evt.slow ? 'Slow row - took much longer than the rows before it' : ''}">
+            ${evt.durationMs != null ? formatDuration(evt.durationMs) : '-'}${evt.slow ? ' <i class="bi bi-hourglass-split"></i>' : ''}
+        </td>
         <td>${statusBadge}</td>
     `;
+    tr.title = !success && evt.message ? evt.message : '';
+    if (evt.snapshotUrl) attachRowSnapshot(tr, evt.snapshotUrl);
+
+    if (existing) {
+        existing.scrollIntoView({ block: 'nearest' });
+        return previous;
+    }
+
     tbody.appendChild(tr);
 
     // Update count badge
@@ -342,6 +392,41 @@ function addFilledItemRow(type, amount, success, rowMatch) {
     // Scroll table to bottom
     const tableContainer = tbody.closest('div[style*="overflow"]');
     if (tableContainer) tableContainer.scrollTop = tableContainer.scrollHeight;
+    return null;
+}
+
+/**
+ * Add a link to the failed row's cropped snapshot to its status cell
+ * @param {HTMLElement} tr - Filled items table row
+ * @param {string} url - Snapshot URL
+ */
+function attachRowSnapshot(tr, url) {
+    const cell = tr.lastElementChild;
+    if (!cell || cell.querySelector('.row-snapshot')) return;
+    cell.insertAdjacentHTML('beforeend',
+        ` <a href="${escapeAttr(url)}" target="_blank" class="row-snapshot" title="Snapshot of the row in Cortizo"><i class="bi bi-camera"></i></a>`);
+}
+
+/**
+ * Link the snapshots of rows found unfilled only by the final check (no RowUnfilled event)
+ */
+function attachResultSnapshots(result) {
+    const tbody = document.getElementById('filled-items-tbody');
+    if (!tbody) return;
+
+    const items = (result.unfilledProfiles || []).map(item => ['Profile', item])
+        .concat((result.unfilledAccessories || []).map(item => ['Acc', item]));
+    items.forEach(([type, item]) => {
+        if (!item.snapshotUrl) return;
+        const tr = Array.from(tbody.children).find(row => row.dataset.rowKey === `${type}-${item.rowNumber}`);
+        if (tr) attachRowSnapshot(tr, item.snapshotUrl);
+    });
+}
+
+function snapshotLink(item) {
+    return item.snapshotUrl
+        ? ` <a href="${escapeAttr(item.snapshotUrl)}" target="_blank" title="Snapshot of the row in Cortizo"><i class="bi bi-camera"></i></a>`
+        : '';
 }
 
 function showFilledItemsPanel() {
@@ -424,22 +509,25 @@ function updateProgress(current, total, status) {
 function handleComplete(result) {
     isRunning = false;
 
-    // Store result for PDF generation
-    if (typeof _lastAutomationResult !== 'undefined') {
-        window._lastAutomationResult = result;
+    if (watchMode) {
+        const label = document.getElementById('watch-run-label');
+        if (label) label.textContent = 'Watched run finished (read-only)';
     } else {
+        // Store result for PDF generation
         window._lastAutomationResult = result;
-    }
 
-    hideStopButton();
-    const confirmBtn = document.getElementById('btn-confirm');
-    if (confirmBtn) {
-        confirmBtn.disabled = false;
-        confirmBtn.innerHTML = '<i class="bi bi-play-fill me-2"></i>Run Automation';
+        hideStopButton();
+        const confirmBtn = document.getElementById('btn-confirm');
+        if (confirmBtn) {
+            confirmBtn.disabled = false;
+            confirmBtn.innerHTML = '<i class="bi bi-play-fill me-2"></i>Run Automation';
+        }
     }
 
     hideCurrentItem();
     showFilledSummary();
+    attachResultSnapshots(result);
+    if (result.timing) setTimingLabel(`Finished in ${formatDuration(result.timing.totalSeconds * 1000)}`);
 
     // Show Cortizo report download if available
     if (result.reportDownloadUrl) {
@@ -451,9 +539,9 @@ function handleComplete(result) {
         if (reportName) reportName.textContent = result.reportFileName || '';
     }
 
-    // Show Generate PDF section
+    // Show Generate PDF section (the quotation is built from this tab's own data)
     const pdfSection = document.getElementById('generate-pdf-section');
-    if (pdfSection) pdfSection.style.display = 'block';
+    if (pdfSection && !watchMode) pdfSection.style.display = 'block';
 
     // Show download log button
     const dlBtn = document.getElementById('btn-download-log');
@@ -469,7 +557,11 @@ function handleComplete(result) {
         document.getElementById('stat-cortizo-total').textContent = result.cortizoTotal.toFixed(2);
     }
 
-    if (result.success) {
+    if (result.stopped) {
+        setStatusBadge('Stopped', 'warning');
+        setProgressLabel('Automation stopped by user');
+        document.querySelectorAll('.step-item.active').forEach(el => el.classList.remove('active'));
+    } else if (result.success) {
         setStatusBadge('Completed', 'success');
         setProgressBar(100);
         setProgressLabel('Automation completed successfully!');
@@ -488,7 +580,7 @@ function handleComplete(result) {
         if (result.unfilledProfiles && result.unfilledProfiles.length > 0) {
             unfilledHtml += '<div class="mt-2"><strong>Unfilled Profiles:</strong><ul class="mb-1">';
             result.unfilledProfiles.forEach(item => {
-                unfilledHtml += `<li>Row ${item.rowNumber}: REF ${item.refNumber} x ${item.amount} - ${item.reason}</li>`;
+                unfilledHtml += `<li>Row ${item.rowNumber}: REF ${item.refNumber} x ${item.amount} - ${item.reason}${snapshotLink(item)}</li>`;
             });
             unfilledHtml += '</ul></div>';
         }
@@ -496,16 +588,25 @@ function handleComplete(result) {
         if (result.unfilledAccessories && result.unfilledAccessories.length > 0) {
             unfilledHtml += '<div class="mt-2"><strong>Unfilled Accessories:</strong><ul class="mb-1">';
             result.unfilledAccessories.forEach(item => {
-                unfilledHtml += `<li>Row ${item.rowNumber}: REF ${item.refNumber} x ${item.amount} - ${item.reason}</li>`;
+                unfilledHtml += `<li>Row ${item.rowNumber}: REF ${item.refNumber} x ${item.amount} - ${item.reason}${snapshotLink(item)}</li>`;
             });
             unfilledHtml += '</ul></div>';
         }
 
+        const unfilledTotal = (result.unfilledProfiles ? result.unfilledProfiles.length : 0) +
+            (result.unfilledAccessories ? result.unfilledAccessories.length : 0);
+        const canRetry = !watchMode && unfilledTotal > 0 && result.valuationNumber;
+
         summaryEl.innerHTML = `
             <div class="alert ${result.success ? 'alert-success' : 'alert-warning'} mb-0">
-                <h6 class="alert-heading mb-1">${result.success ? 'Automation Completed' : 'Completed with Issues'}</h6>
+                <h6 class="alert-heading mb-1">${result.success ? 'Automation Completed' : 'Completed with Issues'}${result.isRetry ? ' (retry)' : ''}</h6>
+                ${result.valuationNumber ? `<div><small class="text-muted">Cortizo valuation ${escapeHtml(result.valuationNumber)}
+                ${result.isRetry ? ` - ${result.retriedItems} unfilled rows re-entered` : ''}</small></div>` : ''}
                 <small>Processed: ${result.successfulItems}/${result.totalItems} items
                 ${result.cortizoTotal > 0 ? ` | Cortizo Total: <strong>${result.cortizoTotal.toFixed(2)} EUR</strong>` : ''}</small>
+                ${result.totalItems > 0 ? `<div><small class="text-muted">Submitted: ${result.submittedProfiles} profiles, ${result.submittedAccessories} accessories, ${result.submittedHardware} hardware
+                ${result.skippedAccessories > 0 ? ` (${result.skippedAccessories} accessory/hardware rows skipped)` : ''}</small></div>` : ''}
+                ${timingSummaryHtml(result.timing)}
                 ${result.reportDownloadUrl ? `
                 <div class="mt-2 mb-2">
                     <a href="${result.reportDownloadUrl}" class="btn btn-success" download>
@@ -513,7 +614,9 @@ function handleComplete(result) {
                     </a>
                 </div>` : ''}
                 ${unfilledHtml}
+                ${canRetry ? `<small class="text-muted d-block">Fix REF or finish in the grid first if needed - the retry uses the current grid values.</small>` : ''}
                 <div class="mt-2">
+                    ${canRetry ? `<button class="btn btn-sm btn-warning me-1" onclick="automation.retryUnfilled()"><i class="bi bi-arrow-repeat me-1"></i>Retry Unfilled (${unfilledTotal})</button>` : ''}
                     ${result.screenshotPath ? `<a href="/Home/DownloadFile?path=${encodeURIComponent(result.screenshotPath)}" class="btn btn-sm btn-outline-primary me-1">Screenshot</a>` : ''}
                     ${result.tracePath ? `<a href="/Home/DownloadFile?path=${encodeURIComponent(result.tracePath)}" class="btn btn-sm btn-outline-primary me-1">Server Log</a>` : ''}
                     <button class="btn btn-sm btn-outline-secondary" onclick="automation.downloadLog()"><i class="bi bi-download me-1"></i>Download UI Log</button>
@@ -523,6 +626,23 @@ function handleComplete(result) {
     }
 }
 
+/**
+ * One line of run timing for the result summary
+ * @param {object} timing - AutomationTimingSummary
+ * @returns {string}
+ */
+function timingSummaryHtml(timing) {
+    if (!timing) return '';
+
+    const parts = [`${formatDuration(timing.totalSeconds * 1000)} total`];
+    if (timing.rowsPerMinute > 0) parts.push(`${timing.rowsPerMinute.toFixed(1)} rows/min`);
+    if (timing.profileRows > 0) parts.push(`profiles avg ${formatDuration(timing.profileAverageMs)}`);
+    if (timing.accessoryRows > 0) parts.push(`accessories avg ${formatDuration(timing.accessoryAverageMs)}`);
+    const slow = (timing.slowRows || []).map(r => `row ${r.rowNumber} (${formatDuration(r.durationMs)})`).join(', ');
+    if (slow) parts.push(`slow: ${slow}`);
+    return `<div><small class="text-muted"><i class="bi bi-stopwatch me-1"></i>${escapeHtml(parts.join(' | '))}</small></div>`;
+}
+
 function downloadLog() {
     if (!logText) return;
     const blob = new Blob([logText], { type: 'text/plain' });
@@ -537,7 +657,7 @@ function downloadLog() {
 }
 
 async function stopAutomation() {
-    if (!isRunning) return;
+    if (!isRunning || watchMode || !currentRunId) return;
 
     const stopBtn = document.getElementById('btn-stop');
     if (stopBtn) {
@@ -545,14 +665,28 @@ async function stopAutomation() {
         stopBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-1"></span>Stopping...';
     }
 
+    await cancelJob(currentRunId);
+}
+
+/**
+ * Cancel a queued job or stop a running one
+ * @param {string} jobId - Job to cancel (must have been queued from this tab)
+ */
+async function cancelJob(jobId) {
+    const formData = new FormData();
+    formData.append('jobId', jobId);
+
     try {
-        await fetch('/Home/StopAutomation', { method: 'POST' });
+        const response = await fetch('/Home/StopAutomation', { method: 'POST', body: formData });
+        const result = await response.json();
         addLogEntry({
             timestamp: new Date().toISOString(),
-            level: 'Warning',
-            message: 'Stop requested - waiting for current operation to finish...'
+            level: result.success ? 'Warning' : 'Error',
+            message: result.success
+                ? `${result.message} - waiting for current operation to finish...`
+                : `Could not stop automation: ${result.message}`
         });
-        setStatusBadge('Stopping', 'warning');
+        if (result.success && jobId === currentRunId) setStatusBadge('Stopping', 'warning');
     } catch (error) {
         console.error('Failed to stop automation:', error);
     }
@@ -574,22 +708,28 @@ function hideStopButton() {
     }
 }
 
-async function startAutomation() {
-    if (isRunning) return;
+function resetProgressSteps() {
+    document.querySelectorAll('.step-item').forEach(el => {
+        el.classList.remove('active', 'completed', 'error');
+    });
+    setProgressBar(0);
+}
 
-    isRunning = true;
+/**
+ * Clear the progress dashboard, counters, filled items table and log
+ */
+function resetDashboard() {
+    lastRunSequence = 0;
+    retryRun = false;
     filledCount = 0;
     unfilledCount = 0;
     totalItemCount = 0;
     filledItemsIndex = 0;
     logText = '';
+    resetRowTiming();
 
-    // Reset dashboard
     document.getElementById('log-container').innerHTML = '';
-    document.querySelectorAll('.step-item').forEach(el => {
-        el.classList.remove('active', 'completed', 'error');
-    });
-    setProgressBar(0);
+    resetProgressSteps();
     setProgressLabel('Starting automation...');
     setStatusBadge('Starting', 'info');
     document.getElementById('stat-filled').textContent = '0';
@@ -612,13 +752,27 @@ async function startAutomation() {
     const summaryEl = document.getElementById('automation-summary');
     if (summaryEl) summaryEl.style.display = 'none';
 
-    const confirmBtn = document.getElementById('btn-confirm');
-    if (confirmBtn) {
-        confirmBtn.disabled = true;
-        confirmBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Running...';
+    clearLiveFrame();
+}
+
+async function startAutomation() {
+    if (isRunning && !watchMode) return;
+
+    if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
+        addLogEntry({
+            timestamp: new Date().toISOString(),
+            level: 'Error',
+            message: 'Not connected for live progress updates yet. Please try again in a moment.'
+        });
+        return;
     }
 
-    showStopButton();
+    // Starting our own run ends watching someone else's
+    await leaveCurrentRun();
+
+    isRunning = true;
+    resetDashboard();
+    showRunningButtons();
 
     const form = document.getElementById('automation-form');
     const formData = new FormData(form);
@@ -629,6 +783,13 @@ async function startAutomation() {
     });
     formData.append('selectedProfileIds', JSON.stringify(selectedProfiles));
 
+    const selectedAccessories = [];
+    document.querySelectorAll('.accessory-checkbox:checked').forEach(cb => {
+        selectedAccessories.push(parseInt(cb.value));
+    });
+    formData.append('selectedAccessoryIds', JSON.stringify(selectedAccessories));
+    formData.append('connectionId', connection.connectionId);
+
     try {
         const response = await fetch('/Home/RunAutomation', {
             method: 'POST',
@@ -637,23 +798,460 @@ async function startAutomation() {
 
         const result = await response.json();
 
-        if (!result.success && !isRunning) {
-            handleComplete(result);
+        if (result.success) {
+            currentRunId = result.jobId;
+            ownJobIds.add(result.jobId);
+            ownJobWaiting = true;
+            syncLiveView();
+            setStatusBadge('Queued', 'secondary');
+            setProgressLabel('Waiting in the automation queue...');
+        } else {
+            startFailed(result.message);
         }
     } catch (error) {
         console.error('Error starting automation:', error);
+        startFailed(error.message);
+    }
+}
+
+function showRunningButtons() {
+    const confirmBtn = document.getElementById('btn-confirm');
+    if (confirmBtn) {
+        confirmBtn.disabled = true;
+        confirmBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Running...';
+    }
+
+    showStopButton();
+}
+
+function startFailed(message) {
+    addLogEntry({
+        timestamp: new Date().toISOString(),
+        level: 'Error',
+        message: 'Failed to start automation: ' + message
+    });
+    isRunning = false;
+    setStatusBadge('Error', 'danger');
+    hideStopButton();
+
+    const confirmBtn = document.getElementById('btn-confirm');
+    if (confirmBtn) {
+        confirmBtn.disabled = false;
+        confirmBtn.innerHTML = '<i class="bi bi-play-fill me-2"></i>Run Automation';
+    }
+}
+
+/**
+ * Reopen the finished run's valuation in Cortizo and re-enter only its unfilled rows.
+ * The filled items table, stats and Cortizo total are updated in place.
+ */
+async function retryUnfilled() {
+    if (isRunning || watchMode || !currentRunId) return;
+
+    if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
         addLogEntry({
             timestamp: new Date().toISOString(),
             level: 'Error',
-            message: 'Failed to start automation: ' + error.message
+            message: 'Not connected for live progress updates yet. Please try again in a moment.'
         });
-        isRunning = false;
-        setStatusBadge('Error', 'danger');
+        return;
+    }
 
-        if (confirmBtn) {
-            confirmBtn.disabled = false;
-            confirmBtn.innerHTML = '<i class="bi bi-play-fill me-2"></i>Run Automation';
+    const previousJobId = currentRunId;
+    const form = document.getElementById('automation-form');
+    const formData = new FormData(form);
+    formData.append('jobId', previousJobId);
+    formData.append('connectionId', connection.connectionId);
+
+    // Events of the retry job start a new sequence
+    isRunning = true;
+    retryRun = true;
+    lastRunSequence = 0;
+    resetRowTiming();
+    resetProgressSteps();
+    showRunningButtons();
+    setStatusBadge('Queued', 'secondary');
+    setProgressLabel('Waiting in the automation queue...');
+    const summaryEl = document.getElementById('automation-summary');
+    if (summaryEl) summaryEl.style.display = 'none';
+
+    try {
+        const response = await fetch('/Home/RetryUnfilled', { method: 'POST', body: formData });
+        const result = await response.json();
+
+        if (result.success) {
+            currentRunId = result.jobId;
+            ownJobIds.add(result.jobId);
+            ownJobWaiting = true;
+            syncLiveView();
+            connection.invoke('LeaveRun', previousJobId).catch(err => console.error('Failed to leave run:', err));
+        } else {
+            startFailed(result.message);
+            if (summaryEl) summaryEl.style.display = 'block';
         }
+    } catch (error) {
+        console.error('Error retrying unfilled rows:', error);
+        startFailed(error.message);
+    }
+}
+
+// ==================== Watching other runs ====================
+
+/**
+ * Show or hide the list of runs that can be watched
+ */
+async function toggleRunList() {
+    const list = document.getElementById('watch-run-list');
+    if (!list) return;
+    if (list.style.display !== 'none') {
+        list.style.display = 'none';
+        return;
+    }
+
+    list.innerHTML = '<small class="text-muted">Loading runs...</small>';
+    list.style.display = 'block';
+
+    try {
+        const response = await fetch('/Home/ListAutomationJobs');
+        const result = await response.json();
+        const runs = (result.jobs || []).filter(j => isActiveJob(j) && j.jobId !== currentRunId);
+
+        list.innerHTML = runs.length === 0
+            ? '<small class="text-muted">No other automation runs in progress.</small>'
+            : runs.map(r => `
+                <button type="button" class="list-group-item list-group-item-action py-1 small" data-run-id="${escapeHtml(r.jobId)}">
+                    <strong>${escapeHtml(jobLabel(r))}</strong>
+                    <span class="text-muted ms-1">${r.startedAt ? 'started ' + new Date(r.startedAt).toLocaleTimeString() : 'queued #' + r.position}</span>
+                </button>`).join('');
+        list.classList.toggle('list-group', runs.length > 0);
+        list.querySelectorAll('[data-run-id]').forEach(btn => {
+            btn.addEventListener('click', () => watchRun(btn.dataset.runId, btn.querySelector('strong').textContent));
+        });
+    } catch (error) {
+        list.innerHTML = `<small class="text-danger">Could not load runs: ${escapeHtml(error.message)}</small>`;
+    }
+}
+
+/**
+ * Join another user's run and follow its progress read-only
+ * @param {string} runId - Run to watch
+ * @param {string} label - Project name shown in the banner
+ */
+async function watchRun(runId, label) {
+    if (isRunning && !watchMode) {
+        addLogEntry({
+            timestamp: new Date().toISOString(),
+            level: 'Warning',
+            message: 'Your own automation is still running - wait for it to finish before watching another run.'
+        });
+        return;
+    }
+
+    await leaveCurrentRun();
+    resetDashboard();
+
+    currentRunId = runId;
+    watchMode = true;
+    isRunning = true;
+    syncLiveView();
+
+    document.getElementById('watch-run-list').style.display = 'none';
+    document.getElementById('watch-run-label').textContent = `Watching ${label} (read-only)`;
+    document.getElementById('watch-run-banner').style.display = 'block';
+    hideStopButton();
+    setStatusBadge('Watching', 'info');
+    setProgressLabel('Waiting for the next update from the watched run...');
+
+    // Catch up on what happened before we joined
+    await resumeRun(runId);
+}
+
+/**
+ * Stop watching another user's run
+ */
+async function stopWatching() {
+    if (!watchMode) return;
+    await leaveCurrentRun();
+    isRunning = false;
+    setStatusBadge('Idle', 'secondary');
+    setProgressLabel('Waiting to start...');
+}
+
+// ==================== Replay / resume ====================
+
+/**
+ * Apply a run event from SignalR, or hold it back while a replay is in progress
+ * @param {object} evt - { name, payload, sequence }
+ */
+function receiveRunEvent(evt) {
+    if (replayingRun) {
+        pendingRunEvents.push(evt);
+        return;
+    }
+    applyRunEvent(evt);
+}
+
+function applyRunEvent(evt) {
+    // Already applied (replayed, or sent again after a reconnect)
+    if (evt.sequence && evt.sequence <= lastRunSequence) return;
+    if (evt.sequence) lastRunSequence = evt.sequence;
+
+    const handler = RUN_EVENT_HANDLERS[evt.name];
+    if (handler) handler(evt.payload);
+}
+
+/**
+ * Join a run's group and replay the events sent so far, then the live events that arrived meanwhile
+ * @param {string} jobId - Job whose run to follow
+ */
+async function resumeRun(jobId) {
+    replayingRun = true;
+    pendingRunEvents = [];
+    try {
+        const events = await connection.invoke('JoinRun', jobId);
+        (events || []).forEach(applyRunEvent);
+    } catch (err) {
+        console.error('Failed to join run:', err);
+    } finally {
+        replayingRun = false;
+        const pending = pendingRunEvents;
+        pendingRunEvents = [];
+        pending.forEach(applyRunEvent);
+    }
+}
+
+/**
+ * Apply all events of a finished run without staying in its group
+ * @param {string} jobId - Finished job
+ * @param {boolean} isRetry - Whether the job was a retry of unfilled rows
+ */
+async function replayFinishedRun(jobId, isRetry) {
+    retryRun = isRetry;
+    lastRunSequence = 0;
+    resetRowTiming();
+    try {
+        const events = await connection.invoke('JoinRun', jobId);
+        (events || []).forEach(applyRunEvent);
+        await connection.invoke('LeaveRun', jobId);
+    } catch (err) {
+        console.error('Failed to replay run:', err);
+    }
+}
+
+/**
+ * After a page reload, rebuild the dashboard from this session's current (or just finished) run
+ */
+async function restoreCurrentRun() {
+    if (currentRunId) return;
+
+    try {
+        const response = await fetch('/Home/CurrentAutomationJob');
+        const result = await response.json();
+        if (!result.success) return;
+
+        const job = result.job;
+        currentRunId = job.jobId;
+        ownJobIds.add(job.jobId);
+        watchMode = false;
+        resetDashboard();
+        syncLiveView();
+        setProgressLabel('Restoring automation progress...');
+
+        // A retry only re-enters some rows: replay the runs it retried first
+        for (let i = 0; i < (result.history || []).length; i++) {
+            await replayFinishedRun(result.history[i], i > 0);
+        }
+        retryRun = !!job.retryOfJobId;
+        lastRunSequence = 0;
+        resetRowTiming();
+
+        if (job.isActive) {
+            isRunning = true;
+            ownJobWaiting = job.status === 'Queued';
+            showRunningButtons();
+            setStatusBadge(ownJobWaiting ? 'Queued' : 'Running', ownJobWaiting ? 'secondary' : 'primary');
+        }
+
+        await resumeRun(job.jobId);
+    } catch (error) {
+        console.error('Failed to restore automation run:', error);
+    }
+}
+
+// ==================== Job queue panel ====================
+
+const JOB_STATUS_BADGES = {
+    Queued: 'bg-secondary',
+    Running: 'bg-primary',
+    Done: 'bg-success',
+    Failed: 'bg-danger',
+    Cancelled: 'bg-warning text-dark'
+};
+
+function isActiveJob(job) {
+    return job.status === 'Queued' || job.status === 'Running';
+}
+
+function jobLabel(job) {
+    return job.projectName || job.fileName || 'Untitled';
+}
+
+async function loadQueue() {
+    try {
+        const response = await fetch('/Home/ListAutomationJobs');
+        const result = await response.json();
+        if (result.success) renderQueue(result.jobs);
+    } catch (error) {
+        console.error('Failed to load automation queue:', error);
+    }
+}
+
+/**
+ * Render the job queue panel and reflect this tab's own queued job in the dashboard
+ * @param {object[]} jobs - Jobs in queue order: { jobId, projectName, fileName, status, position, ... }
+ */
+function renderQueue(jobs) {
+    const panel = document.getElementById('automation-queue');
+    const tbody = document.getElementById('automation-queue-tbody');
+    if (!panel || !tbody) return;
+
+    jobs = jobs || [];
+    panel.style.display = jobs.length > 0 ? 'block' : 'none';
+    const activeCount = jobs.filter(isActiveJob).length;
+    document.getElementById('automation-queue-count').textContent = `${activeCount} active`;
+
+    tbody.innerHTML = jobs.map(job => {
+        const own = ownJobIds.has(job.jobId);
+        const when = job.status === 'Queued'
+            ? `#${job.position} in queue`
+            : new Date(job.completedAt || job.startedAt || job.queuedAt).toLocaleTimeString();
+        let action = '';
+        if (isActiveJob(job) && own) {
+            action = `<button type="button" class="btn btn-link btn-sm p-0 text-danger" data-cancel-job="${escapeHtml(job.jobId)}">${job.status === 'Queued' ? 'Remove' : 'Stop'}</button>`;
+        } else if (isActiveJob(job) && job.jobId !== currentRunId) {
+            action = `<button type="button" class="btn btn-link btn-sm p-0" data-watch-job="${escapeHtml(job.jobId)}">Watch</button>`;
+        }
+        return `
+            <tr class="${job.jobId === currentRunId ? 'table-active' : ''}">
+                <td>${escapeHtml(jobLabel(job))}${job.simulation ? ' <span class="badge bg-warning text-dark">simulation</span>' : ''}${own ? ' <span class="text-muted">(you)</span>' : ''}</td>
+                <td><span class="badge ${JOB_STATUS_BADGES[job.status] || 'bg-secondary'}" title="${escapeHtml(job.errorMessage || '')}">${job.status}</span></td>
+                <td class="text-muted">${when}</td>
+                <td class="text-end">${action}</td>
+            </tr>`;
+    }).join('');
+
+    tbody.querySelectorAll('[data-cancel-job]').forEach(btn => {
+        btn.addEventListener('click', () => cancelJob(btn.dataset.cancelJob));
+    });
+    tbody.querySelectorAll('[data-watch-job]').forEach(btn => {
+        const job = jobs.find(j => j.jobId === btn.dataset.watchJob);
+        btn.addEventListener('click', () => watchRun(job.jobId, jobLabel(job)));
+    });
+
+    // Our own job: show its place in the queue until it starts
+    const current = !watchMode && jobs.find(j => j.jobId === currentRunId);
+    if (current && isRunning) {
+        if (current.status === 'Queued') {
+            ownJobWaiting = true;
+            setStatusBadge(`Queued #${current.position}`, 'secondary');
+            setProgressLabel(`Waiting in the automation queue - position ${current.position}`);
+        } else if (current.status === 'Running' && ownJobWaiting) {
+            ownJobWaiting = false;
+            setStatusBadge('Running', 'primary');
+        }
+    }
+}
+
+async function leaveCurrentRun() {
+    if (currentRunId && connection && connection.state === signalR.HubConnectionState.Connected) {
+        try {
+            await connection.invoke('LeaveRun', currentRunId);
+        } catch (err) {
+            console.error('Failed to leave run:', err);
+        }
+    }
+    currentRunId = null;
+    watchMode = false;
+    syncLiveView();
+
+    const banner = document.getElementById('watch-run-banner');
+    if (banner) banner.style.display = 'none';
+}
+
+// ==================== Live view ====================
+
+function liveViewEnabled() {
+    return document.getElementById('live-view-toggle')?.checked || false;
+}
+
+/**
+ * Join the live-view group of the current run when the live view is on (and leave the previous one)
+ */
+async function syncLiveView() {
+    const captureBtn = document.getElementById('btn-capture-now');
+    if (captureBtn) captureBtn.disabled = !currentRunId;
+
+    const target = liveViewEnabled() ? currentRunId : null;
+    if (target === liveViewRunId || !connection || connection.state !== signalR.HubConnectionState.Connected) return;
+
+    const previous = liveViewRunId;
+    liveViewRunId = target;
+    try {
+        if (previous) await connection.invoke('LeaveLiveView', previous);
+        if (target) await connection.invoke('JoinLiveView', target);
+    } catch (err) {
+        console.error('Failed to switch live view:', err);
+    }
+}
+
+function toggleLiveView() {
+    const body = document.getElementById('live-view-body');
+    if (body) body.style.display = liveViewEnabled() ? 'block' : 'none';
+    syncLiveView();
+}
+
+/**
+ * Show a frame of the automation page
+ * @param {object} frame - { image (base64 JPEG), timestamp }
+ */
+function showLiveFrame(frame) {
+    const img = document.getElementById('live-view-img');
+    if (!img) return;
+
+    img.src = 'data:image/jpeg;base64,' + frame.image;
+    document.getElementById('live-view-time').textContent = new Date(frame.timestamp).toLocaleTimeString();
+    document.getElementById('live-view-empty').style.display = 'none';
+    document.getElementById('live-view-body').style.display = 'block';
+}
+
+function clearLiveFrame() {
+    const img = document.getElementById('live-view-img');
+    if (!img) return;
+
+    img.removeAttribute('src');
+    document.getElementById('live-view-time').textContent = '';
+    document.getElementById('live-view-empty').style.display = '';
+}
+
+/**
+ * Take a frame of the current run's page right away, whether or not the live view is on
+ */
+async function captureNow() {
+    if (!currentRunId || !connection || connection.state !== signalR.HubConnectionState.Connected) return;
+
+    const button = document.getElementById('btn-capture-now');
+    button.disabled = true;
+    try {
+        const image = await connection.invoke('CaptureLiveFrame', currentRunId);
+        if (image) {
+            showLiveFrame({ image, timestamp: new Date().toISOString() });
+        } else {
+            document.getElementById('live-view-time').textContent = 'No open page to capture';
+        }
+    } catch (err) {
+        console.error('Failed to capture frame:', err);
+    } finally {
+        button.disabled = !currentRunId;
     }
 }
 
@@ -664,7 +1262,8 @@ function escapeHtml(text) {
 }
 
 function selectAllProfiles(select) {
-    document.querySelectorAll('.profile-checkbox').forEach(cb => {
+    // Only the rows that pass the grid filter
+    document.querySelectorAll('#profiles-tbody tr.grid-row:not(.filtered-out) .profile-checkbox:not(:disabled)').forEach(cb => {
         cb.checked = select;
     });
     updateSelectedCount();
@@ -679,6 +1278,7 @@ function updateSelectedCount() {
 
 document.addEventListener('DOMContentLoaded', function () {
     initSignalR();
+    document.getElementById('live-view-toggle')?.addEventListener('change', toggleLiveView);
     document.querySelectorAll('.profile-checkbox').forEach(cb => {
         cb.addEventListener('change', updateSelectedCount);
     });
@@ -689,5 +1289,9 @@ window.automation = {
     start: startAutomation,
     stop: stopAutomation,
     selectAll: selectAllProfiles,
-    downloadLog: downloadLog
+    downloadLog: downloadLog,
+    retryUnfilled: retryUnfilled,
+    toggleRunList: toggleRunList,
+    stopWatching: stopWatching,
+    captureNow: captureNow
 };
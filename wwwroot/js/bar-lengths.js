@@ -0,0 +1,30 @@
+// Profile length basis and bar lengths per reference for the offline Excel calculation
+// The table is saved on the server and takes precedence over the price list's bar length column;
+// references in neither are calculated with 6 m bars.
+
+const barLengthTable = createReferenceTable({
+    prefix: 'bar-length',
+    entity: 'BarLength',
+    listKey: 'barLengths',
+    label: 'bar length',
+    globalName: 'barLengths',
+    formatValue: b => `${b.length} m`,
+    readValue: input => {
+        const length = parseFloat(input.value);
+        return isNaN(length) ? null : { length };
+    },
+    invalidMessage: 'Enter a reference and its bar length in metres'
+});
+
+/** Length basis of the profile weights: 'Bars' (bars x bar length) or 'ParsedLength' (PDF total length) */
+function currentLengthBasis() {
+    return document.getElementById('excel-length-basis')?.value || 'Bars';
+}
+
+// Export functions for global use
+window.barLengths = {
+    basis: currentLengthBasis,
+    save: barLengthTable.save,
+    remove: barLengthTable.remove,
+    reload: barLengthTable.reload
+};
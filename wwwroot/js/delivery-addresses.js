@@ -0,0 +1,91 @@
+// Delivery address selectors
+// The option lists are read from Cortizo on demand (a browser login) and cached on the server;
+// the selected addresses are posted with the automation form.
+
+const DELIVERY_SELECTS = {
+    profDeliv: 'profiles',
+    accDeliv: 'accessories',
+    pvcDeliv: 'pvc'
+};
+
+function deliverySimulation() {
+    return document.getElementById('simulation')?.checked || false;
+}
+
+function setDeliveryStatus(text) {
+    const status = document.getElementById('delivery-status');
+    if (status) status.textContent = text;
+}
+
+/**
+ * Fill the delivery selects with the addresses read from Cortizo, keeping the current choices
+ * @param {object} addresses - { profiles, accessories, pvc, loadedAt }
+ */
+function renderDeliveryAddresses(addresses) {
+    Object.entries(DELIVERY_SELECTS).forEach(([id, key]) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+
+        const current = select.value;
+        const options = addresses[key] || [];
+        // A saved choice Cortizo no longer offers stays selectable (it is matched by text in Cortizo)
+        const extra = current && !options.includes(current) ? [current] : [];
+        select.innerHTML = '<option value="">(Cortizo default)</option>' +
+            extra.concat(options).map(o => `<option value="${escapeAttr(o)}">${escapeHtml(o)}</option>`).join('');
+        select.value = current;
+    });
+    setDeliveryStatus(`Loaded from Cortizo at ${new Date(addresses.loadedAt).toLocaleString()}.`);
+}
+
+async function loadCachedDeliveryAddresses() {
+    try {
+        const response = await fetch(`/Home/GetDeliveryAddresses?simulation=${deliverySimulation()}`);
+        const result = await response.json();
+        if (result.success && result.addresses) {
+            renderDeliveryAddresses(result.addresses);
+        } else {
+            setDeliveryStatus('Not loaded from Cortizo yet.');
+        }
+    } catch (err) {
+        console.error('Failed to load delivery addresses:', err);
+    }
+}
+
+async function loadDeliveryAddressesFromCortizo() {
+    const button = document.getElementById('btn-load-delivery');
+    const formData = new FormData();
+    formData.append('username', document.getElementById('username')?.value || '');
+    formData.append('password', document.getElementById('password')?.value || '');
+    formData.append('simulation', deliverySimulation());
+
+    button.disabled = true;
+    button.innerHTML = '<span class="spinner-border spinner-border-sm me-1"></span>Loading...';
+    setDeliveryStatus('Logging into Cortizo to read the delivery addresses...');
+
+    try {
+        const response = await fetch('/Home/LoadDeliveryAddresses', {
+            method: 'POST',
+            body: formData
+        });
+        const result = await response.json();
+        if (result.success) {
+            renderDeliveryAddresses(result.addresses);
+        } else {
+            setDeliveryStatus(result.message);
+        }
+    } catch (err) {
+        console.error('Failed to read delivery addresses:', err);
+        setDeliveryStatus('Error: ' + err.message);
+    } finally {
+        button.disabled = false;
+        button.innerHTML = '<i class="bi bi-arrow-repeat me-1"></i>Load from Cortizo';
+    }
+}
+
+document.getElementById('simulation')?.addEventListener('change', loadCachedDeliveryAddresses);
+document.addEventListener('DOMContentLoaded', loadCachedDeliveryAddresses);
+
+// Export functions for global use
+window.deliveryAddresses = {
+    load: loadDeliveryAddressesFromCortizo
+};
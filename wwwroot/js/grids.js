@@ -0,0 +1,1068 @@
+// Profiles and accessories grids
+// Inline editing, add/duplicate/delete rows, sort/filter/group, bulk finish edits and click-to-locate in the PDF preview
+
+let finishOptions = [];
+const rowSaveTimers = new WeakMap();
+
+// Click-to-locate regions per grid
+const pdfRegionsByType = { profile: [], accessory: [] };
+
+// Sort/filter/group state per grid. Only the DOM order changes - item Ids never do.
+const gridViews = {
+    profile: { sortKey: null, sortDir: 1, filter: '', groupBy: '' },
+    accessory: { sortKey: null, sortDir: 1, filter: '', groupBy: '' }
+};
+let rowOrderCounter = 0;
+
+// Profile states before each bulk edit, most recent last
+const bulkUndoStack = [];
+const BULK_FIELDS = ['finish1', 'shade1', 'finish2', 'shade2'];
+
+/**
+ * Initialize the grids
+ * @param {object} options
+ * @param {Array<{value: string, label: string}>} options.finishOptions - Cortizo finish codes for the Finish dropdowns
+ */
+function initGrids(options) {
+    finishOptions = options.finishOptions || [];
+
+    const profilesBody = document.getElementById('profiles-tbody');
+    const accessoriesBody = document.getElementById('accessories-tbody');
+
+    profilesBody.addEventListener('change', (e) => {
+        const row = e.target.closest('tr.grid-row');
+        if (!row) return;
+        if (e.target.classList.contains('profile-checkbox')) {
+            updateSelectedCount();
+        } else if (e.target.classList.contains('grid-input')) {
+            onRowEdited(row, 'profile');
+        }
+    });
+
+    accessoriesBody.addEventListener('change', (e) => {
+        const row = e.target.closest('tr.grid-row');
+        if (row && e.target.classList.contains('grid-input')) {
+            onRowEdited(row, 'accessory');
+        }
+    });
+
+    [profilesBody, accessoriesBody].forEach(tbody => {
+        tbody.addEventListener('click', (e) => {
+            const row = e.target.closest('tr.grid-row');
+            if (!row) return;
+
+            // Search the PDF for a reference straight from the grid
+            const searchBtn = e.target.closest('.ref-search-btn');
+            if (searchBtn) {
+                pdfViewer.search(searchBtn.dataset.ref);
+                return;
+            }
+
+            const actionBtn = e.target.closest('[data-row-action]');
+            if (actionBtn) {
+                const type = tbody === profilesBody ? 'profile' : 'accessory';
+                if (actionBtn.dataset.rowAction === 'duplicate') duplicateRow(row, type);
+                if (actionBtn.dataset.rowAction === 'delete') deleteRow(row, type);
+                return;
+            }
+
+            if (e.target.closest('input[type="checkbox"], button')) return;
+            if (row.dataset.itemKey) locateRowInPdf(row);
+        });
+    });
+
+    // Sorting, quick filter and group-by
+    document.querySelectorAll('th[data-sort]').forEach(th => {
+        th.addEventListener('click', () => {
+            const type = th.closest('table').id === 'profiles-table' ? 'profile' : 'accessory';
+            const view = gridViews[type];
+            if (view.sortKey === th.dataset.sort) {
+                // Ascending -> descending -> original order
+                if (view.sortDir === 1) {
+                    view.sortDir = -1;
+                } else {
+                    view.sortKey = null;
+                    view.sortDir = 1;
+                }
+            } else {
+                view.sortKey = th.dataset.sort;
+                view.sortDir = 1;
+            }
+            applyGridView(type);
+        });
+    });
+
+    document.querySelectorAll('[data-grid-filter]').forEach(input => {
+        input.addEventListener('input', () => {
+            gridViews[input.dataset.gridFilter].filter = input.value;
+            applyGridView(input.dataset.gridFilter);
+        });
+    });
+
+    document.querySelectorAll('[data-grid-group]').forEach(select => {
+        select.addEventListener('change', () => {
+            gridViews[select.dataset.gridGroup].groupBy = select.value;
+            applyGridView(select.dataset.gridGroup);
+        });
+    });
+
+    pdfViewer.onRegionHover((key, hovering) => {
+        const row = document.querySelector(`tr[data-item-key="${key}"]`);
+        if (!row) return;
+        row.classList.toggle('pdf-hover', hovering);
+        if (hovering) row.scrollIntoView({ block: 'nearest' });
+    });
+}
+
+/**
+ * Escape a value for use inside an HTML attribute
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+function escapeAttr(value) {
+    return escapeHtml(value == null ? '' : String(value)).replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a Finish dropdown matching the general colour settings
+ * @param {string} field - Field name for data-field
+ * @param {string} value - Selected finish code
+ * @returns {string} Select HTML
+ */
+function finishSelectHtml(field, value) {
+    value = value || '';
+    // Keep values outside the Cortizo list (e.g. unmapped colours) visible
+    const known = value === '' || finishOptions.some(o => o.value === value);
+    const options = finishOptions
+        .map(o => `<option value="${o.value}" ${o.value === value ? 'selected' : ''}>${escapeHtml(o.label)}</option>`)
+        .join('');
+    return `<select class="form-select form-select-sm grid-input" data-field="${field}">
+        <option value=""></option>
+        ${known ? '' : `<option value="${escapeAttr(value)}" selected>${escapeHtml(value)}</option>`}
+        ${options}
+    </select>`;
+}
+
+/**
+ * Status and row action buttons shared by both grids
+ * @returns {string} Cell HTML
+ */
+function rowActionsHtml() {
+    return `<td class="row-actions text-nowrap">
+        <span class="row-status"></span>
+        <button type="button" class="btn btn-link btn-sm p-0" data-row-action="duplicate" title="Duplicate row"><i class="bi bi-copy"></i></button>
+        <button type="button" class="btn btn-link btn-sm p-0 text-danger" data-row-action="delete" title="Delete row"><i class="bi bi-trash"></i></button>
+    </td>`;
+}
+
+/**
+ * Selection checkbox; disabled for new rows until the server assigns an Id
+ * @param {string} className - Checkbox class
+ * @param {object} item - Profile or accessory
+ * @returns {string} Checkbox HTML
+ */
+function checkboxHtml(className, item) {
+    if (!item.id) {
+        return `<input type="checkbox" class="${className}" value="" disabled>`;
+    }
+    return `<input type="checkbox" class="${className}" value="${item.id}" ${item.isSelected === false ? '' : 'checked'}>`;
+}
+
+/**
+ * Badge marking rows added by hand
+ * @param {object} item - Profile or accessory
+ * @returns {string} Badge HTML (empty for extracted rows)
+ */
+function manualBadgeHtml(item) {
+    return item.isManual ? '<span class="badge manual-badge me-1" title="Added manually">Manual</span>' : '';
+}
+
+/**
+ * Give a row its identity once the server has assigned an Id
+ * @param {HTMLTableRowElement} row - Grid row
+ * @param {string} type - 'profile' or 'accessory'
+ * @param {number} id - Item Id
+ */
+function setRowId(row, type, id) {
+    row.dataset.id = id;
+    row.dataset.itemKey = `${type}-${id}`;
+    row.classList.remove('draft-row');
+
+    // New rows are only selectable once they exist on the server
+    const checkbox = row.querySelector('input[type="checkbox"]');
+    checkbox.value = id;
+    if (checkbox.disabled) {
+        checkbox.disabled = false;
+        checkbox.checked = true;
+        if (type === 'profile') updateSelectedCount();
+    }
+}
+
+/**
+ * Build the thermal-break dropdown of a profile row (Auto: reference mapping, price list or description)
+ * @param {boolean|null} value - Row's thermal break, null for automatic
+ * @returns {string} Select HTML
+ */
+function thermalBreakSelectHtml(value) {
+    const selected = value === true ? 'true' : value === false ? 'false' : '';
+    const options = [['', 'Auto'], ['true', 'RPT'], ['false', 'No RPT']]
+        .map(([v, label]) => `<option value="${v}"${v === selected ? ' selected' : ''}>${label}</option>`).join('');
+    return `<select class="form-select form-select-sm grid-input grid-input-rpt" data-field="thermalBreak" title="Thermal break (RPT)">${options}</select>`;
+}
+
+/**
+ * Build an editable profile row
+ * @param {object} profile - Profile item (Id may be missing for a new row)
+ * @returns {HTMLTableRowElement}
+ */
+function buildProfileRow(profile) {
+    const row = document.createElement('tr');
+    row.className = 'grid-row locatable-row' + (profile.isManual ? ' manual-row' : '');
+    row.dataset.order = ++rowOrderCounter;
+    row.dataset.description = profile.description || '';
+    row.dataset.rawColour = profile.rawColour || '';
+    row.dataset.totalLength = profile.totalLength || 0;
+    row.innerHTML = `
+        <td>${checkboxHtml('profile-checkbox', profile)}</td>
+        <td class="text-nowrap">
+            <input type="text" class="form-control form-control-sm grid-input grid-input-ref" data-field="refNumber" value="${escapeAttr(profile.refNumber)}">
+            <button type="button" class="btn btn-link btn-sm p-0 ms-1 ref-search-btn" data-ref="${escapeAttr(profile.refNumber)}" title="Find in PDF"><i class="bi bi-search"></i></button>
+        </td>
+        <td><input type="number" class="form-control form-control-sm grid-input grid-input-amount" data-field="amount" min="1" step="1" value="${profile.amount || ''}"></td>
+        <td>${finishSelectHtml('finish1', profile.finish1)}</td>
+        <td><input type="text" class="form-control form-control-sm grid-input" data-field="shade1" value="${escapeAttr(profile.shade1)}"></td>
+        <td>${finishSelectHtml('finish2', profile.finish2)}</td>
+        <td><input type="text" class="form-control form-control-sm grid-input" data-field="shade2" value="${escapeAttr(profile.shade2)}"></td>
+        <td>${thermalBreakSelectHtml(profile.thermalBreak)}</td>
+        <td title="${escapeAttr(profile.rawColour)}">${manualBadgeHtml(profile)}${escapeHtml(profile.description || '')}</td>
+        ${rowActionsHtml()}
+    `;
+
+    if (profile.id) {
+        setRowId(row, 'profile', profile.id);
+    } else {
+        row.classList.add('draft-row');
+    }
+    return row;
+}
+
+/**
+ * Build an accessory row; manually added rows are editable, extracted rows are read-only
+ * @param {object} acc - Accessory item (Id may be missing for a new row)
+ * @returns {HTMLTableRowElement}
+ */
+function buildAccessoryRow(acc) {
+    const row = document.createElement('tr');
+    row.className = 'grid-row locatable-row' + (acc.isManual ? ' manual-row' : '');
+    row.dataset.order = ++rowOrderCounter;
+
+    const checkbox = `<td>${checkboxHtml('accessory-checkbox', acc)}</td>`;
+
+    if (acc.isManual) {
+        row.innerHTML = `
+            ${checkbox}
+            <td>
+                <select class="form-select form-select-sm grid-input grid-input-source" data-field="source">
+                    <option value="Accessory" ${acc.source !== 'Hardware' ? 'selected' : ''}>ACC</option>
+                    <option value="Hardware" ${acc.source === 'Hardware' ? 'selected' : ''}>HW</option>
+                </select>
+            </td>
+            <td><input type="text" class="form-control form-control-sm grid-input grid-input-ref" data-field="refNumber" value="${escapeAttr(acc.refNumber)}"></td>
+            <td><input type="number" class="form-control form-control-sm grid-input grid-input-amount" data-field="amount" min="1" step="1" value="${acc.amount || ''}"></td>
+            <td><input type="text" class="form-control form-control-sm grid-input" data-field="finish" value="${escapeAttr(acc.finish)}"></td>
+            <td class="text-nowrap">${manualBadgeHtml(acc)}<input type="text" class="form-control form-control-sm grid-input d-inline-block w-auto" data-field="description" value="${escapeAttr(acc.description)}"></td>
+            ${rowActionsHtml()}
+        `;
+    } else {
+        // Read-only rows keep their values on the row for sorting and filtering
+        Object.assign(row.dataset, {
+            refNumber: acc.refNumber || '',
+            amount: acc.amount,
+            finish: acc.finish || '',
+            description: acc.description || '',
+            source: acc.source || 'Accessory'
+        });
+
+        const sourceBadge = acc.source === 'Hardware'
+            ? '<span class="badge bg-info bg-opacity-75">HW</span>'
+            : '<span class="badge bg-secondary bg-opacity-50">ACC</span>';
+        row.innerHTML = `
+            ${checkbox}
+            <td>${sourceBadge}</td>
+            <td>${escapeHtml(acc.refNumber)}</td>
+            <td>${acc.amount}</td>
+            <td>${escapeHtml(acc.finish || '')}</td>
+            <td>${escapeHtml(acc.description || '')}</td>
+            ${rowActionsHtml()}
+        `;
+    }
+
+    if (acc.id) {
+        setRowId(row, 'accessory', acc.id);
+    } else {
+        row.classList.add('draft-row');
+    }
+    return row;
+}
+
+/**
+ * Replace the profiles grid with parsed profiles
+ * @param {Array} profiles - Profile items
+ */
+function updateProfilesGrid(profiles) {
+    const tbody = document.getElementById('profiles-tbody');
+    tbody.innerHTML = '';
+
+    if (!profiles || profiles.length === 0) {
+        tbody.innerHTML = `
+            <tr id="no-data-row">
+                <td colspan="10" class="text-center text-muted py-4">
+                    <i class="bi bi-inbox me-2"></i>No profiles found in PDF
+                </td>
+            </tr>
+        `;
+        setPdfRegions('profile', []);
+        updateSelectedCount();
+        return;
+    }
+
+    profiles.forEach(profile => tbody.appendChild(buildProfileRow(profile)));
+
+    applyGridView('profile');
+    setPdfRegions('profile', profiles);
+
+    // Update selected count
+    updateSelectedCount();
+}
+
+/**
+ * Replace the accessories grid with parsed accessories and hardware
+ * @param {Array} accessories - Accessory items
+ */
+function updateAccessoriesGrid(accessories) {
+    const tbody = document.getElementById('accessories-tbody');
+    tbody.innerHTML = '';
+
+    if (!accessories || accessories.length === 0) {
+        tbody.innerHTML = `
+            <tr id="no-acc-data-row">
+                <td colspan="7" class="text-center text-muted py-4">
+                    <i class="bi bi-inbox me-2"></i>No accessories or hardware found in PDF
+                </td>
+            </tr>
+        `;
+        setPdfRegions('accessory', []);
+        updateAccessoriesCount();
+        return;
+    }
+
+    accessories.forEach(acc => tbody.appendChild(buildAccessoryRow(acc)));
+
+    applyGridView('accessory');
+    updateAccessoriesCount();
+    setPdfRegions('accessory', accessories);
+}
+
+/**
+ * Update the accessories/hardware count badge from the grid
+ */
+function updateAccessoriesCount() {
+    const rows = document.querySelectorAll('#accessories-tbody tr.grid-row');
+    const hwCount = Array.from(rows).filter(row => rowSource(row) === 'Hardware').length;
+    const accCount = rows.length - hwCount;
+
+    let countText = `${rows.length} items`;
+    if (hwCount > 0) {
+        countText = `${accCount} acc + ${hwCount} hw`;
+    }
+    document.getElementById('accessories-count').textContent = countText;
+}
+
+/**
+ * Source section of an accessory row
+ * @param {HTMLTableRowElement} row - Accessory row
+ * @returns {string} 'Accessory' or 'Hardware'
+ */
+function rowSource(row) {
+    const select = row.querySelector('[data-field="source"]');
+    return select ? select.value : (row.dataset.source || 'Accessory');
+}
+
+/**
+ * Select or deselect the accessories that pass the current filter
+ * @param {boolean} checked
+ */
+function selectAllAccessories(checked) {
+    document.querySelectorAll('#accessories-tbody tr.grid-row:not(.filtered-out) .accessory-checkbox:not(:disabled)').forEach(cb => {
+        cb.checked = checked;
+    });
+    document.getElementById('select-all-acc-cb').checked = checked;
+}
+
+// ==================== Sort / filter / group ====================
+
+/**
+ * Display label of a finish code
+ * @param {string} code - Cortizo finish code
+ * @returns {string}
+ */
+function finishLabel(code) {
+    const option = finishOptions.find(o => o.value === code);
+    return option ? option.label : (code || '');
+}
+
+/**
+ * Value of a row used for sorting
+ * @param {HTMLTableRowElement} row - Grid row
+ * @param {string} type - 'profile' or 'accessory'
+ * @param {string} key - 'refNumber', 'amount', 'finish' or 'description'
+ * @returns {string|number}
+ */
+function rowSortValue(row, type, key) {
+    const item = readRow(row, type);
+    switch (key) {
+        case 'amount':
+            return isNaN(item.amount) ? 0 : item.amount;
+        case 'finish':
+            return type === 'profile' ? finishLabel(item.finish1) : item.finish;
+        case 'description':
+            return item.description || row.dataset.description || '';
+        default:
+            return item.refNumber;
+    }
+}
+
+/**
+ * Group a row belongs to under the current group-by
+ * @param {HTMLTableRowElement} row - Grid row
+ * @param {string} type - 'profile' or 'accessory'
+ * @param {string} groupBy - 'finish' or 'source'
+ * @returns {string} Group label
+ */
+function rowGroupKey(row, type, groupBy) {
+    const item = readRow(row, type);
+    if (groupBy === 'source') {
+        return rowSource(row) === 'Hardware' ? 'Hardware' : 'Accessories';
+    }
+    if (type === 'profile') {
+        return `${finishLabel(item.finish1) || 'No finish'} / ${item.shade1 || 'No shade'}`;
+    }
+    return item.finish || 'No colour';
+}
+
+/**
+ * Text a row is matched against by the quick filter
+ * @param {HTMLTableRowElement} row - Grid row
+ * @param {string} type - 'profile' or 'accessory'
+ * @returns {string} Lower-case text
+ */
+function rowFilterText(row, type) {
+    const item = readRow(row, type);
+    const parts = type === 'profile'
+        ? [item.refNumber, item.amount, finishLabel(item.finish1), item.shade1, finishLabel(item.finish2), item.shade2,
+            row.dataset.description, row.dataset.rawColour]
+        : [item.refNumber, item.amount, item.finish, item.description, rowSource(row)];
+    return parts.filter(p => p !== undefined && p !== null).join(' ').toLowerCase();
+}
+
+function compareValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Re-apply sorting, filtering and grouping to a grid
+ * @param {string} type - 'profile' or 'accessory'
+ */
+function applyGridView(type) {
+    const tbody = document.getElementById(type === 'profile' ? 'profiles-tbody' : 'accessories-tbody');
+    const view = gridViews[type];
+
+    tbody.querySelectorAll('tr.group-row').forEach(r => r.remove());
+    const rows = Array.from(tbody.querySelectorAll('tr.grid-row'));
+
+    // Back to the parsed order first; it is the tie-breaker for every sort
+    rows.sort((a, b) => parseFloat(a.dataset.order) - parseFloat(b.dataset.order));
+    rows.forEach((row, i) => { row.dataset.order = i + 1; });
+    rowOrderCounter = Math.max(rowOrderCounter, rows.length);
+
+    const filter = view.filter.trim().toLowerCase();
+    rows.forEach(row => {
+        row.classList.toggle('filtered-out', filter !== '' && !rowFilterText(row, type).includes(filter));
+    });
+
+    if (view.sortKey) {
+        rows.sort((a, b) => compareValues(rowSortValue(a, type, view.sortKey), rowSortValue(b, type, view.sortKey)) * view.sortDir);
+    }
+
+    if (view.groupBy) {
+        rows.sort((a, b) => compareValues(rowGroupKey(a, type, view.groupBy), rowGroupKey(b, type, view.groupBy)));
+
+        const groups = new Map();
+        rows.forEach(row => {
+            const key = rowGroupKey(row, type, view.groupBy);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        });
+        groups.forEach((groupRows, key) => {
+            tbody.appendChild(buildGroupRow(type, key, groupRows));
+            groupRows.forEach(row => tbody.appendChild(row));
+        });
+    } else {
+        rows.forEach(row => tbody.appendChild(row));
+    }
+
+    // Sort indicators
+    const table = tbody.closest('table');
+    table.querySelectorAll('th[data-sort] .sort-icon').forEach(icon => {
+        const key = icon.closest('th').dataset.sort;
+        icon.className = 'bi sort-icon ' + (view.sortKey !== key ? 'bi-arrow-down-up text-muted'
+            : view.sortDir === 1 ? 'bi-caret-up-fill' : 'bi-caret-down-fill');
+    });
+
+    const countEl = document.getElementById(type === 'profile' ? 'profiles-filter-count' : 'accessories-filter-count');
+    if (countEl) {
+        const shown = rows.filter(r => !r.classList.contains('filtered-out')).length;
+        countEl.textContent = filter ? `${shown} of ${rows.length} shown` : '';
+    }
+}
+
+/**
+ * Group header row with quantity (and profile length) subtotals of the visible rows
+ * @param {string} type - 'profile' or 'accessory'
+ * @param {string} label - Group label
+ * @param {HTMLTableRowElement[]} groupRows - Rows in the group
+ * @returns {HTMLTableRowElement}
+ */
+function buildGroupRow(type, label, groupRows) {
+    const visible = groupRows.filter(r => !r.classList.contains('filtered-out'));
+    const quantity = visible.reduce((sum, r) => sum + (readRow(r, type).amount || 0), 0);
+    const length = visible.reduce((sum, r) => sum + (parseFloat(r.dataset.totalLength) || 0), 0);
+
+    const row = document.createElement('tr');
+    row.className = 'group-row' + (visible.length === 0 ? ' d-none' : '');
+    row.innerHTML = `
+        <td colspan="${type === 'profile' ? 10 : 7}">
+            <i class="bi bi-collection me-1"></i><strong>${escapeHtml(label)}</strong>
+            <span class="ms-2 text-muted">${visible.length} rows &middot; qty ${quantity}${type === 'profile' ? ` &middot; ${length.toFixed(1)} m` : ''}</span>
+        </td>
+    `;
+    return row;
+}
+
+// ==================== Editing ====================
+
+/**
+ * Validate the reference and amount inputs of a row
+ * @param {HTMLTableRowElement} row - Grid row
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateRow(row) {
+    const refInput = row.querySelector('[data-field="refNumber"]');
+    const amountInput = row.querySelector('[data-field="amount"]');
+    const refValid = refInput.value.trim() !== '';
+    const amountValid = /^\d+$/.test(amountInput.value.trim()) && parseInt(amountInput.value, 10) > 0;
+
+    refInput.classList.toggle('is-invalid', !refValid);
+    amountInput.classList.toggle('is-invalid', !amountValid);
+
+    if (!refValid) return 'Reference cannot be empty';
+    if (!amountValid) return 'Amount must be a positive whole number';
+    return null;
+}
+
+/**
+ * Show the dirty/saving/saved/error indicator of a row
+ * @param {HTMLTableRowElement} row - Grid row
+ * @param {string} status - 'dirty', 'saving', 'saved' or 'error'
+ * @param {string} message - Tooltip text
+ */
+function setRowStatus(row, status, message) {
+    const icons = {
+        dirty: 'bi-pencil-fill text-warning',
+        saving: 'bi-arrow-repeat text-secondary',
+        saved: 'bi-check-circle-fill text-success',
+        error: 'bi-exclamation-circle-fill text-danger'
+    };
+    row.dataset.status = status;
+    row.querySelector('.row-status').innerHTML =
+        `<i class="bi ${icons[status]}" title="${escapeAttr(message)}"></i>`;
+}
+
+/**
+ * Validate an edited row and queue its save
+ * @param {HTMLTableRowElement} row - Grid row
+ * @param {string} type - 'profile' or 'accessory'
+ */
+function onRowEdited(row, type) {
+    row.dataset.version = (parseInt(row.dataset.version || '0', 10) + 1).toString();
+    clearTimeout(rowSaveTimers.get(row));
+
+    const error = validateRow(row);
+    if (error) {
+        setRowStatus(row, 'error', error);
+        return;
+    }
+
+    setRowStatus(row, 'dirty', 'Unsaved changes');
+    rowSaveTimers.set(row, setTimeout(() => saveRow(row, type), 400));
+}
+
+/**
+ * Read the editable fields of a row into an item for the server
+ * @param {HTMLTableRowElement} row - Grid row
+ * @param {string} type - 'profile' or 'accessory'
+ * @returns {object}
+ */
+function readRow(row, type) {
+    const field = name => {
+        const el = row.querySelector(`[data-field="${name}"]`);
+        return el ? el.value.trim() : (row.dataset[name] || '');
+    };
+    const item = {
+        id: parseInt(row.dataset.id || '0', 10),
+        refNumber: field('refNumber'),
+        amount: parseInt(field('amount'), 10),
+        isSelected: row.dataset.id ? row.querySelector('input[type="checkbox"]').checked : true
+    };
+
+    if (type === 'profile') {
+        const thermalBreak = field('thermalBreak');
+        Object.assign(item, {
+            finish1: field('finish1'),
+            shade1: field('shade1'),
+            finish2: field('finish2'),
+            shade2: field('shade2'),
+            thermalBreak: thermalBreak === '' ? null : thermalBreak === 'true'
+        });
+    } else {
+        Object.assign(item, {
+            source: field('source'),
+            finish: field('finish'),
+            description: field('description')
+        });
+    }
+    return item;
+}
+
+/**
+ * Save a row: new rows go to Add*, existing rows to Update*
+ * @param {HTMLTableRowElement} row - Grid row
+ * @param {string} type - 'profile' or 'accessory'
+ */
+async function saveRow(row, type) {
+    // Don't create the same new row twice while its first save is in flight
+    if (row.dataset.saving) {
+        rowSaveTimers.set(row, setTimeout(() => saveRow(row, type), 400));
+        return;
+    }
+
+    const version = row.dataset.version;
+    const item = readRow(row, type);
+    const isNew = !row.dataset.id;
+    const action = type === 'profile'
+        ? (isNew ? 'AddProfile' : 'UpdateProfile')
+        : (isNew ? 'AddAccessory' : 'UpdateAccessory');
+
+    setRowStatus(row, 'saving', 'Saving...');
+    row.dataset.saving = 'true';
+
+    try {
+        const response = await fetch(`/Home/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(item)
+        });
+        const result = await response.json();
+
+        const saved = result.profile || result.accessory;
+        if (result.success && isNew && saved) {
+            setRowId(row, type, saved.id);
+            if (type === 'accessory') updateAccessoriesCount();
+        }
+
+        // A newer edit is already queued - let that save report its own status
+        if (row.dataset.version !== version) return;
+
+        if (result.success) {
+            const searchBtn = row.querySelector('.ref-search-btn');
+            if (searchBtn) searchBtn.dataset.ref = item.refNumber;
+            if (type === 'accessory') updateAccessoriesCount();
+            setRowStatus(row, 'saved', 'Saved');
+
+            // Keep group subtotals in step with the edit
+            if (gridViews[type].groupBy) applyGridView(type);
+        } else {
+            setRowStatus(row, 'error', result.message || 'Save failed');
+        }
+    } catch (error) {
+        setRowStatus(row, 'error', 'Save failed: ' + error.message);
+    } finally {
+        delete row.dataset.saving;
+    }
+}
+
+// ==================== Row actions ====================
+
+/**
+ * Add a new manual row; it is created on the server once its reference and amount are valid
+ * @param {string} type - 'profile' or 'accessory'
+ */
+function addRow(type) {
+    const tbody = document.getElementById(type === 'profile' ? 'profiles-tbody' : 'accessories-tbody');
+    const emptyRow = tbody.querySelector('#no-data-row, #no-acc-data-row');
+    if (emptyRow) emptyRow.remove();
+
+    const item = { isManual: true, isSelected: true, amount: 1, source: 'Accessory' };
+    const row = type === 'profile' ? buildProfileRow(item) : buildAccessoryRow(item);
+    tbody.appendChild(row);
+    setRowStatus(row, 'dirty', 'New row - enter a reference to save it');
+
+    if (type === 'profile') {
+        updateSelectedCount();
+    } else {
+        updateAccessoriesCount();
+    }
+
+    row.scrollIntoView({ block: 'nearest' });
+    row.querySelector('[data-field="refNumber"]').focus();
+}
+
+/**
+ * Duplicate a row on the server and insert the copy below it
+ * @param {HTMLTableRowElement} row - Grid row
+ * @param {string} type - 'profile' or 'accessory'
+ */
+async function duplicateRow(row, type) {
+    if (!row.dataset.id) return;
+
+    try {
+        const response = await fetch(`/Home/${type === 'profile' ? 'DuplicateProfile' : 'DuplicateAccessory'}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id: parseInt(row.dataset.id, 10) })
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            setRowStatus(row, 'error', result.message || 'Duplicate failed');
+            return;
+        }
+
+        const copy = type === 'profile' ? buildProfileRow(result.profile) : buildAccessoryRow(result.accessory);
+        copy.dataset.order = parseFloat(row.dataset.order) + 0.5;
+        row.after(copy);
+        setRowStatus(copy, 'saved', 'Duplicated');
+        applyGridView(type);
+
+        if (type === 'profile') {
+            updateSelectedCount();
+        } else {
+            updateAccessoriesCount();
+        }
+    } catch (error) {
+        setRowStatus(row, 'error', 'Duplicate failed: ' + error.message);
+    }
+}
+
+/**
+ * Delete a row on the server and remove it from the grid
+ * @param {HTMLTableRowElement} row - Grid row
+ * @param {string} type - 'profile' or 'accessory'
+ */
+async function deleteRow(row, type) {
+    clearTimeout(rowSaveTimers.get(row));
+
+    // Unsaved new rows only exist in the grid
+    if (!row.dataset.id) {
+        removeGridRow(row, type);
+        return;
+    }
+
+    const ref = readRow(row, type).refNumber || row.children[type === 'profile' ? 1 : 2].textContent.trim();
+    if (!confirm(`Delete row ${ref}? This removes it from the automation and the quotation.`)) return;
+
+    try {
+        const response = await fetch(`/Home/${type === 'profile' ? 'DeleteProfile' : 'DeleteAccessory'}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id: parseInt(row.dataset.id, 10) })
+        });
+        const result = await response.json();
+
+        if (result.success) {
+            removeGridRow(row, type);
+        } else {
+            setRowStatus(row, 'error', result.message || 'Delete failed');
+        }
+    } catch (error) {
+        setRowStatus(row, 'error', 'Delete failed: ' + error.message);
+    }
+}
+
+/**
+ * Remove a row and its PDF region from the page
+ * @param {HTMLTableRowElement} row - Grid row
+ * @param {string} type - 'profile' or 'accessory'
+ */
+function removeGridRow(row, type) {
+    if (row.dataset.itemKey) {
+        pdfRegionsByType[type] = pdfRegionsByType[type].filter(r => r.key !== row.dataset.itemKey);
+        applyPdfRegions();
+    }
+    row.remove();
+    applyGridView(type);
+
+    if (type === 'profile') {
+        updateSelectedCount();
+    } else {
+        updateAccessoriesCount();
+    }
+}
+
+// ==================== Bulk edit ====================
+
+/**
+ * Checked profile rows that exist on the server and pass the grid filter
+ * @returns {HTMLTableRowElement[]}
+ */
+function checkedProfileRows() {
+    return Array.from(document.querySelectorAll('#profiles-tbody tr.grid-row[data-id]:not(.filtered-out)'))
+        .filter(row => row.querySelector('.profile-checkbox').checked);
+}
+
+/**
+ * Apply the finish/shade values from the bulk-edit toolbar to the checked profiles.
+ * Empty toolbar fields are left unchanged.
+ */
+function applyBulkEdit() {
+    const values = {};
+    BULK_FIELDS.forEach(field => {
+        const value = document.getElementById(`bulk-${field}`).value.trim();
+        if (value) values[field] = value;
+    });
+
+    if (Object.keys(values).length === 0) {
+        bulkEditMessage('Choose a finish or shade to apply first.', 'Warning');
+        return;
+    }
+    bulkEditProfiles(values);
+}
+
+/**
+ * Copy the finish/shade settings of the first row shown in the grid to the checked profiles
+ */
+function copyFirstRowToSelection() {
+    const first = document.querySelector('#profiles-tbody tr.grid-row[data-id]:not(.filtered-out)');
+    if (!first) {
+        bulkEditMessage('There is no saved profile row to copy from.', 'Warning');
+        return;
+    }
+
+    const item = readRow(first, 'profile');
+    const values = {};
+    BULK_FIELDS.forEach(field => { values[field] = item[field]; });
+    bulkEditProfiles(values, first);
+}
+
+/**
+ * Reset the checked profiles to the General Colour Settings
+ */
+function resetSelectionToGeneral() {
+    const values = {
+        finish1: document.getElementById('generalFinish1').value,
+        shade1: document.getElementById('generalShade1').value.trim(),
+        finish2: document.getElementById('generalFinish2').value,
+        shade2: document.getElementById('generalShade2').value.trim()
+    };
+    bulkEditProfiles(values);
+}
+
+/**
+ * Save finish/shade values for all checked profiles in one UpdateProfiles call
+ * @param {object} values - Subset of finish1/shade1/finish2/shade2
+ * @param {HTMLTableRowElement} [skipRow] - Row left out of the batch (the copy source)
+ */
+async function bulkEditProfiles(values, skipRow) {
+    const rows = checkedProfileRows().filter(row => row !== skipRow);
+    if (rows.length === 0) {
+        bulkEditMessage('Select the profiles to change first.', 'Warning');
+        return;
+    }
+
+    const before = rows.map(row => readRow(row, 'profile'));
+    const after = before.map(item => Object.assign({}, item, values));
+
+    if (await saveProfilesBatch(rows, after)) {
+        bulkUndoStack.push(before);
+        updateUndoButton();
+        bulkEditMessage(`Updated finish/shade on ${rows.length} profile${rows.length === 1 ? '' : 's'}.`, 'Success');
+    }
+}
+
+/**
+ * Restore the profiles changed by the last bulk edit
+ */
+async function undoBulkEdit() {
+    const before = bulkUndoStack.pop();
+    updateUndoButton();
+    if (!before) return;
+
+    // Rows deleted since the bulk edit can't be restored
+    const pairs = before
+        .map(item => ({ item, row: document.querySelector(`#profiles-tbody tr.grid-row[data-id="${item.id}"]`) }))
+        .filter(p => p.row);
+    if (pairs.length === 0) return;
+
+    // Only undo the finish/shade fields; keep later ref/amount edits
+    const restored = pairs.map(p => {
+        const current = readRow(p.row, 'profile');
+        BULK_FIELDS.forEach(field => { current[field] = p.item[field]; });
+        return current;
+    });
+
+    if (await saveProfilesBatch(pairs.map(p => p.row), restored)) {
+        bulkEditMessage(`Undid the last bulk edit on ${pairs.length} profile${pairs.length === 1 ? '' : 's'}.`, 'Info');
+    } else {
+        bulkUndoStack.push(before);
+        updateUndoButton();
+    }
+}
+
+/**
+ * Post a batch of profile edits and write the saved values back to the rows
+ * @param {HTMLTableRowElement[]} rows - Rows in the same order as items
+ * @param {object[]} items - Profiles to save
+ * @returns {Promise<boolean>} Whether the batch was saved
+ */
+async function saveProfilesBatch(rows, items) {
+    rows.forEach(row => {
+        // The batch carries the row's current values, so a queued single-row save is redundant
+        clearTimeout(rowSaveTimers.get(row));
+        row.dataset.version = (parseInt(row.dataset.version || '0', 10) + 1).toString();
+        setRowStatus(row, 'saving', 'Saving...');
+    });
+
+    try {
+        const response = await fetch('/Home/UpdateProfiles', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(items)
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            rows.forEach(row => setRowStatus(row, 'error', result.message || 'Save failed'));
+            bulkEditMessage(result.message || 'Bulk edit failed', 'Error');
+            return false;
+        }
+
+        result.profiles.forEach((profile, i) => {
+            setProfileFinishFields(rows[i], profile);
+            setRowStatus(rows[i], 'saved', 'Saved');
+        });
+        if (gridViews.profile.groupBy) applyGridView('profile');
+        return true;
+    } catch (error) {
+        rows.forEach(row => setRowStatus(row, 'error', 'Save failed: ' + error.message));
+        bulkEditMessage('Bulk edit failed: ' + error.message, 'Error');
+        return false;
+    }
+}
+
+/**
+ * Write finish/shade values into a profile row's inputs
+ * @param {HTMLTableRowElement} row - Profile row
+ * @param {object} profile - Saved profile
+ */
+function setProfileFinishFields(row, profile) {
+    BULK_FIELDS.forEach(field => {
+        const el = row.querySelector(`[data-field="${field}"]`);
+        const value = profile[field] || '';
+        if (el.tagName === 'SELECT') {
+            el.closest('td').innerHTML = finishSelectHtml(field, value);
+        } else {
+            el.value = value;
+        }
+    });
+}
+
+function updateUndoButton() {
+    const btn = document.getElementById('bulk-undo-btn');
+    if (btn) btn.disabled = bulkUndoStack.length === 0;
+}
+
+function bulkEditMessage(message, level) {
+    addLogEntry({ timestamp: new Date().toISOString(), level, message });
+}
+
+// ==================== Click-to-locate ====================
+
+/**
+ * Register the PDF locations of a grid's items with the viewer
+ * @param {string} type - 'profile' or 'accessory'
+ * @param {Array} items - Items with optional location
+ */
+function setPdfRegions(type, items) {
+    pdfRegionsByType[type] = (items || [])
+        .filter(item => item.location)
+        .map(item => ({ key: `${type}-${item.id}`, ...item.location }));
+    applyPdfRegions();
+}
+
+function applyPdfRegions() {
+    pdfViewer.setRegions([...pdfRegionsByType.profile, ...pdfRegionsByType.accessory]);
+}
+
+/**
+ * Highlight a row's source line in the PDF preview
+ * @param {HTMLTableRowElement} row - Grid row
+ */
+function locateRowInPdf(row) {
+    document.querySelectorAll('.locatable-row.located').forEach(r => r.classList.remove('located'));
+    row.classList.add('located');
+    if (!pdfViewer.highlight(row.dataset.itemKey)) {
+        addLogEntry({
+            timestamp: new Date().toISOString(),
+            level: 'Warning',
+            message: row.classList.contains('manual-row')
+                ? 'Manually added rows have no source line in the PDF.'
+                : 'Could not locate this line in the PDF.'
+        });
+    }
+}
+
+/**
+ * Scroll a grid row into view and locate it in the PDF preview.
+ * Clears the grid filter if it hides the row.
+ * @param {string} type - 'profile' or 'accessory'
+ * @param {number} id - Item Id
+ * @returns {boolean} False when the row no longer exists
+ */
+function focusRow(type, id) {
+    const tbody = document.getElementById(type === 'profile' ? 'profiles-tbody' : 'accessories-tbody');
+    const row = tbody.querySelector(`tr.grid-row[data-id="${id}"]`);
+    if (!row) return false;
+
+    if (row.classList.contains('filtered-out')) {
+        gridViews[type].filter = '';
+        const input = document.querySelector(`[data-grid-filter="${type}"]`);
+        if (input) input.value = '';
+        applyGridView(type);
+    }
+
+    row.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    locateRowInPdf(row);
+    return true;
+}
+
+// Export functions for global use
+window.grids = {
+    init: initGrids,
+    addRow: addRow,
+    focusRow: focusRow,
+    applyBulkEdit: applyBulkEdit,
+    copyFirstRowToSelection: copyFirstRowToSelection,
+    resetSelectionToGeneral: resetSelectionToGeneral,
+    undoBulkEdit: undoBulkEdit
+};
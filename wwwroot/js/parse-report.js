@@ -0,0 +1,126 @@
+// Parse report panel
+// Shows what the PDF parser found and what it had to guess or skip after an upload,
+// so problems can be fixed in the grids before a Cortizo run.
+
+/**
+ * Render the parse report for an upload result
+ * @param {object} report - { profiles, accessories, warnings, skippedLines, unmappedColourProfileIds }
+ */
+function renderParseReport(report) {
+    const card = document.getElementById('parse-report-card');
+    const content = document.getElementById('parse-report-content');
+    const status = document.getElementById('parse-report-status');
+    if (!card || !content) return;
+
+    const profiles = report.profiles || [];
+    const accessories = report.accessories || [];
+    const warnings = report.warnings || [];
+    const skippedLines = report.skippedLines || [];
+    const unmapped = (report.unmappedColourProfileIds || [])
+        .map(id => profiles.find(p => p.id === id))
+        .filter(p => p);
+
+    const hardwareCount = accessories.filter(a => a.source === 'Hardware').length;
+    const issueCount = warnings.length + skippedLines.length + unmapped.length;
+
+    let html = `
+        <div class="parse-report-counts mb-2">
+            <span class="badge bg-primary">${profiles.length} profiles</span>
+            <span class="badge bg-secondary">${accessories.length - hardwareCount} accessories</span>
+            <span class="badge bg-info">${hardwareCount} hardware</span>
+        </div>
+    `;
+
+    if (issueCount === 0) {
+        html += '<div class="small text-success"><i class="bi bi-check-circle me-1"></i>All lines were parsed and every colour matched a finish mapping.</div>';
+    }
+
+    if (warnings.length > 0) {
+        html += reportSection('Warnings', 'bi-exclamation-triangle text-warning', warnings.map(w => `
+            <li>${escapeHtml(w)}</li>
+        `));
+    }
+
+    if (skippedLines.length > 0) {
+        html += reportSection('Skipped lines', 'bi-skip-forward text-danger', skippedLines.map(line => `
+            <li>
+                <span class="badge bg-light text-dark me-1">${escapeHtml(line.section)}</span>
+                <code>${escapeHtml(line.text)}</code>
+                <div class="text-muted">${escapeHtml(line.reason)}
+                    <a href="#" class="ms-1" data-report-search="${escapeAttr(searchTermFor(line.text))}">Find in PDF</a>
+                </div>
+            </li>
+        `));
+    }
+
+    if (unmapped.length > 0) {
+        html += reportSection('Unmapped colours', 'bi-palette text-warning', unmapped.map(p => `
+            <li>
+                <a href="#" data-report-row="profile" data-report-id="${p.id}"><strong>${escapeHtml(p.refNumber || '(no ref)')}</strong></a>
+                <code class="ms-1">${escapeHtml(p.rawColour || '(no colour)')}</code>
+                <div class="text-muted">Defaulted to ${escapeHtml(p.finish1 || '-')} / ${escapeHtml(p.shade1 || '-')}</div>
+            </li>
+        `));
+    }
+
+    content.innerHTML = html;
+
+    if (status) {
+        status.textContent = issueCount === 0 ? 'No issues' : `${issueCount} issue${issueCount === 1 ? '' : 's'}`;
+        status.className = 'badge ' + (issueCount === 0 ? 'bg-success' : 'bg-warning text-dark');
+    }
+    card.classList.remove('d-none');
+}
+
+/**
+ * A titled list in the report
+ * @param {string} title - Section title
+ * @param {string} icon - Bootstrap icon classes
+ * @param {string[]} items - List item HTML
+ * @returns {string} HTML
+ */
+function reportSection(title, icon, items) {
+    return `
+        <div class="parse-report-section">
+            <div class="fw-bold small mt-2"><i class="bi ${icon} me-1"></i>${title} (${items.length})</div>
+            <ul class="parse-report-list">${items.join('')}</ul>
+        </div>
+    `;
+}
+
+/**
+ * Pick a term that PDF text search can find for a skipped line.
+ * Search matches within a single text run, so a reference number or the first word works better than the whole line.
+ * @param {string} text - Skipped line text
+ * @returns {string}
+ */
+function searchTermFor(text) {
+    const ref = text.match(/\b\d{4,6}\b/);
+    if (ref) return ref[0];
+    const word = text.split(' ').find(w => w.length >= 3);
+    return word || text;
+}
+
+document.addEventListener('click', (e) => {
+    const rowLink = e.target.closest('[data-report-row]');
+    if (rowLink) {
+        e.preventDefault();
+        const found = grids.focusRow(rowLink.dataset.reportRow, parseInt(rowLink.dataset.reportId));
+        if (!found) {
+            rowLink.classList.add('text-decoration-line-through');
+            rowLink.title = 'This row has been deleted';
+        }
+        return;
+    }
+
+    const searchLink = e.target.closest('[data-report-search]');
+    if (searchLink) {
+        e.preventDefault();
+        pdfViewer.search(searchLink.dataset.reportSearch);
+    }
+});
+
+// Export functions for global use
+window.parseReport = {
+    render: renderParseReport
+};
@@ -1,22 +1,111 @@
 // PDF.js viewer wrapper
 // Uses PDF.js from CDN (can be bundled later)
+//
+// Pages are laid out up front at their final size and rendered lazily as they
+// scroll into view. Renders of pages that leave the view are cancelled and their
+// canvases released, so long stock lists stay responsive.
+
+const MIN_SCALE = 0.25;
+const MAX_SCALE = 5;
+const ZOOM_STEP = 1.2;
+const WHEEL_ZOOM_STEP = 1.1;
+const PAGE_GAP = 10;
+const THUMBNAIL_WIDTH = 110;
 
 let pdfDoc = null;
+let pages = [];
 let pageNum = 1;
-let pageRendering = false;
-let pageNumPending = null;
 let scale = 1.2;
-let canvas = null;
-let ctx = null;
+let fitMode = null;
+let viewMode = 'continuous';
+let container = null;
+let pagesEl = null;
+let thumbnailsEl = null;
+let pageObserver = null;
+let thumbnailObserver = null;
+let loadToken = 0;
+let scrollFrame = null;
+
+// Highlightable regions (click-to-locate)
+let regions = [];
+let activeRegionKey = null;
+let regionHoverHandler = null;
+
+// Text search
+let textContentCache = [];
+let searchQuery = '';
+let searchMatches = [];
+let searchIndex = -1;
+let searchToken = 0;
 
 /**
  * Initialize the PDF viewer
- * @param {string} canvasId - The canvas element ID
+ * @param {string} containerId - The scrollable container element ID
  */
-function initPdfViewer(canvasId) {
-    canvas = document.getElementById(canvasId);
-    if (canvas) {
-        ctx = canvas.getContext('2d');
+function initPdfViewer(containerId) {
+    container = document.getElementById(containerId);
+    pagesEl = document.getElementById('pdf-pages');
+    thumbnailsEl = document.getElementById('pdf-thumbnails');
+    if (!container || !pagesEl) return;
+
+    pageObserver = new IntersectionObserver(onPagesIntersect, {
+        root: container,
+        rootMargin: '300px 0px'
+    });
+
+    if (thumbnailsEl) {
+        thumbnailObserver = new IntersectionObserver(onThumbnailsIntersect, {
+            root: thumbnailsEl,
+            rootMargin: '200px 0px'
+        });
+    }
+
+    // Track the current page while scrolling
+    container.addEventListener('scroll', () => {
+        if (scrollFrame) return;
+        scrollFrame = requestAnimationFrame(() => {
+            scrollFrame = null;
+            updateCurrentPageFromScroll();
+        });
+    });
+
+    // Ctrl+wheel zoom
+    container.addEventListener('wheel', (e) => {
+        if (!e.ctrlKey || !pdfDoc) return;
+        e.preventDefault();
+        setScale(e.deltaY < 0 ? scale * WHEEL_ZOOM_STEP : scale / WHEEL_ZOOM_STEP);
+    }, { passive: false });
+
+    // Keep fit modes fitted when the panel is resized
+    window.addEventListener('resize', () => {
+        if (pdfDoc && fitMode) {
+            applyFitMode();
+        }
+    });
+
+    // Go to page input
+    const pageInput = document.getElementById('page-num');
+    if (pageInput) {
+        pageInput.addEventListener('change', () => {
+            goToPage(parseInt(pageInput.value, 10));
+        });
+    }
+
+    // Search box: Enter searches, then steps through matches (Shift+Enter goes back)
+    const searchInput = document.getElementById('pdf-search-input');
+    if (searchInput) {
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            if (searchInput.value.trim() === searchQuery && searchMatches.length > 0) {
+                e.shiftKey ? searchPrev() : searchNext();
+            } else {
+                searchPdf(searchInput.value);
+            }
+        });
+        searchInput.addEventListener('search', () => {
+            if (!searchInput.value) searchPdf('');
+        });
     }
 }
 
@@ -25,20 +114,52 @@ function initPdfViewer(canvasId) {
  * @param {string} url - URL to the PDF file
  */
 async function loadPdf(url) {
+    const token = ++loadToken;
+
     try {
         // Show loading state
         showPdfLoading();
+        hidePdfError();
 
         // Load the PDF using PDF.js
         const loadingTask = pdfjsLib.getDocument(url);
-        pdfDoc = await loadingTask.promise;
+        const doc = await loadingTask.promise;
+
+        // A newer upload superseded this one
+        if (token !== loadToken) {
+            doc.destroy();
+            return;
+        }
+
+        resetViewer();
+        pdfDoc = doc;
 
         // Update page count
         document.getElementById('page-count').textContent = pdfDoc.numPages;
 
-        // Render first page
-        pageNum = 1;
-        await renderPage(pageNum);
+        // Lay out every page at its final size; rendering happens on demand
+        for (let i = 1; i <= pdfDoc.numPages; i++) {
+            const page = await pdfDoc.getPage(i);
+            if (token !== loadToken) return;
+            pages.push(createPageState(page));
+        }
+
+        hidePdfPlaceholder();
+
+        if (fitMode) {
+            applyFitMode();
+        } else {
+            layoutPages();
+        }
+
+        buildThumbnails();
+        setCurrentPage(1);
+        container.scrollTop = 0;
+
+        // Re-run the last search against the new document
+        if (searchQuery) {
+            searchPdf(searchQuery);
+        }
 
         // Hide loading state
         hidePdfLoading();
@@ -49,102 +170,629 @@ async function loadPdf(url) {
 }
 
 /**
- * Render a specific page
- * @param {number} num - Page number to render
+ * Drop the current document and all page elements
  */
-async function renderPage(num) {
-    if (!pdfDoc || !canvas) return;
-
-    pageRendering = true;
+function resetViewer() {
+    pages.forEach(state => cancelRender(state));
+    if (pageObserver) pageObserver.disconnect();
+    if (thumbnailObserver) thumbnailObserver.disconnect();
+    if (pdfDoc) pdfDoc.destroy();
 
-    try {
-        // Get the page
-        const page = await pdfDoc.getPage(num);
+    pdfDoc = null;
+    pages = [];
+    pageNum = 1;
+    textContentCache = [];
+    searchMatches = [];
+    searchIndex = -1;
+    searchToken++;
+    renderSearchResults();
+    pagesEl.innerHTML = '';
+    if (thumbnailsEl) thumbnailsEl.innerHTML = '';
+}
 
-        // Calculate viewport
-        const viewport = page.getViewport({ scale: scale });
-        canvas.height = viewport.height;
-        canvas.width = viewport.width;
+/**
+ * Create the placeholder element and render state for a page
+ * @param {object} page - PDF.js page proxy
+ * @returns {object} Page state
+ */
+function createPageState(page) {
+    const el = document.createElement('div');
+    el.className = 'pdf-page';
+    el.dataset.pageNumber = page.pageNumber;
 
-        // Render the page
-        const renderContext = {
-            canvasContext: ctx,
-            viewport: viewport
-        };
+    const overlay = document.createElement('div');
+    overlay.className = 'pdf-overlay';
+    el.appendChild(overlay);
 
-        await page.render(renderContext).promise;
+    pagesEl.appendChild(el);
+    pageObserver.observe(el);
 
-        pageRendering = false;
+    return {
+        number: page.pageNumber,
+        page: page,
+        el: el,
+        overlay: overlay,
+        viewport: null,
+        canvas: null,
+        renderTask: null,
+        renderedScale: null,
+        isVisible: false
+    };
+}
 
-        // Update page number display
-        document.getElementById('page-num').textContent = num;
+/**
+ * Size every page for the current scale and re-render the visible ones
+ */
+function layoutPages() {
+    pages.forEach(state => {
+        state.viewport = state.page.getViewport({ scale: scale });
+        state.el.style.width = state.viewport.width + 'px';
+        state.el.style.height = state.viewport.height + 'px';
+        drawOverlay(state);
 
-        // If there's a pending page, render it
-        if (pageNumPending !== null) {
-            renderPage(pageNumPending);
-            pageNumPending = null;
+        // Any in-flight render is at the wrong scale now
+        cancelRender(state);
+        if (state.isVisible) {
+            renderPage(state);
         }
+    });
+
+    const zoomLabel = document.getElementById('zoom-level');
+    if (zoomLabel) {
+        zoomLabel.textContent = Math.round(scale * 100) + '%';
+    }
+}
+
+/**
+ * Render a page onto a fresh canvas and swap it in when done
+ * @param {object} state - Page state
+ */
+async function renderPage(state) {
+    if (!pdfDoc || state.renderTask || state.renderedScale === scale) return;
+
+    const viewport = state.viewport;
+    const outputScale = window.devicePixelRatio || 1;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.floor(viewport.width * outputScale);
+    canvas.height = Math.floor(viewport.height * outputScale);
+
+    const renderScale = scale;
+    const renderTask = state.page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport: viewport,
+        transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+    });
+    state.renderTask = renderTask;
+
+    try {
+        await renderTask.promise;
+
+        if (state.canvas) state.canvas.remove();
+        state.el.insertBefore(canvas, state.overlay);
+        state.canvas = canvas;
+        state.renderedScale = renderScale;
     } catch (error) {
+        if (error && error.name === 'RenderingCancelledException') return;
         console.error('Error rendering page:', error);
-        pageRendering = false;
+    } finally {
+        if (state.renderTask === renderTask) {
+            state.renderTask = null;
+        }
     }
 }
 
 /**
- * Queue a page for rendering
- * @param {number} num - Page number to queue
+ * Cancel an in-flight render of a page
+ * @param {object} state - Page state
  */
-function queueRenderPage(num) {
-    if (pageRendering) {
-        pageNumPending = num;
-    } else {
-        renderPage(num);
+function cancelRender(state) {
+    if (state.renderTask) {
+        state.renderTask.cancel();
+        state.renderTask = null;
     }
 }
 
+/**
+ * Render pages entering the view; cancel and release pages leaving it
+ * @param {IntersectionObserverEntry[]} entries
+ */
+function onPagesIntersect(entries) {
+    entries.forEach(entry => {
+        const state = pages[parseInt(entry.target.dataset.pageNumber, 10) - 1];
+        if (!state) return;
+
+        state.isVisible = entry.isIntersecting;
+        if (state.isVisible) {
+            renderPage(state);
+        } else {
+            cancelRender(state);
+            if (state.canvas) {
+                state.canvas.remove();
+                state.canvas = null;
+                state.renderedScale = null;
+            }
+        }
+    });
+}
+
+/**
+ * Build the thumbnail sidebar; thumbnails render as they scroll into view
+ */
+function buildThumbnails() {
+    if (!thumbnailsEl) return;
+
+    pages.forEach(state => {
+        const base = state.page.getViewport({ scale: 1 });
+        const thumbScale = THUMBNAIL_WIDTH / base.width;
+
+        const item = document.createElement('div');
+        item.className = 'pdf-thumbnail';
+        item.dataset.pageNumber = state.number;
+        item.innerHTML = `<div class="pdf-thumbnail-page" style="width: ${THUMBNAIL_WIDTH}px; height: ${Math.round(base.height * thumbScale)}px;"></div>
+            <div class="pdf-thumbnail-label">${state.number}</div>`;
+        item.addEventListener('click', () => goToPage(state.number));
+
+        thumbnailsEl.appendChild(item);
+        thumbnailObserver.observe(item);
+    });
+}
+
+/**
+ * Render thumbnails entering the sidebar view
+ * @param {IntersectionObserverEntry[]} entries
+ */
+function onThumbnailsIntersect(entries) {
+    entries.forEach(async entry => {
+        if (!entry.isIntersecting || entry.target.dataset.rendered) return;
+
+        const state = pages[parseInt(entry.target.dataset.pageNumber, 10) - 1];
+        if (!state) return;
+        entry.target.dataset.rendered = 'true';
+
+        const base = state.page.getViewport({ scale: 1 });
+        const viewport = state.page.getViewport({ scale: THUMBNAIL_WIDTH / base.width });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.floor(viewport.width);
+        canvas.height = Math.floor(viewport.height);
+
+        try {
+            await state.page.render({ canvasContext: canvas.getContext('2d'), viewport: viewport }).promise;
+            entry.target.querySelector('.pdf-thumbnail-page').appendChild(canvas);
+        } catch (error) {
+            console.error('Error rendering thumbnail:', error);
+            delete entry.target.dataset.rendered;
+        }
+    });
+}
+
+/**
+ * Mark a page as current and update the toolbar and thumbnails
+ * @param {number} num - Page number
+ */
+function setCurrentPage(num) {
+    pageNum = num;
+
+    const pageInput = document.getElementById('page-num');
+    if (pageInput) pageInput.value = num;
+
+    pages.forEach(state => state.el.classList.toggle('current', state.number === num));
+
+    if (thumbnailsEl) {
+        thumbnailsEl.querySelectorAll('.pdf-thumbnail').forEach(item => {
+            const isCurrent = parseInt(item.dataset.pageNumber, 10) === num;
+            item.classList.toggle('active', isCurrent);
+            if (isCurrent && !thumbnailsEl.classList.contains('d-none')) {
+                thumbnailsEl.scrollTop = Math.max(0, item.offsetTop - thumbnailsEl.clientHeight / 2);
+            }
+        });
+    }
+}
+
+/**
+ * Work out which page fills the top third of the view
+ */
+function updateCurrentPageFromScroll() {
+    if (!pdfDoc || viewMode !== 'continuous') return;
+
+    const marker = container.scrollTop + container.clientHeight / 3;
+    const current = pages.find(state => state.el.offsetTop + state.el.offsetHeight > marker);
+    if (current && current.number !== pageNum) {
+        setCurrentPage(current.number);
+    }
+}
+
+/**
+ * Go to a page
+ * @param {number} num - Page number
+ */
+function goToPage(num) {
+    if (!pdfDoc || isNaN(num)) return;
+    num = Math.min(Math.max(num, 1), pdfDoc.numPages);
+
+    setCurrentPage(num);
+    const state = pages[num - 1];
+    container.scrollTop = viewMode === 'continuous' ? state.el.offsetTop - PAGE_GAP : 0;
+}
+
 /**
  * Go to previous page
  */
 function prevPage() {
-    if (pageNum <= 1) return;
-    pageNum--;
-    queueRenderPage(pageNum);
+    goToPage(pageNum - 1);
 }
 
 /**
  * Go to next page
  */
 function nextPage() {
-    if (!pdfDoc || pageNum >= pdfDoc.numPages) return;
-    pageNum++;
-    queueRenderPage(pageNum);
+    goToPage(pageNum + 1);
+}
+
+/**
+ * Change the zoom level, keeping the current reading position
+ * @param {number} newScale - New scale factor
+ */
+function setScale(newScale) {
+    fitMode = null;
+    updateFitButtons();
+    applyScale(newScale);
+}
+
+/**
+ * Apply a scale without touching the fit mode
+ * @param {number} newScale - New scale factor
+ */
+function applyScale(newScale) {
+    newScale = Math.min(Math.max(newScale, MIN_SCALE), MAX_SCALE);
+    const ratio = container.scrollHeight > 0 ? container.scrollTop / container.scrollHeight : 0;
+
+    scale = newScale;
+    layoutPages();
+
+    container.scrollTop = ratio * container.scrollHeight;
 }
 
 /**
  * Zoom in
  */
 function zoomIn() {
-    scale += 0.2;
-    if (scale > 3) scale = 3;
-    queueRenderPage(pageNum);
+    setScale(scale * ZOOM_STEP);
 }
 
 /**
  * Zoom out
  */
 function zoomOut() {
-    scale -= 0.2;
-    if (scale < 0.5) scale = 0.5;
-    queueRenderPage(pageNum);
+    setScale(scale / ZOOM_STEP);
+}
+
+/**
+ * Fit pages to the container width or to the whole page
+ * @param {string|null} mode - 'width', 'page' or null to keep the current zoom
+ */
+function setFitMode(mode) {
+    fitMode = mode;
+    updateFitButtons();
+    if (pdfDoc && fitMode) {
+        applyFitMode();
+    }
+}
+
+/**
+ * Recompute the scale for the active fit mode
+ */
+function applyFitMode() {
+    const state = pages[pageNum - 1];
+    if (!state) return;
+
+    const base = state.page.getViewport({ scale: 1 });
+    const availableWidth = container.clientWidth - PAGE_GAP * 2;
+    const availableHeight = container.clientHeight - PAGE_GAP * 2;
+
+    let fitScale = availableWidth / base.width;
+    if (fitMode === 'page') {
+        fitScale = Math.min(fitScale, availableHeight / base.height);
+    }
+
+    applyScale(fitScale);
+    goToPage(pageNum);
+}
+
+/**
+ * Reflect the fit mode on the toolbar buttons
+ */
+function updateFitButtons() {
+    document.querySelectorAll('[data-pdf-fit]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.pdfFit === fitMode);
+    });
+}
+
+/**
+ * Switch between continuous scroll and single page
+ * @param {string} mode - 'continuous' or 'single'
+ */
+function setViewMode(mode) {
+    viewMode = mode === 'single' ? 'single' : 'continuous';
+    pagesEl.classList.toggle('single-page', viewMode === 'single');
+
+    document.querySelectorAll('[data-pdf-view]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.pdfView === viewMode);
+    });
+
+    goToPage(pageNum);
+}
+
+/**
+ * Show or hide the thumbnail sidebar
+ */
+function toggleThumbnails() {
+    if (!thumbnailsEl) return;
+    thumbnailsEl.classList.toggle('d-none');
+    setCurrentPage(pageNum);
+    if (fitMode) {
+        applyFitMode();
+    }
+}
+
+/**
+ * Set the regions that can be highlighted on the PDF
+ * @param {Array<{key: string, pageNumber: number, left: number, bottom: number, right: number, top: number}>} list - Regions in PDF user-space points
+ */
+function setRegions(list) {
+    regions = list || [];
+    pages.forEach(drawOverlay);
+}
+
+/**
+ * Jump to the page containing a region and highlight it
+ * @param {string} key - Region key
+ * @returns {boolean} Whether the region exists
+ */
+function highlightRegion(key) {
+    const region = regions.find(r => r.key === key);
+    activeRegionKey = region ? key : null;
+    pages.forEach(drawOverlay);
+    if (!region || !pdfDoc) return !!region;
+
+    goToPage(region.pageNumber);
+    scrollToBox(region.pageNumber, '.pdf-region.active');
+    return true;
+}
+
+/**
+ * Centre a box on a page's overlay in the view
+ * @param {number} num - Page number
+ * @param {string} selector - Selector of the box within the overlay
+ */
+function scrollToBox(num, selector) {
+    const state = pages[num - 1];
+    const box = state && state.overlay.querySelector(selector);
+    if (!box) return;
+
+    const pageTop = viewMode === 'continuous' ? state.el.offsetTop : 0;
+    container.scrollTop = pageTop + box.offsetTop - container.clientHeight / 2;
+    container.scrollLeft = Math.max(0, state.el.offsetLeft + box.offsetLeft - PAGE_GAP);
+}
+
+/**
+ * Register a callback for hovering a region on the PDF
+ * @param {function(string, boolean)} handler - Called with the region key and whether it is hovered
+ */
+function onRegionHover(handler) {
+    regionHoverHandler = handler;
+}
+
+/**
+ * Draw the regions and search matches of a page on its overlay
+ * @param {object} state - Page state
+ */
+function drawOverlay(state) {
+    state.overlay.innerHTML = '';
+    if (!state.viewport) return;
+
+    regions.filter(r => r.pageNumber === state.number).forEach(region => {
+        const box = appendOverlayBox(state, region,
+            'pdf-region' + (region.key === activeRegionKey ? ' active' : ''));
+        box.dataset.key = region.key;
+        box.addEventListener('mouseenter', () => regionHoverHandler && regionHoverHandler(region.key, true));
+        box.addEventListener('mouseleave', () => regionHoverHandler && regionHoverHandler(region.key, false));
+    });
+
+    searchMatches.forEach((match, index) => {
+        if (match.pageNumber !== state.number) return;
+        appendOverlayBox(state, match, 'pdf-search-hit' + (index === searchIndex ? ' current' : ''));
+    });
+}
+
+/**
+ * Add a box for a rectangle in PDF user-space points to a page's overlay
+ * @param {object} state - Page state
+ * @param {{left: number, bottom: number, right: number, top: number}} rect - Rectangle to draw
+ * @param {string} className - CSS class of the box
+ * @returns {HTMLElement} The box element
+ */
+function appendOverlayBox(state, rect, className) {
+    // PDF origin is bottom-left; the viewport converts to CSS pixels
+    const [x1, y1, x2, y2] = state.viewport.convertToViewportRectangle(
+        [rect.left, rect.bottom, rect.right, rect.top]);
+    const pad = 2;
+
+    const box = document.createElement('div');
+    box.className = className;
+    box.style.left = (Math.min(x1, x2) - pad) + 'px';
+    box.style.top = (Math.min(y1, y2) - pad) + 'px';
+    box.style.width = (Math.abs(x2 - x1) + pad * 2) + 'px';
+    box.style.height = (Math.abs(y2 - y1) + pad * 2) + 'px';
+
+    state.overlay.appendChild(box);
+    return box;
+}
+
+/**
+ * Get (and cache) the text content of a page
+ * @param {object} state - Page state
+ * @returns {Promise<object>} PDF.js text content
+ */
+function getPageText(state) {
+    if (!textContentCache[state.number - 1]) {
+        textContentCache[state.number - 1] = state.page.getTextContent();
+    }
+    return textContentCache[state.number - 1];
+}
+
+/**
+ * Search the text of every page and highlight the matches
+ * @param {string} query - Text to find (case-insensitive)
+ * @returns {Promise<number>} Number of matches
+ */
+async function searchPdf(query) {
+    const token = ++searchToken;
+    searchQuery = (query || '').trim();
+    searchMatches = [];
+    searchIndex = -1;
+
+    const searchInput = document.getElementById('pdf-search-input');
+    if (searchInput && searchInput.value.trim() !== searchQuery) {
+        searchInput.value = searchQuery;
+    }
+
+    if (!pdfDoc || !searchQuery) {
+        pages.forEach(drawOverlay);
+        renderSearchResults();
+        return 0;
+    }
+
+    const needle = searchQuery.toLowerCase();
+    const found = [];
+
+    try {
+        for (const state of pages) {
+            const content = await getPageText(state);
+            if (token !== searchToken) return 0;
+
+            content.items.forEach(item => {
+                const text = (item.str || '').toLowerCase();
+                let start = text.indexOf(needle);
+                while (start !== -1) {
+                    found.push(textMatchRect(state.number, item, start, needle.length));
+                    start = text.indexOf(needle, start + needle.length);
+                }
+            });
+        }
+    } catch (error) {
+        console.error('Error searching PDF:', error);
+        return 0;
+    }
+
+    searchMatches = found;
+    pages.forEach(drawOverlay);
+    renderSearchResults();
+
+    if (found.length > 0) {
+        showSearchMatch(0);
+    }
+    return found.length;
+}
+
+/**
+ * Approximate the rectangle of a substring within a text item
+ * @param {number} pageNumber - Page the item is on
+ * @param {object} item - PDF.js text item
+ * @param {number} start - Index of the first matched character
+ * @param {number} length - Number of matched characters
+ * @returns {object} Match rectangle in PDF user-space points
+ */
+function textMatchRect(pageNumber, item, start, length) {
+    const [, , c, d, e, f] = item.transform;
+    const height = item.height || Math.hypot(c, d);
+    const charWidth = item.str.length > 0 ? item.width / item.str.length : 0;
+
+    return {
+        pageNumber: pageNumber,
+        left: e + charWidth * start,
+        right: e + charWidth * (start + length),
+        bottom: f - height * 0.2,
+        top: f + height * 0.9
+    };
+}
+
+/**
+ * Make a match current and bring it into view
+ * @param {number} index - Index into the match list
+ */
+function showSearchMatch(index) {
+    if (searchMatches.length === 0) return;
+
+    const previous = searchMatches[searchIndex];
+    searchIndex = (index + searchMatches.length) % searchMatches.length;
+    const match = searchMatches[searchIndex];
+
+    if (previous && previous.pageNumber !== match.pageNumber) {
+        drawOverlay(pages[previous.pageNumber - 1]);
+    }
+    drawOverlay(pages[match.pageNumber - 1]);
+
+    goToPage(match.pageNumber);
+    scrollToBox(match.pageNumber, '.pdf-search-hit.current');
+    renderSearchResults();
+}
+
+/**
+ * Go to the next search match
+ */
+function searchNext() {
+    showSearchMatch(searchIndex + 1);
+}
+
+/**
+ * Go to the previous search match
+ */
+function searchPrev() {
+    showSearchMatch(searchIndex - 1);
+}
+
+/**
+ * Update the match counter and the per-page hit list
+ */
+function renderSearchResults() {
+    const status = document.getElementById('pdf-search-status');
+    const results = document.getElementById('pdf-search-results');
+
+    if (status) {
+        if (!searchQuery) {
+            status.textContent = '';
+        } else if (searchMatches.length === 0) {
+            status.textContent = 'No matches';
+        } else {
+            status.textContent = `${searchIndex + 1} / ${searchMatches.length}`;
+        }
+    }
+
+    if (!results) return;
+    results.innerHTML = '';
+    results.classList.toggle('d-none', searchMatches.length === 0);
+
+    const counts = new Map();
+    searchMatches.forEach(match => counts.set(match.pageNumber, (counts.get(match.pageNumber) || 0) + 1));
+
+    counts.forEach((count, num) => {
+        const current = searchMatches[searchIndex];
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn btn-sm pdf-search-page' + (current && current.pageNumber === num ? ' active' : '');
+        btn.innerHTML = `Page ${num} <span class="badge bg-warning text-dark">${count}</span>`;
+        btn.addEventListener('click', () => showSearchMatch(searchMatches.findIndex(m => m.pageNumber === num)));
+        results.appendChild(btn);
+    });
 }
 
 /**
  * Show loading state
  */
 function showPdfLoading() {
-    const container = document.getElementById('pdf-container');
-    if (container) {
-        container.classList.add('loading');
+    const el = document.getElementById('pdf-container');
+    if (el) {
+        el.classList.add('loading');
     }
 }
 
@@ -152,9 +800,9 @@ function showPdfLoading() {
  * Hide loading state
  */
 function hidePdfLoading() {
-    const container = document.getElementById('pdf-container');
-    if (container) {
-        container.classList.remove('loading');
+    const el = document.getElementById('pdf-container');
+    if (el) {
+        el.classList.remove('loading');
     }
 }
 
@@ -171,12 +819,43 @@ function showPdfError(message) {
     hidePdfLoading();
 }
 
+/**
+ * Hide error message
+ */
+function hidePdfError() {
+    const errorEl = document.getElementById('pdf-error');
+    if (errorEl) {
+        errorEl.textContent = '';
+        errorEl.style.display = 'none';
+    }
+}
+
+/**
+ * Hide the empty-state placeholder once a document is shown
+ */
+function hidePdfPlaceholder() {
+    const placeholder = document.getElementById('pdf-placeholder');
+    if (placeholder) {
+        placeholder.style.display = 'none';
+    }
+}
+
 // Export functions for global use
 window.pdfViewer = {
     init: initPdfViewer,
     load: loadPdf,
     prevPage: prevPage,
     nextPage: nextPage,
+    goToPage: goToPage,
     zoomIn: zoomIn,
-    zoomOut: zoomOut
+    zoomOut: zoomOut,
+    setFitMode: setFitMode,
+    setViewMode: setViewMode,
+    toggleThumbnails: toggleThumbnails,
+    search: searchPdf,
+    searchNext: searchNext,
+    searchPrev: searchPrev,
+    setRegions: setRegions,
+    highlight: highlightRegion,
+    onRegionHover: onRegionHover
 };
@@ -0,0 +1,234 @@
+// Per-line price breakdown of the offline Excel calculation
+// Lists every calculated line with the rule that priced it; a unit price edited in the table is kept as
+// an override (by line) and sent with the next calculation, which recomputes the totals on the server.
+
+const PRICE_RULE_LABELS = {
+    ListPrice: { text: 'List price', css: 'bg-secondary' },
+    CustomWithBreak: { text: 'Custom RPT', css: 'bg-info' },
+    CustomWithoutBreak: { text: 'Custom no RPT', css: 'bg-primary' },
+    Override: { text: 'Override', css: 'bg-warning text-dark' },
+    Manual: { text: 'Manual price', css: 'bg-dark' },
+    Supplementary: { text: 'Supplementary list', css: 'bg-success' }
+};
+
+// How the length of a profile line was obtained (ProfileLengthSource)
+const LENGTH_SOURCE_LABELS = {
+    ParsedLength: 'Parsed from PDF',
+    BarLengthTable: 'Bar length table',
+    PriceList: 'Price list bar length',
+    Default: 'Default bar length'
+};
+
+// Where the thermal break of a profile line came from (ThermalBreakSource)
+const THERMAL_BREAK_SOURCE_LABELS = {
+    Row: 'set on the grid row',
+    Mapping: 'reference table',
+    PriceList: 'price list',
+    Keyword: 'guessed from the description'
+};
+
+// Lines of the last calculation and the unit price overrides, keyed 'Profile-12' / 'Accessory-3'
+let breakdownLines = [];
+const unitPriceOverrides = new Map();
+
+function breakdownKey(kind, itemId) {
+    return `${kind}-${itemId}`;
+}
+
+/**
+ * Overrides in the shape of the CalculateTotalsFromExcel request
+ * @returns {Array<{kind: string, itemId: number, unitPrice: number}>}
+ */
+function breakdownOverrides() {
+    return [...unitPriceOverrides.values()];
+}
+
+/**
+ * Flatten the calculated profiles and accessories of a calculation result into breakdown lines
+ */
+function toBreakdownLines(result) {
+    const profiles = (result.profilesCalculated || []).map(p => ({
+        kind: 'Profile',
+        itemId: p.itemId,
+        category: 'Profile',
+        refNumber: p.refNumber,
+        description: p.description,
+        amount: p.amount,
+        length: p.totalLength,
+        lengthBasis: p.lengthSource === 'ParsedLength'
+            ? LENGTH_SOURCE_LABELS.ParsedLength
+            : `${p.amount} × ${p.barLength} m (${LENGTH_SOURCE_LABELS[p.lengthSource] || p.lengthSource})`,
+        lengthSource: p.lengthSource,
+        weight: p.totalWeight,
+        listPrice: p.pricePerKg,
+        unitPrice: p.unitPrice,
+        unit: p.totalWeight > 0 ? '€/kg' : '€/bar',
+        priceRule: p.priceRule,
+        thermalBreak: `${p.thermalBreak ? 'RPT' : 'No RPT'} (${THERMAL_BREAK_SOURCE_LABELS[p.thermalBreakSource] || p.thermalBreakSource})`,
+        thermalBreakGuessed: p.thermalBreakSource === 'Keyword',
+        discount: 0,
+        total: p.totalPrice
+    }));
+    const accessories = (result.accessoriesCalculated || []).map(a => ({
+        kind: 'Accessory',
+        itemId: a.itemId,
+        category: a.category || 'Accessory',
+        refNumber: a.refNumber,
+        description: a.description,
+        amount: a.amount,
+        length: 0,
+        lengthBasis: '',
+        lengthSource: null,
+        weight: 0,
+        listPrice: a.pricePerUnit,
+        unitPrice: a.unitPrice,
+        unit: '€/pc',
+        priceRule: a.priceRule,
+        thermalBreak: '',
+        thermalBreakGuessed: false,
+        discount: a.discountApplied || 0,
+        total: a.totalPrice
+    }));
+    return [...profiles, ...accessories];
+}
+
+/**
+ * Render the breakdown table of a CalculateTotalsFromExcel result
+ */
+function renderPriceBreakdown(result) {
+    breakdownLines = toBreakdownLines(result);
+
+    // Drop overrides of lines no longer calculated (deselected or not in the price list any more)
+    const keys = new Set(breakdownLines.map(l => breakdownKey(l.kind, l.itemId)));
+    [...unitPriceOverrides.keys()].forEach(key => {
+        if (!keys.has(key)) unitPriceOverrides.delete(key);
+    });
+
+    const section = document.getElementById('price-breakdown-section');
+    const tbody = document.getElementById('price-breakdown-tbody');
+    if (!section || !tbody) return;
+
+    section.style.display = breakdownLines.length > 0 ? 'block' : 'none';
+    document.getElementById('price-breakdown-count').textContent = breakdownLines.length;
+    document.getElementById('price-breakdown-clear').style.display = unitPriceOverrides.size > 0 ? '' : 'none';
+
+    tbody.innerHTML = breakdownLines.map(line => {
+        const rule = PRICE_RULE_LABELS[line.priceRule] || PRICE_RULE_LABELS.ListPrice;
+        const overridden = line.priceRule === 'Override';
+        const catBadge = line.category === 'Hardware'
+            ? '<span class="badge bg-info">HW</span>'
+            : line.category === 'Profile'
+                ? '<span class="badge bg-primary">Prof</span>'
+                : '<span class="badge bg-secondary">Acc</span>';
+        return `
+            <tr>
+                <td>${catBadge}</td>
+                <td><strong>${escapeHtml(line.refNumber)}</strong></td>
+                <td class="text-truncate" style="max-width: 160px;" title="${escapeAttr(line.description)}">${escapeHtml(line.description)}</td>
+                <td class="text-end">${line.amount}</td>
+                <td class="text-end text-nowrap" title="${escapeAttr(line.lengthBasis)}">${line.length > 0
+                    ? `${line.length.toFixed(2)}${line.lengthSource === 'ParsedLength' ? ' <span class="badge bg-light text-dark">PDF</span>' : ''}`
+                    : '-'}</td>
+                <td class="text-end">${line.weight > 0 ? line.weight.toFixed(2) : '-'}</td>
+                <td class="text-nowrap" title="${escapeAttr(line.thermalBreak)}">
+                    <span class="badge ${rule.css}">${rule.text}</span>
+                    ${line.thermalBreakGuessed ? '<i class="bi bi-exclamation-triangle-fill text-warning"></i>' : ''}
+                </td>
+                <td class="text-nowrap">
+                    <input type="number" step="0.01" min="0" class="form-control form-control-sm d-inline-block${overridden ? ' border-warning' : ''}"
+                           style="width: 80px;" value="${line.unitPrice.toFixed(2)}"
+                           title="List price: ${line.listPrice.toFixed(2)} ${line.unit}"
+                           onchange="priceBreakdown.setUnitPrice('${line.kind}', ${line.itemId}, this.value)">
+                    <small class="text-muted">${line.unit}</small>
+                    ${overridden ? `<button type="button" class="btn btn-link btn-sm p-0 ms-1" title="Reset to the calculated price"
+                           onclick="priceBreakdown.resetUnitPrice('${line.kind}', ${line.itemId})"><i class="bi bi-arrow-counterclockwise"></i></button>` : ''}
+                </td>
+                <td class="text-end">${line.discount > 0 ? `${line.discount}%` : '-'}</td>
+                <td class="text-end"><strong>€${line.total.toFixed(2)}</strong></td>
+            </tr>`;
+    }).join('');
+
+    document.getElementById('price-breakdown-tfoot').innerHTML = `
+        <tr>
+            <td colspan="9" class="text-end">Grand Total:</td>
+            <td class="text-end"><strong>€${result.grandTotal.toFixed(2)}</strong></td>
+        </tr>`;
+}
+
+/**
+ * Override the unit price of one line and recalculate (an empty value removes the override)
+ */
+function setBreakdownUnitPrice(kind, itemId, value) {
+    const key = breakdownKey(kind, itemId);
+    const unitPrice = parseFloat(value);
+    if (value === '' || isNaN(unitPrice) || unitPrice < 0) {
+        unitPriceOverrides.delete(key);
+    } else {
+        unitPriceOverrides.set(key, { kind, itemId, unitPrice });
+    }
+    excelCalc.calculateTotals(true);
+}
+
+function resetBreakdownUnitPrice(kind, itemId) {
+    unitPriceOverrides.delete(breakdownKey(kind, itemId));
+    excelCalc.calculateTotals(true);
+}
+
+function clearBreakdownOverrides() {
+    if (unitPriceOverrides.size === 0) return;
+    unitPriceOverrides.clear();
+    excelCalc.calculateTotals(true);
+}
+
+function csvField(value) {
+    const text = value == null ? '' : String(value);
+    return /[";\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Download the breakdown as CSV (semicolon separated, so Excel opens it in columns with European settings)
+ */
+function exportPriceBreakdown() {
+    if (breakdownLines.length === 0) return;
+
+    const header = ['Type', 'REF', 'Description', 'Qty', 'Length (m)', 'Length basis', 'Weight (kg)', 'Thermal break', 'Price rule', 'List price',
+        'Unit price', 'Unit', 'Discount %', 'Line total'];
+    const rows = breakdownLines.map(line => [
+        line.category,
+        line.refNumber,
+        line.description,
+        line.amount,
+        line.length > 0 ? line.length.toFixed(2) : '',
+        line.lengthBasis,
+        line.weight > 0 ? line.weight.toFixed(2) : '',
+        line.thermalBreak,
+        (PRICE_RULE_LABELS[line.priceRule] || PRICE_RULE_LABELS.ListPrice).text,
+        line.listPrice.toFixed(2),
+        line.unitPrice.toFixed(2),
+        line.unit,
+        line.discount || '',
+        line.total.toFixed(2)
+    ]);
+    const csv = [header, ...rows].map(r => r.map(csvField).join(';')).join('\r\n');
+
+    // BOM so Excel reads the € sign as UTF-8
+    const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `price-breakdown-${new Date().toISOString().slice(0,19).replace(/[T:]/g,'-')}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Export functions for global use
+window.priceBreakdown = {
+    render: renderPriceBreakdown,
+    overrides: breakdownOverrides,
+    setUnitPrice: setBreakdownUnitPrice,
+    resetUnitPrice: resetBreakdownUnitPrice,
+    clearOverrides: clearBreakdownOverrides,
+    exportCsv: exportPriceBreakdown
+};
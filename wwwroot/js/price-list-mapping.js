@@ -0,0 +1,364 @@
+// Column-mapping step for uploaded Excel price lists
+// The upload returns a preview of every sheet with a proposed mapping (a saved template with the same
+// header signature, or the guessed columns); the user picks the sheet, header row and columns while
+// sample rows are parsed live on the server, then loads the prices and optionally saves a template.
+
+// Columns every mapping needs; the others may be left out
+const REQUIRED_MAPPING_FIELDS = ['refColumn', 'priceColumn'];
+
+// Last upload per kind ('Profile' / 'Accessory'): { kind, fileId, fileName, sheets, templates, mapping, onLoaded }
+const priceListUploads = {};
+let priceListWizard = null;
+let priceListSampleTimer = null;
+
+/** Excel column letter of a 1-based column number (28 -> 'AB') */
+function columnLetter(col) {
+    let letter = '';
+    while (col > 0) {
+        const rem = (col - 1) % 26;
+        letter = String.fromCharCode(65 + rem) + letter;
+        col = Math.floor((col - 1) / 26);
+    }
+    return letter;
+}
+
+function wizardSheet() {
+    const name = document.getElementById('plw-sheet').value;
+    return priceListWizard.sheets.find(s => s.name === name) || priceListWizard.sheets[0];
+}
+
+/**
+ * Mapping currently chosen in the wizard
+ * @returns {object} - ExcelColumnMapping (1-based columns, null for an optional column not in the file)
+ */
+function currentMapping() {
+    const mapping = {
+        kind: priceListWizard.kind,
+        sheetName: document.getElementById('plw-sheet').value,
+        headerRow: parseInt(document.getElementById('plw-header-row').value) || 0
+    };
+    document.querySelectorAll('#price-list-wizard [data-mapping-field]').forEach(select => {
+        const field = select.dataset.mappingField;
+        const col = parseInt(select.value);
+        mapping[field] = isNaN(col) ? (REQUIRED_MAPPING_FIELDS.includes(field) ? 0 : null) : col;
+    });
+    if (priceListWizard.kind !== 'Profile') {
+        mapping.weightColumn = null;
+        mapping.barLengthColumn = null;
+        mapping.thermalBreakColumn = null;
+    }
+    return mapping;
+}
+
+/**
+ * Upload a price list. Loaded right away when a template matched, otherwise the mapping wizard opens.
+ * @param {string} kind - 'Profile' or 'Accessory'
+ * @param {File} file - Excel file
+ * @param {function} onLoaded - Called with { count, message, fileName } once the prices are loaded
+ * @returns {Promise<object>} - Upload result { success, loaded, message }
+ */
+async function uploadPriceList(kind, file, onLoaded) {
+    const formData = new FormData();
+    formData.append('excelFile', file);
+    formData.append('kind', kind);
+
+    const response = await fetch('/Home/UploadPriceList', { method: 'POST', body: formData });
+    const result = await response.json();
+    if (!result.success && !result.preview) return result;
+
+    priceListUploads[kind] = {
+        kind,
+        fileId: result.fileId,
+        fileName: result.fileName,
+        sheets: result.preview.sheets,
+        templates: result.templates || [],
+        mapping: result.preview.mapping,
+        onLoaded
+    };
+
+    if (result.loaded) {
+        onLoaded(result);
+    } else {
+        openWizard(kind, result.preview.samples);
+    }
+    return result;
+}
+
+/**
+ * Reopen the wizard for the last uploaded price list of a kind (to change a template's mapping)
+ */
+function reopenWizard(kind) {
+    if (priceListUploads[kind]) openWizard(kind);
+}
+
+function openWizard(kind, samples) {
+    priceListWizard = priceListUploads[kind];
+    const wizard = document.getElementById('price-list-wizard');
+    wizard.style.display = 'block';
+
+    document.getElementById('plw-file-name').textContent =
+        `${priceListWizard.fileName} (${kind === 'Profile' ? 'profile' : 'accessory'} prices)`;
+    document.querySelectorAll('#price-list-wizard .plw-profile-only').forEach(group => {
+        group.style.display = kind === 'Profile' ? '' : 'none';
+    });
+    document.getElementById('plw-template-name').value = priceListWizard.mapping.name || '';
+    document.getElementById('plw-status').textContent = '';
+    document.getElementById('plw-template-status').textContent = '';
+
+    document.getElementById('plw-sheet').innerHTML = priceListWizard.sheets
+        .map(s => `<option value="${escapeAttr(s.name)}">${escapeHtml(s.name)} (${s.rowCount} rows)</option>`).join('');
+    renderTemplateSelect();
+    applyMapping(priceListWizard.mapping);
+
+    if (samples) {
+        renderSamples(samples);
+    } else {
+        refreshSamples();
+    }
+    wizard.scrollIntoView({ block: 'nearest' });
+}
+
+function closeWizard() {
+    document.getElementById('price-list-wizard').style.display = 'none';
+    priceListWizard = null;
+}
+
+function renderTemplateSelect(selectedName) {
+    const select = document.getElementById('plw-template');
+    const templates = priceListWizard.templates;
+    select.innerHTML = `<option value="">${templates.length > 0 ? 'Templates...' : 'No templates yet'}</option>` +
+        templates.map(t => `<option value="${escapeAttr(t.name)}">${escapeHtml(t.name)}</option>`).join('');
+    select.value = selectedName && templates.some(t => t.name === selectedName) ? selectedName : '';
+    document.getElementById('btn-plw-delete-template').disabled = !select.value;
+}
+
+/**
+ * Show a mapping in the wizard controls
+ */
+function applyMapping(mapping) {
+    const sheet = priceListWizard.sheets.find(s => s.name.toLowerCase() === (mapping.sheetName || '').toLowerCase())
+        || priceListWizard.sheets[0];
+    document.getElementById('plw-sheet').value = sheet ? sheet.name : '';
+    document.getElementById('plw-header-row').value = mapping.headerRow || 1;
+    renderColumnSelects(mapping);
+    renderPreview();
+}
+
+/**
+ * Column choices labelled with the header row text; keeps the given (or current) choices
+ */
+function renderColumnSelects(mapping) {
+    const sheet = wizardSheet();
+    const selected = mapping || currentMapping();
+    const headerRow = parseInt(document.getElementById('plw-header-row').value) || 1;
+    const headers = (sheet && sheet.rows[headerRow - 1]) || [];
+    const columnCount = sheet ? sheet.columnCount : 0;
+
+    document.querySelectorAll('#price-list-wizard [data-mapping-field]').forEach(select => {
+        const field = select.dataset.mappingField;
+        let options = REQUIRED_MAPPING_FIELDS.includes(field) ? '' : '<option value="">(none)</option>';
+        for (let col = 1; col <= columnCount; col++) {
+            const header = headers[col - 1] ? ` - ${headers[col - 1]}` : '';
+            options += `<option value="${col}">${columnLetter(col)}${escapeHtml(header)}</option>`;
+        }
+        select.innerHTML = options;
+        select.value = selected[field] && selected[field] <= columnCount ? selected[field] : '';
+    });
+}
+
+/**
+ * First rows of the chosen sheet, with the header row and the mapped columns highlighted
+ */
+function renderPreview() {
+    const table = document.getElementById('plw-preview');
+    const sheet = wizardSheet();
+    if (!sheet) {
+        table.innerHTML = '<tbody><tr><td class="text-muted">The workbook has no sheets</td></tr></tbody>';
+        return;
+    }
+
+    const mapping = currentMapping();
+    const roles = {};
+    roles[mapping.refColumn] = 'REF';
+    roles[mapping.priceColumn] = 'PRICE';
+    if (mapping.weightColumn) roles[mapping.weightColumn] = 'WEIGHT';
+    if (mapping.barLengthColumn) roles[mapping.barLengthColumn] = 'BAR';
+    if (mapping.thermalBreakColumn) roles[mapping.thermalBreakColumn] = 'RPT';
+    if (mapping.descriptionColumn) roles[mapping.descriptionColumn] = 'DESC';
+
+    let head = '<th></th>';
+    for (let col = 1; col <= sheet.columnCount; col++) {
+        head += `<th class="${roles[col] ? 'table-primary' : ''}">${columnLetter(col)}${roles[col] ? ` <span class="badge bg-primary">${roles[col]}</span>` : ''}</th>`;
+    }
+
+    const body = sheet.rows.map((cells, i) => {
+        const rowNumber = i + 1;
+        const rowClass = rowNumber === mapping.headerRow ? 'table-warning fw-bold' : rowNumber < mapping.headerRow ? 'text-muted' : '';
+        const tds = cells.map((cell, c) =>
+            `<td class="${roles[c + 1] && rowNumber > mapping.headerRow ? 'table-primary' : ''}" title="${escapeAttr(cell)}">${escapeHtml(cell)}</td>`).join('');
+        return `<tr class="${rowClass}"><th class="plw-row-number" data-row="${rowNumber}" title="Use as header row">${rowNumber}</th>${tds}</tr>`;
+    }).join('');
+
+    table.innerHTML = `<thead><tr>${head}</tr></thead><tbody>${body}</tbody>`;
+    table.querySelectorAll('[data-row]').forEach(th => {
+        th.addEventListener('click', () => {
+            document.getElementById('plw-header-row').value = th.dataset.row;
+            mappingChanged(true);
+        });
+    });
+}
+
+/**
+ * Re-render after a control changed and parse new samples
+ * @param {boolean} headerChanged - The sheet or header row changed (column labels come from the header row)
+ */
+function mappingChanged(headerChanged) {
+    if (headerChanged) renderColumnSelects();
+    renderPreview();
+    document.getElementById('plw-template').value = '';
+    document.getElementById('btn-plw-delete-template').disabled = true;
+
+    clearTimeout(priceListSampleTimer);
+    priceListSampleTimer = setTimeout(refreshSamples, 300);
+}
+
+async function refreshSamples() {
+    if (!priceListWizard) return;
+    const status = document.getElementById('plw-sample-status');
+    status.textContent = 'parsing...';
+
+    try {
+        const response = await fetch('/Home/SamplePriceList', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ fileId: priceListWizard.fileId, mapping: currentMapping() })
+        });
+        const result = await response.json();
+        if (result.success) {
+            renderSamples(result.samples);
+        } else {
+            document.getElementById('plw-samples').innerHTML = '';
+            status.textContent = result.message;
+        }
+    } catch (err) {
+        console.error('Failed to parse price list samples:', err);
+        status.textContent = 'Error: ' + err.message;
+    }
+}
+
+/**
+ * Rows as they would be loaded with the current mapping
+ * @param {object[]} samples - { rowNumber, reference, originalReference, price, weight, barLength, thermalBreak, description }
+ */
+function renderSamples(samples) {
+    const isProfile = priceListWizard.kind === 'Profile';
+    const missingPrices = samples.filter(s => s.price == null).length;
+    document.getElementById('plw-sample-status').textContent = samples.length === 0
+        ? '- no rows with a reference below the header row'
+        : `- first ${samples.length} rows${missingPrices > 0 ? `, ${missingPrices} without a readable price` : ''}`;
+
+    const number = value => value == null ? '<span class="badge bg-warning text-dark">none</span>' : value;
+    document.getElementById('plw-samples').innerHTML = samples.length === 0 ? '' : `
+        <thead><tr><th>Row</th><th>REF</th><th>Price</th>${isProfile ? '<th>Weight</th><th>Bar (m)</th><th>RPT</th>' : ''}<th>Description</th></tr></thead>
+        <tbody>${samples.map(s => `
+            <tr>
+                <td class="text-muted">${s.rowNumber}</td>
+                <td title="${escapeAttr(s.originalReference)}"><strong>${escapeHtml(s.reference)}</strong></td>
+                <td>${number(s.price)}</td>
+                ${isProfile ? `<td>${number(s.weight)}</td><td>${s.barLength == null ? '<span class="text-muted" title="Not in the price list - 6 m default">6</span>' : s.barLength}</td>
+                    <td>${s.thermalBreak == null ? '<span class="text-muted" title="Not in the price list - from the description">?</span>' : s.thermalBreak ? 'Yes' : 'No'}</td>` : ''}
+                <td>${escapeHtml(s.description)}</td>
+            </tr>`).join('')}
+        </tbody>`;
+}
+
+function selectTemplate(name) {
+    const template = priceListWizard.templates.find(t => t.name === name);
+    document.getElementById('btn-plw-delete-template').disabled = !template;
+    if (!template) return;
+
+    applyMapping(template);
+    document.getElementById('plw-template').value = name;
+    document.getElementById('btn-plw-delete-template').disabled = false;
+    document.getElementById('plw-template-name').value = name;
+    refreshSamples();
+}
+
+async function deleteTemplate() {
+    const name = document.getElementById('plw-template').value;
+    if (!name || !confirm(`Delete the mapping template "${name}"?`)) return;
+    const status = document.getElementById('plw-template-status');
+    status.textContent = '';
+
+    try {
+        const response = await fetch('/Home/DeleteExcelMapping', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ kind: priceListWizard.kind, name })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            status.textContent = result.message;
+            return;
+        }
+        priceListWizard.templates = result.templates;
+        renderTemplateSelect();
+    } catch (err) {
+        console.error('Failed to delete mapping template:', err);
+        status.textContent = 'Error: ' + err.message;
+    }
+}
+
+/**
+ * Load the prices with the chosen mapping (and save it as a template when a name is given)
+ */
+async function loadWithMapping() {
+    const button = document.getElementById('btn-plw-load');
+    const status = document.getElementById('plw-status');
+    const mapping = currentMapping();
+    const templateName = document.getElementById('plw-template-name').value.trim();
+
+    button.disabled = true;
+    status.textContent = 'Loading prices...';
+    try {
+        const response = await fetch('/Home/LoadPriceList', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ fileId: priceListWizard.fileId, mapping, templateName })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            status.textContent = result.message;
+            return;
+        }
+
+        const upload = priceListWizard;
+        upload.templates = result.templates;
+        upload.mapping = Object.assign(mapping, { name: templateName });
+        closeWizard();
+        upload.onLoaded(Object.assign(result, { fileName: upload.fileName }));
+    } catch (err) {
+        console.error('Failed to load price list:', err);
+        status.textContent = 'Error: ' + err.message;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('plw-sheet')?.addEventListener('change', () => mappingChanged(true));
+    document.getElementById('plw-header-row')?.addEventListener('input', () => mappingChanged(true));
+    document.querySelectorAll('#price-list-wizard [data-mapping-field]').forEach(select => {
+        select.addEventListener('change', () => mappingChanged(false));
+    });
+    document.getElementById('plw-template')?.addEventListener('change', e => selectTemplate(e.target.value));
+});
+
+// Export functions for global use
+window.priceListMapping = {
+    upload: uploadPriceList,
+    reopen: reopenWizard,
+    close: closeWizard,
+    load: loadWithMapping,
+    deleteTemplate: deleteTemplate
+};
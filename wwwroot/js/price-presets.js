@@ -0,0 +1,137 @@
+// Customized prices and per-client presets
+// The price inputs are posted with the automation form (customizedPrices.*) and read by the
+// offline Excel calculation; presets are saved per client code on the server.
+
+let pricePresetList = [];
+
+/** camelCase JSON key of a price input (data-price-field="WithBreak" -> "withBreak") */
+function priceKey(input) {
+    const field = input.dataset.priceField;
+    return field.charAt(0).toLowerCase() + field.slice(1);
+}
+
+/**
+ * Current customized prices from the inputs
+ * @returns {object} - { withBreak, withoutBreak, ..., accessoryDiscount }, null for empty fields
+ */
+function currentCustomizedPrices() {
+    const prices = {};
+    document.querySelectorAll('.customized-price').forEach(input => {
+        const value = parseFloat(input.value);
+        prices[priceKey(input)] = isNaN(value) ? null : value;
+    });
+    return prices;
+}
+
+function applyCustomizedPrices(prices) {
+    document.querySelectorAll('.customized-price').forEach(input => {
+        const value = prices[priceKey(input)];
+        input.value = value === null || value === undefined ? '' : value;
+    });
+}
+
+function presetClientCode() {
+    return (document.getElementById('clientCode')?.value || '').trim();
+}
+
+function renderPricePresets(selectedName) {
+    const select = document.getElementById('price-preset');
+    if (!select) return;
+
+    select.innerHTML = `<option value="">${pricePresetList.length > 0 ? 'Client presets...' : 'No presets for this client'}</option>` +
+        pricePresetList.map(p => `<option value="${escapeAttr(p.name)}">${escapeHtml(p.name)}</option>`).join('');
+    select.value = selectedName && pricePresetList.some(p => p.name === selectedName) ? selectedName : '';
+    document.getElementById('btn-delete-preset').disabled = !select.value;
+}
+
+async function loadPricePresets() {
+    const clientCode = presetClientCode();
+    if (!clientCode) {
+        pricePresetList = [];
+        renderPricePresets();
+        return;
+    }
+
+    try {
+        const response = await fetch(`/Home/ListPricePresets?clientCode=${encodeURIComponent(clientCode)}`);
+        const result = await response.json();
+        pricePresetList = result.success ? result.presets : [];
+    } catch (err) {
+        console.error('Failed to load price presets:', err);
+        pricePresetList = [];
+    }
+    renderPricePresets();
+}
+
+function selectPricePreset(name) {
+    const preset = pricePresetList.find(p => p.name === name);
+    if (preset) {
+        applyCustomizedPrices(preset.prices);
+    }
+    document.getElementById('btn-delete-preset').disabled = !preset;
+}
+
+async function savePricePreset() {
+    const clientCode = presetClientCode();
+    if (!clientCode) {
+        alert('Enter a client code first - presets are saved per client');
+        return;
+    }
+
+    const current = document.getElementById('price-preset').value;
+    const name = (prompt(`Preset name for client ${clientCode}:`, current) || '').trim();
+    if (!name) return;
+
+    try {
+        const response = await fetch('/Home/SavePricePreset', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ clientCode, name, prices: currentCustomizedPrices() })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            alert(result.message);
+            return;
+        }
+        pricePresetList = result.presets;
+        renderPricePresets(name);
+    } catch (error) {
+        addLogEntry({ timestamp: new Date().toISOString(), level: 'Error',
+            message: `Failed to save price preset: ${error.message}` });
+    }
+}
+
+async function deletePricePreset() {
+    const name = document.getElementById('price-preset').value;
+    if (!name || !confirm(`Delete the preset "${name}"?`)) return;
+
+    try {
+        const response = await fetch('/Home/DeletePricePreset', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ clientCode: presetClientCode(), name })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            alert(result.message);
+            return;
+        }
+        pricePresetList = result.presets;
+        renderPricePresets();
+    } catch (error) {
+        addLogEntry({ timestamp: new Date().toISOString(), level: 'Error',
+            message: `Failed to delete price preset: ${error.message}` });
+    }
+}
+
+document.getElementById('price-preset')?.addEventListener('change', e => selectPricePreset(e.target.value));
+document.getElementById('clientCode')?.addEventListener('change', loadPricePresets);
+document.addEventListener('DOMContentLoaded', loadPricePresets);
+
+// Export functions for global use
+window.pricePresets = {
+    current: currentCustomizedPrices,
+    save: savePricePreset,
+    remove: deletePricePreset,
+    reload: loadPricePresets
+};
@@ -0,0 +1,94 @@
+// Per-reference tables of the offline Excel calculation (bar lengths, thermal-break classification)
+// The list lives on the server: List{entity}s loads it, and Save{entity} / Delete{entity} return it updated.
+
+/**
+ * Bind a reference table to its editor: {prefix}-tbody, {prefix}-count, {prefix}-ref and {prefix}-value
+ * @param {object} options
+ * @param {string} options.prefix - Id prefix of the editor elements, e.g. 'bar-length'
+ * @param {string} options.entity - Controller action suffix, e.g. 'BarLength'
+ * @param {string} options.listKey - Key of the list in the server responses, e.g. 'barLengths'
+ * @param {string} options.label - What one entry is called in messages, e.g. 'bar length'
+ * @param {string} options.globalName - Window name of the table's exports, used by the delete buttons
+ * @param {function(object): string} options.formatValue - Text of an entry's value column
+ * @param {function(HTMLInputElement|HTMLSelectElement): ?object} options.readValue - Request fields from the value input, null when invalid
+ * @param {string} options.invalidMessage - Shown when the reference or the value is missing
+ * @returns {{save: function, remove: function, reload: function}}
+ */
+function createReferenceTable(options) {
+    let entries = [];
+
+    function render() {
+        const tbody = document.getElementById(`${options.prefix}-tbody`);
+        if (!tbody) return;
+
+        document.getElementById(`${options.prefix}-count`).textContent = entries.length;
+        tbody.innerHTML = entries.map(entry => `
+            <tr>
+                <td><strong>${escapeHtml(entry.reference)}</strong></td>
+                <td class="text-end">${escapeHtml(options.formatValue(entry))}</td>
+                <td class="text-end">
+                    <button type="button" class="btn btn-link btn-sm p-0 text-danger" title="Delete"
+                            data-reference="${escapeAttr(entry.reference)}" onclick="${options.globalName}.remove(this.dataset.reference)"><i class="bi bi-trash"></i></button>
+                </td>
+            </tr>`).join('');
+    }
+
+    async function post(action, body) {
+        try {
+            const response = await fetch(`/Home/${action}${options.entity}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!result.success) {
+                alert(result.message);
+                return false;
+            }
+            entries = result[options.listKey];
+            render();
+            return true;
+        } catch (error) {
+            addLogEntry({ timestamp: new Date().toISOString(), level: 'Error',
+                message: `Failed to ${action.toLowerCase()} ${options.label}: ${error.message}` });
+            return false;
+        }
+    }
+
+    async function reload() {
+        try {
+            const response = await fetch(`/Home/List${options.entity}s`);
+            const result = await response.json();
+            entries = result.success ? result[options.listKey] : [];
+        } catch (err) {
+            console.error(`Failed to load ${options.label}s:`, err);
+            entries = [];
+        }
+        render();
+    }
+
+    async function save() {
+        const refInput = document.getElementById(`${options.prefix}-ref`);
+        const valueInput = document.getElementById(`${options.prefix}-value`);
+        const reference = refInput.value.trim();
+        const value = options.readValue(valueInput);
+        if (!reference || !value) {
+            alert(options.invalidMessage);
+            return;
+        }
+
+        if (await post('Save', { reference, ...value })) {
+            refInput.value = '';
+            if (valueInput.tagName === 'INPUT') valueInput.value = '';
+        }
+    }
+
+    async function remove(reference) {
+        if (!confirm(`Delete the ${options.label} of ${reference}?`)) return;
+        await post('Delete', { reference });
+    }
+
+    document.addEventListener('DOMContentLoaded', reload);
+
+    return { save, remove, reload };
+}
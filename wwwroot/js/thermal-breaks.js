@@ -0,0 +1,21 @@
+// Thermal-break classification per reference for the offline Excel calculation
+// Decides between the with-break and without-break customized price. A profile row's own RPT setting
+// wins over this table, which wins over the price list column; the description keywords are the last resort.
+
+const thermalBreakTable = createReferenceTable({
+    prefix: 'thermal-break',
+    entity: 'ThermalBreak',
+    listKey: 'thermalBreaks',
+    label: 'thermal-break classification',
+    globalName: 'thermalBreaks',
+    formatValue: t => t.thermalBreak ? 'RPT' : 'No RPT',
+    readValue: select => ({ thermalBreak: select.value === 'true' }),
+    invalidMessage: 'Enter a profile reference'
+});
+
+// Export functions for global use
+window.thermalBreaks = {
+    save: thermalBreakTable.save,
+    remove: thermalBreakTable.remove,
+    reload: thermalBreakTable.reload
+};